@@ -15,8 +15,42 @@ export type GentleDBEventName =
     | 'lock'
     | 'unlock'
     | 'error'
+    | 'corrupt'
+    | 'invalid'
+    | 'migrate'
+    | 'conflict'
+    | 'expire'
+    | 'lock:stolen'
+    | 'lock:timeout'
     | 'watcher:error';
 
+/** Normalize bracket indices to dot segments: `users[0].name` -> `users.0.name`. */
+type NormalizePath<P extends string> =
+    P extends `${infer A}[${infer I}]${infer R}`
+        ? NormalizePath<`${A}.${I}${R}`>
+        : P extends `.${infer R}` ? R : P;
+
+/** Resolve one path segment against T (`*` is the `watch()` wildcard). */
+type PathSegment<T, K extends string> =
+    T extends readonly (infer E)[]
+        ? (K extends `${number}` | '*' ? E : any)
+        : T extends object
+            ? (K extends keyof T ? T[K] : K extends '*' ? T[keyof T] : any)
+            : any;
+
+/** Resolve a dot-normalized path against T. */
+type PathValueDot<T, P extends string> =
+    P extends `${infer K}.${infer R}` ? PathValueDot<PathSegment<T, K>, R> : PathSegment<T, P>;
+
+/**
+ * Type of the value stored at a dotted/bracket path (e.g. `'users[0].name'`).
+ * Resolves to `any` for segments that cannot be followed statically.
+*/
+export type PathValue<T, P extends string> = P extends '' ? T : PathValueDot<T, NormalizePath<P>>;
+
+/** Element type of the array stored at path P (or `any`). */
+export type PathElement<T, P extends string> = PathValue<T, P> extends readonly (infer E)[] ? E : any;
+
 /**
  * Base event shape (generic over the DB data type)
  * Matches the runtime event produced by GentleDB v1.0.3.
@@ -37,6 +71,12 @@ export interface GentleDBEventBase<T = any> {
     /** Modifiable snapshot of data after the operation (deep-cloned). */
     newData: T;
 
+    /** Paths touched by path operations (`set`, `unset`, `update`, `push`) folded into this write. */
+    paths?: string[];
+
+    /** Documents inserted/updated/removed by collection operations folded into this write. */
+    documents?: DocumentChange[];
+
     /** Whether listeners have called preventDefault(). */
     defaultPrevented: boolean;
 
@@ -71,6 +111,151 @@ export interface GentleDBEventBase<T = any> {
     commit(): this;
 }
 
+/** One document-level change produced by a collection operation. */
+export interface DocumentChange<D = any> {
+    /** Collection path (e.g. `'users'`). */
+    collection: string;
+    /** Kind of change. */
+    type: 'insert' | 'update' | 'remove';
+    /** Value of the document's id field. */
+    id: any;
+    /** Document before the change (`undefined` for inserts). */
+    old: D | undefined;
+    /** Document after the change (`undefined` for removals). */
+    new: D | undefined;
+}
+
+/** Options accepted by `db.collection()` */
+export interface CollectionOptions {
+    /** Name of the id field (default: `'id'`). */
+    idField?: string;
+    /** Id generator used when inserted documents have no id (default: `crypto.randomUUID()`). */
+    generateId?: () => any;
+}
+
+/** Field-level query operators. */
+export interface QueryOperators {
+    $eq?: any;
+    $ne?: any;
+    $gt?: any;
+    $gte?: any;
+    $lt?: any;
+    $lte?: any;
+    $in?: any[];
+    $nin?: any[];
+    $regex?: string | RegExp;
+    /** Flags for a string `$regex`. */
+    $options?: string;
+    $exists?: boolean;
+    $not?: QueryOperators | RegExp | any;
+    $elemMatch?: QueryFilter | QueryOperators;
+}
+
+/**
+ * Mongo-style filter. Keys are dotted field paths (arrays are traversed) or the logical operators
+ * `$and`, `$or`, `$not`. A plain value means implicit equality (array fields match when they contain it).
+*/
+export type QueryFilter = {
+    $and?: QueryFilter[];
+    $or?: QueryFilter[];
+    $not?: QueryFilter;
+    [field: string]: QueryOperators | any;
+};
+
+/** Options for `query()` / `collection.find()`. */
+export interface QueryOptions {
+    /** Inclusion (`{ name: 1 }`) or exclusion (`{ password: 0 }`) projection over dotted paths. */
+    projection?: Record<string, 0 | 1 | boolean>;
+    /** Sort spec: `{ age: -1, name: 1 }` or `[['age', -1], ['name', 1]]`. */
+    sort?: Record<string, 1 | -1> | Array<[string, 1 | -1]>;
+    /** Number of matches to skip. */
+    skip?: number;
+    /** Maximum number of matches to return. */
+    limit?: number;
+}
+
+/** A document returned by `query()` together with its path in the DB (e.g. `'users[3]'`). */
+export interface QueryResult<D = any> {
+    path: string;
+    doc: D;
+}
+
+/** Predicate function or a `QueryFilter`. */
+export type CollectionFilter<D = any> = ((doc: D) => boolean) | QueryFilter;
+
+/** Document helpers over an array stored at a path. Mutations go through the debounced write pipeline. */
+export interface GentleCollection<D = any> {
+    /** Collection path. */
+    readonly name: string;
+    /** Id field name. */
+    readonly idField: string;
+    /** Insert one document (id generated when missing). Resolves to the stored document. Rejects on duplicate ids. */
+    insert(doc: Partial<D>, opts?: AuditOptions): Promise<D>;
+    /** Insert several documents in one write. */
+    insertMany(docs: Partial<D>[], opts?: AuditOptions): Promise<D[]>;
+    /** Find a document by id, or `null`. */
+    findById(id: any): Promise<D | null>;
+    /** All documents matching the filter, with optional projection/sort/skip/limit. */
+    find(filter?: CollectionFilter<D>, opts?: QueryOptions): Promise<D[]>;
+    /** First document matching the filter, or `null`. */
+    findOne(filter?: CollectionFilter<D>): Promise<D | null>;
+    /** Number of documents matching the filter. */
+    count(filter?: CollectionFilter<D>): Promise<number>;
+    /** Update the first match (partial object deep-merged, or `fn(doc)`). Resolves to the updated document or `null`. */
+    updateOne(filter: CollectionFilter<D>, update: Partial<D> | ((doc: D) => D), opts?: AuditOptions): Promise<D | null>;
+    /** Update every match. Resolves to the updated documents. */
+    updateMany(filter: CollectionFilter<D>, update: Partial<D> | ((doc: D) => D), opts?: AuditOptions): Promise<D[]>;
+    /** Remove the first match. Resolves to the removed document or `null`. */
+    removeOne(filter: CollectionFilter<D>, opts?: AuditOptions): Promise<D | null>;
+    /** Remove every match. Resolves to the removed documents. */
+    removeMany(filter: CollectionFilter<D>, opts?: AuditOptions): Promise<D[]>;
+}
+
+/**
+ * Handle returned by `db.as(actor, context)`: the write methods of the database, audited as that actor.
+ * Options passed to a call override the handle's actor/context.
+*/
+export interface GentleDBScope<T = any> {
+    readonly db: GentleDB<T>;
+    write(partialOrFullData?: Partial<T> | T, opts?: WriteOptions): Promise<any>;
+    replace(fullData: T, opts?: WriteOptions): Promise<any>;
+    resetDefault(opts?: AuditOptions): Promise<any>;
+    set<P extends string>(path: P, value: PathValue<T, P>, opts?: SetOptions): Promise<any>;
+    unset(path: string, opts?: AuditOptions): Promise<any>;
+    update<P extends string>(path: P, fn: (current: PathValue<T, P> | undefined) => PathValue<T, P> | undefined, opts?: AuditOptions): Promise<any>;
+    push<P extends string>(path: P, ...items: PathElement<T, P>[]): Promise<any>;
+    applyPatch(patch: JsonPatchOperation[], opts?: AuditOptions): Promise<any>;
+    transaction<R>(fn: (tx: GentleDBTransaction<T>) => R | Promise<R>, opts?: AuditOptions): Promise<R>;
+    restore(idOrTimestamp: string | number | Date, opts?: AuditOptions): Promise<any>;
+    undo(opts?: AuditOptions): Promise<boolean | any>;
+    redo(opts?: AuditOptions): Promise<boolean | any>;
+    /** Collection whose mutators are audited as the handle's actor. */
+    collection<P extends string>(name: P, opts?: CollectionOptions): GentleCollection<PathElement<T, P>>;
+}
+
+/**
+ * Handle passed to `db.transaction()` callbacks. All operations are synchronous and act on a private
+ * working copy; nothing is visible to other readers until the transaction commits.
+*/
+export interface GentleDBTransaction<T = any> {
+    /** Deep clone of the working copy. */
+    read(): T;
+    /** Value at a path in the working copy (deep clone). */
+    get<P extends string>(path: P): PathValue<T, P> | undefined;
+    /** Deep-merge a partial object into the working copy. */
+    write(partial?: Partial<T>): this;
+    /** Replace the working copy. */
+    replace(fullData: T): this;
+    /** Set a value at a path (`opts.ttlMs` as for `db.set`). */
+    set<P extends string>(path: P, value: PathValue<T, P>, opts?: { ttlMs?: number }): this;
+    /** Remove the value at a path. */
+    unset(path: string): this;
+    /** Replace the value at a path with `fn(current)`. */
+    update<P extends string>(path: P, fn: (current: PathValue<T, P> | undefined) => PathValue<T, P> | undefined): this;
+    /** Append items to the array at a path. */
+    push<P extends string>(path: P, ...items: PathElement<T, P>[]): this;
+}
+
 /** `change` event contains a map of top-level key changes, plus origin metadata */
 export interface ChangeEvent<T = any> extends GentleDBEventBase<T> {
     /** Canonical event name. */
@@ -79,6 +264,290 @@ export interface ChangeEvent<T = any> extends GentleDBEventBase<T> {
     changes: Record<string, { old: any; new: any }>;
     /** Where the change originated: 'internal' when from this instance, 'external' when from file changes */
     source?: 'internal' | 'external';
+    /** Revision of the persisted state (internal changes, with `opts.revisions`). */
+    revision?: number;
+    /** RFC 6902 JSON Patch turning `oldData` into `newData`. */
+    patch: JsonPatchOperation[];
+    /** Paths changed according to the deep diff (e.g. `'users[42].name'`). */
+    changedPaths: string[];
+}
+
+/** One recorded write in `history()` */
+export interface HistoryEntry {
+    id: number;
+    /** Op of the recorded write (e.g. 'write', 'set', 'replace', 'transaction'). */
+    op: string;
+    timestamp: number;
+    /** Paths the write touched. */
+    paths: string[];
+    /** JSON Patch the write applied (redo reapplies it; undo applies the stored inverse). */
+    patch: JsonPatchOperation[];
+}
+
+/** Argument of a `watch()` handler */
+export interface WatchEvent<V = any> {
+    type: 'watch';
+    /** The pattern passed to `watch()`. */
+    pattern: string;
+    /** Concrete path that changed (wildcards resolved, e.g. `'users[3].email'`). */
+    path: string;
+    oldValue: V | undefined;
+    newValue: V | undefined;
+    source?: 'internal' | 'external';
+    op: string;
+    timestamp: number;
+}
+
+/** One RFC 6902 JSON Patch operation (`path`/`from` are JSON pointers such as `/users/0/name`) */
+export type JsonPatchOperation =
+    | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'move' | 'copy'; from: string; path: string };
+
+/** `corrupt` event: the data file could not be parsed (on open, or when an external change was picked up) */
+export interface CorruptEvent extends GentleDBEventBase<any> {
+    /** Canonical event name. */
+    type: 'corrupt';
+    /** 'open' for the initial load, 'external' for a change picked up by the watcher (runtime data is kept). */
+    source: 'open' | 'external';
+    /** Path of the corrupt file. */
+    filePath: string;
+    /** Raw file contents. */
+    raw: string;
+    /** Parse error. */
+    error: any;
+    /** Active `onCorrupt` policy (on open). */
+    policy?: 'throw' | 'backup-and-reset' | 'recover-from-backup' | 'custom';
+    /** Set after recovery: temp/backup file path, 'defaultData' or 'onCorrupt'. */
+    recoveredFrom?: string | null;
+    /** Set after recovery: where the original bytes were copied (`<file>.corrupt-<timestamp>`). */
+    preservedPath?: string;
+}
+
+/** One schema violation */
+export interface ValidationIssue {
+    /** Failing path (e.g. `'users[0].email'`, `'(root)'` for the root). */
+    path: string;
+    /** Schema keyword that failed (e.g. `'type'`, `'required'`, `'pattern'`). */
+    keyword: string;
+    /** Human-readable message. */
+    message: string;
+}
+
+/** Rejection reason for writes that do not satisfy `opts.schema`. */
+declare class ValidationError extends Error {
+    name: 'ValidationError';
+    /** Every failing path. */
+    errors: ValidationIssue[];
+    /** 'internal' for rejected writes, 'external' for reported file changes. */
+    source: 'internal' | 'external';
+}
+
+/** Rejection reason for `ifRevision` writes whose precondition no longer holds. */
+declare class ConflictError extends Error {
+    name: 'ConflictError';
+    /** The revision the caller expected. */
+    expectedRevision: number;
+    /** The revision the data is actually at. */
+    actualRevision: number;
+}
+
+/** One value both this instance and another writer changed */
+export interface MergeConflict {
+    /** Path of the value (e.g. `'users[0].email'`, `'(root)'` for the root). */
+    path: string;
+    /** Value when this instance last saw the file (undefined = missing). */
+    base: any;
+    /** Value from the pending local writes. */
+    local: any;
+    /** Value the other writer put into the file. */
+    remote: any;
+    /** Value that was persisted. */
+    resolved: any;
+}
+
+/** `conflict` event: pending writes were merged with an external change and both touched the same values */
+export interface ConflictEvent extends GentleDBEventBase<any> {
+    type: 'conflict';
+    conflicts: MergeConflict[];
+    /** Conflicting paths. */
+    paths: string[];
+    resolution: 'local' | 'remote' | 'custom';
+}
+
+/** Options for `write()` / `replace()` */
+export interface AuditOptions {
+    /** Who made the change; stored verbatim in the audit record (e.g. a user id or `{ id, name }`). */
+    actor?: any;
+    /** Free-form details stored with the record (request id, reason, ...). */
+    context?: any;
+}
+
+export interface WriteOptions extends AuditOptions {
+    /** Only persist when the stored revision still equals this (needs `opts.revisions`); rejects with `ConflictError` otherwise. */
+    ifRevision?: number;
+}
+
+/** One line of the audit log (`readAudit()`) */
+export interface AuditRecord {
+    timestamp: number;
+    /** `evt.op` of the write ('write', 'set', 'transaction', 'undo', ...; 'external' for watcher-detected changes). */
+    op: string;
+    source: 'internal' | 'external';
+    /** Changed paths in `a.b[0]` form. */
+    paths: string[];
+    /** Revision after the write (when `opts.revisions` is on). */
+    revision?: number;
+    actor?: any;
+    context?: any;
+}
+
+export interface AuditConfig {
+    /** Log file (default: `<data file>.audit.ndjson`; required for adapters without a file path). */
+    file?: string;
+    /** Rotate when the log would grow past this many bytes (default: 10 MiB). */
+    maxBytes?: number;
+    /** Rotated files kept as `<file>.1` .. `<file>.<keep>` (default: 5). */
+    keep?: number;
+    /** Also record changes other processes made to the file, as seen by the watcher (default: true). */
+    external?: boolean;
+}
+
+export interface AuditQuery {
+    /** Only records at or after this time. */
+    since?: number | Date | string;
+    /** Only records that changed this path, one of its parents or children. */
+    path?: string;
+    /** Only records by this actor (deep equality). */
+    actor?: any;
+}
+
+/** `invalid` event: an external file change did not satisfy the schema */
+export interface InvalidEvent<T = any> extends GentleDBEventBase<T> {
+    type: 'invalid';
+    source: 'external';
+    error: ValidationError;
+    errors: ValidationIssue[];
+    /** True when the change was not applied (`externalValidation: 'reject'`). */
+    rejected: boolean;
+}
+
+export interface TtlConfig {
+    /** How often the background sweeper removes expired entries; 0 disables it (default: 1000). */
+    sweepIntervalMs?: number;
+    /** Document field holding the expiry time, epoch ms or a date string (default: 'expiresAt'). */
+    field?: string;
+    /** Paths of arrays whose documents expire by `field`. */
+    collections?: string[];
+}
+
+export interface SetOptions extends AuditOptions {
+    /** Expire the value this many ms from now (needs `opts.ttl`). Any later write that changes the value drops the TTL. */
+    ttlMs?: number;
+}
+
+/** One entry removed by an expiry sweep */
+export interface ExpiredEntry {
+    path: string;
+    /** The removed value. */
+    value: any;
+    expiresAt: number;
+}
+
+/** `expire` event: a sweep removed expired entries in one write */
+export interface ExpireEvent extends GentleDBEventBase<any> {
+    type: 'expire';
+    source: 'internal';
+    expired: ExpiredEntry[];
+}
+
+/** Owner of a lock file, as reported by `lockInfo()` and the `lock:*` events */
+export interface LockOwner {
+    id: string | null;
+    pid: number | null;
+    hostname: string | null;
+    mode: 'exclusive' | 'shared';
+    /** When the lock was taken (epoch ms). */
+    since: number | null;
+    /** Last heartbeat (epoch ms). */
+    ts: number;
+    ageMs: number;
+    /** Whether the process still runs; null when it can't be checked (another host). */
+    alive: boolean | null;
+    stale: boolean;
+}
+
+/** Current holders of the lock files */
+export interface LockInfo {
+    exclusive: LockOwner | null;
+    shared: LockOwner[];
+    /** What this instance holds. */
+    held: 'exclusive' | 'shared' | null;
+    /** Sharded mode: the holders of each shard's lock, by top-level key. Readers of shards take no shared locks, so `shared` is empty. */
+    shards?: Record<string, { exclusive: LockOwner | null; shared: LockOwner[] }>;
+}
+
+/** Payload of `lock:stolen` and `lock:timeout` */
+export interface LockEvent extends GentleDBEventBase<any> {
+    type: 'lock:stolen' | 'lock:timeout';
+    lockPath: string;
+    mode: 'exclusive' | 'shared';
+    /**
+     * `lock:stolen`: 'dead-process' / 'expired' when this instance took over someone's stale lock, 'lost' when
+     * another process took over a lock this instance held, 'forced' when `breakLocks({ force: true })` removed a live one.
+    */
+    reason?: 'dead-process' | 'expired' | 'lost' | 'forced';
+    /** Whose lock was taken over (`lock:stolen`), or the holder that was waited for (`lock:timeout`). */
+    owner: Partial<LockOwner>;
+    /** `lock:stolen`: who took the lock over, when known. */
+    by?: Partial<LockOwner> | null;
+    /** `lock:timeout`: how long the acquisition waited. */
+    waitedMs?: number;
+}
+
+/** One step of `opts.migrations` */
+export interface Migration {
+    /** Schema version this step produces (integer >= 1). */
+    version: number;
+    /** Transform the data: mutate it in place or return the new data (an object). */
+    up(data: any): any | Promise<any>;
+}
+
+/** `migrate` event: one migration step ran (before the result is persisted) */
+export interface MigrateEvent extends GentleDBEventBase<any> {
+    type: 'migrate';
+    fromVersion: number;
+    toVersion: number;
+}
+
+/** Supported JSON Schema (draft-07 subset) */
+export interface GentleDBSchema {
+    type?: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null' | Array<'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null'>;
+    enum?: any[];
+    const?: any;
+    properties?: Record<string, GentleDBSchema | boolean>;
+    required?: string[];
+    additionalProperties?: GentleDBSchema | boolean;
+    items?: GentleDBSchema | boolean | Array<GentleDBSchema | boolean>;
+    additionalItems?: GentleDBSchema | boolean;
+    minItems?: number;
+    maxItems?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: number;
+    exclusiveMaximum?: number;
+    multipleOf?: number;
+    [keyword: string]: any;
+}
+
+/** Information passed to a custom `onCorrupt` handler */
+export interface CorruptFileInfo {
+    filePath: string;
+    raw: string;
+    error: any;
 }
 
 /** Watcher error event */
@@ -99,6 +568,240 @@ export type GentleDBEventHandler<T = any, E extends GentleDBEvent<T> = GentleDBE
     (evt: E & (E extends ChangeEvent<T> ? ChangeEvent<T> : E extends WatcherErrorEvent ? WatcherErrorEvent : GentleDBEvent<T>)) => any
 );
 
+/** Thrown (and emitted as `error`) when the data file exists but cannot be parsed. The file is left untouched. */
+declare class CorruptFileError extends Error {
+    name: 'CorruptFileError';
+    /** Path of the corrupt file. */
+    filePath: string;
+    /** Raw file contents. */
+    raw: string;
+    /** Underlying parse error. */
+    cause: any;
+}
+
+/**
+ * The data file (or a backup) can't be decrypted with `opts.encryption`: wrong key, modified ciphertext, or an
+ * encrypted file opened without a key. Never handled as corruption; the file is left untouched.
+*/
+declare class DecryptionError extends Error {
+    name: 'DecryptionError';
+    /** Path of the file that failed to decrypt. */
+    filePath: string;
+}
+
+/** `opts.encryption`: AES-256-GCM at rest. Give either `key` or `passphrase`. */
+export interface EncryptionOptions {
+    /** Raw 32-byte key: a Buffer, 64 hex characters or base64. */
+    key?: Uint8Array | string;
+    /** Passphrase; the key is derived with scrypt (salt stored in the file header). */
+    passphrase?: string;
+    /** scrypt cost (defaults: N = 2^15, r = 8, p = 1). N must be a power of two up to 2^20. */
+    scrypt?: { N?: number; r?: number; p?: number };
+    /** Open an existing plaintext file and encrypt it on the next write instead of rejecting (default: false). */
+    allowPlaintext?: boolean;
+}
+
+/**
+ * lowdb-compatible JSON file adapter used for string paths. Writes go to `<file>.tmp`, are fsynced and
+ * renamed over the target (followed by a directory fsync), so the file is never observed half-written.
+*/
+declare class GentleFileAdapter<T = any> implements Adapter<T> {
+    constructor(filename: string, opts?: FileAdapterOptions);
+    readonly filename: string;
+    readonly tempFilename: string;
+    indent: number | string;
+    sortKeys: boolean;
+    parse(text: string): T;
+    stringify(data: T): string;
+    /** File bytes to serialized text (decrypting with `opts.encryption`); rejects with `DecryptionError`. */
+    decode(buf: Uint8Array, file?: string): Promise<string>;
+    /** Serialized text to file bytes (encrypted with `opts.encryption`). */
+    encode(text: string): Promise<Uint8Array>;
+    /** Resolves to null when the file is missing or empty; rejects with `CorruptFileError` on bad content. */
+    read(): Promise<T | null>;
+    write(data: T): Promise<void>;
+    /** Identifies the file's current contents (`{ mtimeMs, size, ino }`), or null when it is missing. */
+    stamp(): Promise<any>;
+    /** Parsed temp file left by an interrupted write, or undefined when missing/incomplete. */
+    readTemp(): Promise<T | undefined>;
+    /** Remove a stale temp file. */
+    cleanup(): Promise<void>;
+}
+
+/** Serialization settings shared by the file adapters */
+export interface FileAdapterOptions {
+    /** Indentation; 0 writes compact output (default: 2). */
+    indent?: number | string;
+    /** Write object keys in sorted order so equal data always produces the same bytes (default: false). */
+    sortKeys?: boolean;
+    /** Encrypt the file at rest. */
+    encryption?: EncryptionOptions;
+}
+
+/** `opts.format`: storage format of a string path */
+export interface FormatOptions extends FileAdapterOptions {
+    /** Default: picked by extension (`.json5`, `.ndjson`/`.jsonl`, `.yaml`/`.yml`; anything else is JSON). */
+    type?: 'json' | 'json5' | 'ndjson' | 'yaml';
+}
+
+/**
+ * JSON5 file adapter: reads comments, trailing commas, unquoted keys, single quotes, hex numbers and Infinity/NaN.
+ * Comments from the last read are written back next to the same members.
+*/
+declare class GentleJson5Adapter<T = any> extends GentleFileAdapter<T> {
+    /** Comments seen by the last parse, keyed by JSON Pointer. */
+    comments: Map<string, { before: string[]; after: string[] }>;
+}
+
+/**
+ * NDJSON adapter for collection-shaped data: one `{"key":"users","item":{...}}` line per array element and one
+ * `{"key":...,"value":...}` line for every other top-level value. The root must be an object.
+*/
+declare class GentleNdjsonAdapter<T = any> extends GentleFileAdapter<T> {}
+
+/**
+ * Minimal YAML adapter: block mappings/sequences, plain and quoted scalars, flow collections, `|`/`>` block
+ * scalars and comments. Anchors, aliases, tags and multi-document files are rejected as corrupt.
+*/
+declare class GentleYamlAdapter<T = any> extends GentleFileAdapter<T> {}
+
+/**
+ * Storage interface for custom backends. `read`/`write` are required; the optional hooks give the backend the
+ * same semantics as a file: `watch` reports writes by others (compared against the last persisted state, so
+ * notifications for one's own writes are harmless), `lock`/`unlock` replace the lock file.
+*/
+export interface GentleAdapter<T = any> {
+    /** Stored data, or null when there is none yet. */
+    read(): Promise<T | null>;
+    write(data: T): Promise<void>;
+    /** Subscribe to changes; returns a function that stops the subscription. */
+    watch?(onChange: () => void): () => void;
+    /** Exclusive lock across every user of the backend; reject after `opts.timeoutMs`. */
+    lock?(opts: { timeoutMs: number; retryDelayMs: number; staleMs: number }): Promise<void>;
+    unlock?(): Promise<void>;
+    /**
+     * Any JSON value identifying the stored data's current version (null when unknown). Flushes skip reading
+     * the data again while it equals the stamp of the last read or write.
+     */
+    stamp?(): Promise<any>;
+}
+
+/**
+ * In-memory `GentleAdapter` for tests and ephemeral caches. Instances sharing one adapter behave like processes
+ * sharing a file: data is stored as JSON text, writes notify every watcher and `lock()` is exclusive across them.
+*/
+declare class GentleMemoryAdapter<T = any> implements GentleAdapter<T> {
+    constructor(initialData?: T);
+    read(): Promise<T | null>;
+    write(data: T): Promise<void>;
+    watch(onChange: () => void): () => void;
+    /** Rejects after `opts.timeoutMs` (default 5000) while another user holds the lock. */
+    lock(opts?: { timeoutMs?: number }): Promise<void>;
+    unlock(): Promise<void>;
+}
+
+/**
+ * Sharded storage (`opts.shards`): a directory with one file per top-level key, presented as one root. Only
+ * shards whose value changed are rewritten, and each shard has its own lock file. Writes spanning several
+ * shards are not atomic across them.
+*/
+declare class GentleShardedAdapter<T = any> implements GentleAdapter<T> {
+    static EXTENSIONS: { json: string; json5: string; yaml: string };
+    constructor(dir: string, opts?: { format?: 'json' | 'json5' | 'yaml' | FormatOptions; encryption?: EncryptionOptions });
+    readonly shardDir: string;
+    /** Shard file extension ('.json', '.json5' or '.yaml'). */
+    readonly ext: string;
+    /** File holding the value of a top-level key. */
+    fileFor(key: string): string;
+    lockPathFor(key: string): string;
+    /** Top-level keys that have a shard file. */
+    keys(): Promise<string[]>;
+    /** Union of the shards, or null when there are none; rejects with `CorruptFileError` naming a bad shard. */
+    read(): Promise<T | null>;
+    /**
+     * Read only the shards of `keys`: `values` has those that exist, `unchanged` those whose file is as this
+     * adapter last read or wrote it (they aren't read again).
+     */
+    readKeys(keys: string[]): Promise<{ values: Record<string, any>; unchanged: string[] }>;
+    /** Write the shards of `keys` (removing those missing from `data`), or every shard that changed when omitted. */
+    write(data: T, keys?: string[] | null): Promise<void>;
+    /** Whole-database snapshots (backups) are single JSON documents. */
+    parse(text: string): any;
+    stringify(data: any): string;
+    decode(buf: Uint8Array, file?: string): Promise<string>;
+    encode(text: string): Promise<Uint8Array>;
+    cleanup(): Promise<void>;
+    watch(onChange: () => void): () => void;
+}
+
+/** Automatic backup settings */
+export interface BackupOptions {
+    /** Number of automatic backups to keep (default: 5). Manual `backup()` snapshots are never rotated out. */
+    keep?: number;
+    /** Back up after every K-th persisted write (default: 1, or 0 when `intervalMs` is set). 0 disables. */
+    every?: number;
+    /** Also back up on this interval when the data changed since the last automatic backup (default: 0 = off). */
+    intervalMs?: number;
+    /** Backup directory (default: `<file>.backups`). Required for adapters without a file path. */
+    dir?: string;
+}
+
+/** Options for `createIndex()` */
+export interface IndexOptions {
+    /** Reject writes that would store the same value twice (default: false). */
+    unique?: boolean;
+    /** 'hash' serves equality and `$in`; 'sorted' also serves `$gt`/`$gte`/`$lt`/`$lte` (default: 'hash'). */
+    type?: 'hash' | 'sorted';
+}
+
+/** One entry returned by `listIndexes()` */
+export interface IndexInfo {
+    collection: string;
+    field: string;
+    unique: boolean;
+    type: 'hash' | 'sorted';
+    /** Number of distinct indexed values. */
+    size: number;
+}
+
+/** One entry returned by `listBackups()` */
+export interface BackupInfo {
+    /** Backup id (file name without extension), e.g. `'1760870400000.auto'` or `'1760870400000.before-import'`. */
+    id: string;
+    /** Creation time (ms since epoch). */
+    timestamp: number;
+    /** Label passed to `backup(label)`, if any. */
+    label: string | null;
+    /** Whether this is a rotating automatic backup. */
+    auto: boolean;
+    /** Absolute path of the backup file. */
+    path: string;
+    /** File size in bytes. */
+    size: number;
+}
+
+/** Journaled storage settings */
+export interface JournalOptions {
+    /** Compact after this many journaled ops (default: 1000). */
+    compactEveryOps?: number;
+    /** Compact once the journal reaches this many bytes (default: 8 MiB). */
+    compactEveryBytes?: number;
+    /** Compact when `close()` is called (default: true). */
+    compactOnClose?: boolean;
+}
+
+/**
+ * Journaled variant of `GentleFileAdapter`: the data file is a checkpoint and each write appends one
+ * NDJSON record of path-level ops to `<file>.journal`. Reads replay only records not seen yet.
+*/
+declare class GentleJournalAdapter<T = any> extends GentleFileAdapter<T> {
+    constructor(filename: string, opts?: JournalOptions & FileAdapterOptions);
+    readonly journalFilename: string;
+    readonly compactOnClose: boolean;
+    /** Rewrite the checkpoint and empty the journal (call while holding the lock). */
+    compact(data?: T): Promise<void>;
+}
+
 /** Options accepted by the constructor */
 export interface GentleDBOptions {
     /** Milliseconds to debounce writes (default: 100) */
@@ -115,12 +818,82 @@ export interface GentleDBOptions {
     lockRetryDelayMs?: number;
     /** Milliseconds to wait before giving up on a lock (default: 5000) */
     lockTimeoutMs?: number;
-    /** Milliseconds to consider a lock stale (default: 10000) */
+    /**
+     * Milliseconds without a heartbeat after which a lock is stale (default: 10000, min 1000). Held locks are
+     * refreshed every third of this; locks of a process that no longer runs on this host are stale at once.
+    */
     lockStaleMs?: number;
     /** Milliseconds to debounce file changes (default: 75) */
     watchDebounceMs?: number;
     /** Whether to register process exit handlers to attempt cleanup of lock files (default: true) */
     registerExitHandlers?: boolean;
+    /**
+     * What to do when the data file exists but cannot be parsed on open (default: 'throw').
+     * A custom function returns the data to start with, or `undefined` to fail as with 'throw'.
+     * The original bytes are always copied to `<file>.corrupt-<timestamp>` before the file is overwritten.
+    */
+    onCorrupt?: 'throw' | 'backup-and-reset' | 'recover-from-backup' | ((info: CorruptFileInfo) => any | Promise<any>);
+    /**
+     * Journaled storage for large files (default: false): writes append path-level ops to `<file>.journal`
+     * instead of rewriting the whole file; the journal is compacted periodically and on `close()`.
+    */
+    journal?: boolean | JournalOptions;
+    /**
+     * Store the database as a directory (the path) with one file per top-level key (default: false). Writes lock
+     * and rewrite only the shards they change; readers take no shared locks. Formats: json, json5, yaml.
+    */
+    shards?: boolean;
+    /**
+     * Storage format for string paths: 'json' | 'json5' | 'ndjson' | 'yaml', or `{ type, indent, sortKeys }`.
+     * Without a type the extension decides. Journal mode needs JSON.
+    */
+    format?: 'json' | 'json5' | 'ndjson' | 'yaml' | FormatOptions;
+    /**
+     * Encrypt the data file and its backups with AES-256-GCM (default: off). Reads, writes, queries and the
+     * watcher decrypt transparently; a wrong key rejects with `DecryptionError`. Needs a string path; not with journal mode.
+    */
+    encryption?: EncryptionOptions | null;
+    /**
+     * JSON Schema (draft-07 subset) every persisted state must satisfy. Writes that violate it reject with
+     * `ValidationError` listing every failing path; nothing is written.
+    */
+    schema?: GentleDBSchema | null;
+    /**
+     * What to do with external file changes that violate `schema` (default: 'reject'):
+     * 'reject' keeps the last valid data and emits `invalid`, 'emit' applies the change and emits `invalid`,
+     * 'accept' applies it silently.
+    */
+    externalValidation?: 'reject' | 'accept' | 'emit';
+    /**
+     * Ordered data migrations. The version is stored in the data as `__schemaVersion`; pending steps run
+     * on open under the lock (after a `pre-migrate-v<n>` backup) and are persisted as one write (op 'migrate').
+     * A new database starts at the latest version.
+    */
+    migrations?: Migration[];
+    /**
+     * Stamp every persisted state with a monotonically increasing `__revision` (default: false).
+     * Enables compare-and-swap writes via `write(data, { ifRevision })` / `replace(data, { ifRevision })`.
+    */
+    revisions?: boolean;
+    /**
+     * When another process changed the file while writes were pending, both sides are merged path by path.
+     * Values both sides changed are settled by this (default: 'local'); a function returns the value to keep.
+    */
+    onConflict?: 'local' | 'remote' | ((conflict: { path: string; base: any; local: any; remote: any }) => any);
+    /**
+     * Undo/redo history (default: false): each committed write is recorded as inverse patches in a ring of
+     * `limit` entries (default 100). `true` uses the defaults.
+    */
+    history?: boolean | { limit?: number };
+    /** Append-only NDJSON audit log of committed writes (default: false). `true` uses the defaults. */
+    audit?: boolean | AuditConfig;
+    /**
+     * Expiring entries (default: false): `set(path, value, { ttlMs })` and an `expiresAt` field on the documents of
+     * `collections`. Reads never return expired entries; a background sweeper removes them. `true` uses the defaults.
+    */
+    ttl?: boolean | TtlConfig;
+    /** Rotating automatic backups of the data file (default: false). `true` uses the defaults. */
+    backups?: boolean | BackupOptions;
 }
 
 /**
@@ -130,10 +903,10 @@ export interface GentleDBOptions {
 declare class GentleDB<T = any> {
     /**
      * Create a GentleDB instance.
-     * @param adapterOrPath - Path to JSON file (string) or a lowdb `Adapter<T>` instance.
+     * @param adapterOrPath - Path to the data file (string), a `GentleAdapter<T>` or a lowdb `Adapter<T>` instance.
      * @param opts - runtime options
     */
-    constructor(adapterOrPath: string | Adapter<T>, opts?: GentleDBOptions);
+    constructor(adapterOrPath: string | GentleAdapter<T> | Adapter<T>, opts?: GentleDBOptions);
 
     /**
      * Subscribe to events. NOTE: In v1.0.3 `on()` does NOT return an unsubscribe function — call `off(name, fn)` to remove handlers.
@@ -142,12 +915,25 @@ declare class GentleDB<T = any> {
     on(name: GentleDBEventName, fn: GentleDBEventHandler<T>): void;
     on(name: 'change', fn: (evt: ChangeEvent<T>) => any | Promise<any>): void;
     on(name: 'watcher:error', fn: (evt: WatcherErrorEvent) => any | Promise<any>): void;
+    on(name: 'corrupt', fn: (evt: CorruptEvent) => any | Promise<any>): void;
+    on(name: 'invalid', fn: (evt: InvalidEvent<T>) => any | Promise<any>): void;
+    on(name: 'migrate', fn: (evt: MigrateEvent) => any | Promise<any>): void;
+    on(name: 'conflict', fn: (evt: ConflictEvent) => any | Promise<any>): void;
+    on(name: 'expire', fn: (evt: ExpireEvent) => any | Promise<any>): void;
+    on(name: 'lock:stolen' | 'lock:timeout', fn: (evt: LockEvent) => any | Promise<any>): void;
 
     /**
      * Unsubscribe. Returns true on success.
     */
     off(name: GentleDBEventName, fn: GentleDBEventHandler<T>): boolean;
 
+    /**
+     * Call `handler` whenever the value at `path` changes (internal writes and external edits).
+     * `*` matches any one key or index (`'users[*].email'`); globs fire once per changed concrete path.
+     * Returns a disposer that unsubscribes.
+    */
+    watch<P extends string>(path: P, handler: (evt: WatchEvent<PathValue<T, P>>) => any | Promise<any>): () => boolean;
+
     /** Read the DB (debounced). Resolves to a deep-cloned snapshot of the data. */
     read(): Promise<T>;
 
@@ -158,17 +944,52 @@ declare class GentleDB<T = any> {
      *
      * Note: v1.0.3 makes `write()` a strictly-partial-write method and it **no longer accepts an options argument**.
     */
-    write(partialOrFullData?: Partial<T> | T): Promise<any>;
+    write(partialOrFullData?: Partial<T> | T, opts?: WriteOptions): Promise<any>;
 
     /** Replace entire DB root with provided data. Emits canonical `replace` event (and keeps legacy `write` compatibility events). */
-    replace(fullData: T): Promise<any>;
+    replace(fullData: T, opts?: WriteOptions): Promise<any>;
 
     /** Replace DB contents with configured defaultData. Emits `replace` with `op === 'resetDefault'`. */
-    resetDefault(): Promise<any>;
+    resetDefault(opts?: AuditOptions): Promise<any>;
 
     /** Convenience alias for reading everything (calls `read()`). */
     getAll(): Promise<T>;
 
+    /** Read the value at a dotted/bracket path (e.g. `'users[0].name'`). Resolves to a deep clone. */
+    get<P extends string>(path: P): Promise<PathValue<T, P> | undefined>;
+
+    /** Set the value at a path (debounced). Missing intermediate objects/arrays are created. Emits `write`/`change` with `op === 'set'`. */
+    set<P extends string>(path: P, value: PathValue<T, P>, opts?: SetOptions): Promise<any>;
+
+    /** Remove the value at a path (debounced). Array elements are spliced out. Emits `write`/`change` with `op === 'unset'`. */
+    unset(path: string, opts?: AuditOptions): Promise<any>;
+
+    /**
+     * Replace the value at a path with `fn(current)` (debounced). `fn` must be synchronous and runs at flush time
+     * against the latest data; returning `undefined` removes the value. Emits `write`/`change` with `op === 'update'`.
+    */
+    update<P extends string>(path: P, fn: (current: PathValue<T, P> | undefined) => PathValue<T, P> | undefined, opts?: AuditOptions): Promise<any>;
+
+    /**
+     * Run `fn` against a private working copy while holding the file lock. When `fn` resolves, all changes are
+     * persisted as one write (`op === 'transaction'`) with a single `change` event; if it throws, nothing is written
+     * and the previous state is kept. Resolves to `fn`'s return value.
+     * Use only `tx` inside `fn` — `db` methods that read, write or lock reject there rather than wait for the transaction itself.
+    */
+    transaction<R>(fn: (tx: GentleDBTransaction<T>) => R | Promise<R>, opts?: AuditOptions): Promise<R>;
+
+    /** Document helpers over the array stored at `name` (created on first insert). */
+    collection<P extends string>(name: P, opts?: CollectionOptions): GentleCollection<PathElement<T, P>>;
+
+    /** Append items to the array at a path (created when missing; rejects if the value is not an array). Emits `op === 'push'`. */
+    push<P extends string>(path: P, ...items: PathElement<T, P>[]): Promise<any>;
+
+    /**
+     * Handle whose writes are audited as `actor` (with `context`), including `push()` and collection mutators.
+     * Throws `TypeError` when `actor` is undefined.
+    */
+    as(actor: any, context?: any): GentleDBScope<T>;
+
     /**
      * Search for matching leaf values.
      * Returns `{ partial: any[], exact: any[] }` where each entry is `{ origin, match }`.
@@ -178,27 +999,132 @@ declare class GentleDB<T = any> {
         opts?: { caseSensitive?: boolean; searchKeys?: boolean; maxMatches?: number }
     ): Promise<{ partial: any[]; exact: any[] }>;
 
+    /**
+     * Revert the newest recorded write (needs `opts.history`). Emits `replace`/`change` with `op === 'undo'`.
+     * Resolves to false when there is nothing to undo.
+    */
+    undo(opts?: AuditOptions): Promise<boolean | any>;
+
+    /** Reapply the newest undone write (`op === 'redo'`). Resolves to false when there is nothing to redo. */
+    redo(opts?: AuditOptions): Promise<boolean | any>;
+
+    canUndo(): boolean;
+    canRedo(): boolean;
+
+    /** Recorded entries, newest first. */
+    history(): { undo: HistoryEntry[]; redo: HistoryEntry[] };
+
+    /**
+     * Remove expired entries now, in one write under the lock (`op === 'expire'`), and emit `expire`.
+     * Resolves to the removed entries (empty when nothing had expired; nothing is written then).
+    */
+    sweepExpired(): Promise<ExpiredEntry[]>;
+
+    /** Audit records matching all given filters, oldest first, rotated files included (needs `opts.audit`). */
+    readAudit(filter?: AuditQuery): Promise<AuditRecord[]>;
+
+    /**
+     * Apply an RFC 6902 JSON Patch through the write pipeline (`op === 'patch'`). All-or-nothing: if any operation
+     * (including `test`) fails, the call rejects and nothing changes.
+    */
+    applyPatch(patch: JsonPatchOperation[], opts?: AuditOptions): Promise<any>;
+
+    /**
+     * Structured (Mongo-style) query over the documents stored at `source` — array elements, or the values of an object.
+     * Resolves to whole matching documents plus their paths.
+    */
+    query<P extends string>(source: P, filter?: QueryFilter, opts?: QueryOptions): Promise<QueryResult<PathElement<T, P>>[]>;
+
+    /**
+     * In-memory secondary index over `field` of the documents in the array at `collection`, used automatically by
+     * `query()` and collection lookups. Unique indexes reject writes introducing duplicates with `ValidationError`.
+    */
+    createIndex(collection: string, field: string, opts?: IndexOptions): Promise<IndexInfo>;
+
+    /** Remove an index; true when one existed. */
+    dropIndex(collection: string, field: string): boolean;
+
+    listIndexes(): IndexInfo[];
+
+    /** Backups of the data file, newest first. */
+    listBackups(): Promise<BackupInfo[]>;
+
+    /** Snapshot the data file now, under the lock. */
+    backup(label?: string): Promise<BackupInfo>;
+
+    /**
+     * Replace the DB with a backup, by id or as of a point in time (newest backup not newer than the timestamp).
+     * Goes through the replace pipeline: listeners see `replace` with `op === 'restore'`.
+    */
+    restore(idOrTimestamp: string | number | Date, opts?: AuditOptions): Promise<any>;
+
+    /**
+     * Re-encrypt the data file and its backups with a new key: a Buffer (raw 32-byte key), a passphrase string,
+     * or `EncryptionOptions`. Runs after queued writes, under the lock. Needs `opts.encryption`.
+    */
+    rekey(newKey: Uint8Array | string | EncryptionOptions): Promise<boolean>;
+
+    /** Run pending migrations up to `version` (default: the latest); resolves to the stored version. */
+    migrateTo(version?: number): Promise<number>;
+
     /** Close watchers and cleanup (releases locks). */
     close(): Promise<void>;
 
     /**
-     * Acquire a manual lock. If `permanent` is true, the instance will treat the lock as manually held
-     * until `unlock(true)` is called or `restoreLock()` is used.
+     * Acquire a manual lock, held until the matching `unlock()`. Re-entrant: nested calls count levels, and this
+     * instance's own reads and writes run inside the lock. `permanent` is accepted for compatibility.
      * Emits `lock` event (cancellable).
     */
     lock(permanent?: boolean): Promise<boolean>;
 
     /**
-     * Release a manual lock. If `permanent` is true, marks manual unlock.
-     * Emits `unlock` event (cancellable).
+     * Leave one manual lock level (`permanent`: every level); the last one releases the lock.
+     * Resolves to false when no manual lock was held. Emits `unlock` event (cancellable).
     */
     unlock(permanent?: boolean): Promise<boolean>;
 
     /**
-     * Restore default locking behavior (clears manual unlock flags).
+     * Run `fn(db)` holding the lock; other processes wait for the whole callback. Re-entrant for this instance.
+     * Released when `fn` settles, also when it throws. Resolves to `fn`'s result.
+    */
+    withLock<R>(fn: (db: this) => R | Promise<R>): Promise<R>;
+
+    /**
+     * Back to per-operation locking: drops every manual lock level (like `unlock(true)`, without events).
     */
     restoreLock(): boolean;
 
+    /** Current holders of the lock files (exclusive writer, shared readers) and what this instance holds. */
+    lockInfo(): Promise<LockInfo>;
+
+    /**
+     * Remove lock files whose owner is gone; `force: true` removes live owners' locks too. Resolves to the owners
+     * removed. Like `lockInfo()`, it doesn't wait for the lock another process holds.
+    */
+    breakLocks(opts?: { force?: boolean }): Promise<LockOwner[]>;
+
+    /**
+     * `lockInfo()` of a database without opening it: nothing is read or locked, so a stale lock is reported
+     * as it is instead of being broken by the open.
+    */
+    static lockInfo(adapterOrPath: string | GentleAdapter<any> | Adapter<any>, opts?: GentleDBOptions): Promise<LockInfo>;
+
+    /** `breakLocks()` of a database without opening it. */
+    static breakLocks(adapterOrPath: string | GentleAdapter<any> | Adapter<any>, opts?: GentleDBOptions & { force?: boolean }): Promise<LockOwner[]>;
+
+    static CorruptFileError: typeof CorruptFileError;
+    static ValidationError: typeof ValidationError;
+    static ConflictError: typeof ConflictError;
+    static DecryptionError: typeof DecryptionError;
+    static GentleFileAdapter: typeof GentleFileAdapter;
+    static GentleJournalAdapter: typeof GentleJournalAdapter;
+    static GentleJson5Adapter: typeof GentleJson5Adapter;
+    static GentleNdjsonAdapter: typeof GentleNdjsonAdapter;
+    static GentleYamlAdapter: typeof GentleYamlAdapter;
+    static GentleShardedAdapter: typeof GentleShardedAdapter;
+    static GentleMemoryAdapter: typeof GentleMemoryAdapter;
+    static MemoryAdapter: typeof GentleMemoryAdapter;
+
     /** For convenience: respects the runtime implementation's Symbol.toPrimitive */
     [Symbol.toPrimitive](hint: string): any;
 }
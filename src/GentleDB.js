@@ -5,12 +5,17 @@
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 
 class GentleDB {
     // track instances for exit cleanup
     static _instances = new Set();
     static _exitHandlerRegistered = false;
+    // root keys GentleDB maintains in the data itself; opts.schema doesn't see them
+    static _RESERVED_KEYS = ['__schemaVersion', '__revision', '__expires'];
 
     constructor(adapterOrPath, opts = {}) {
         // Default options
@@ -24,7 +29,20 @@ class GentleDB {
             lockTimeoutMs: 5000,
             lockStaleMs: 10000,
             watchDebounceMs: 75,
-            registerExitHandlers: true
+            registerExitHandlers: true,
+            onCorrupt: 'throw',
+            backups: false,
+            journal: false,
+            shards: false,
+            schema: null,
+            externalValidation: 'reject',
+            migrations: [],
+            revisions: false,
+            onConflict: 'local',
+            history: false,
+            audit: false,
+            ttl: false,
+            format: null
         };
         this.opts = Object.assign({}, defaultOpts, opts);
 
@@ -37,6 +55,48 @@ class GentleDB {
         this._watchDebounceMs = Math.max(10, Number(this.opts.watchDebounceMs) || 75);
         this._maxMatchesDefault = Math.max(1, Math.floor(this.opts.maxMatches || 1000));
         this.opts.caseSensitive = Boolean(this.opts.caseSensitive);
+        this._migrations = GentleDB._normalizeMigrations(this.opts.migrations);
+
+        // Automatic backups: `backups: { keep, every, intervalMs, dir }` (or `true` for defaults)
+        const backupOpts = this.opts.backups === true ? {} : this.opts.backups;
+        this._backupCfg = backupOpts && typeof backupOpts === 'object' ? {
+            keep: Math.max(1, Math.floor(Number(backupOpts.keep) || 5)),
+            every: Math.max(0, Math.floor(backupOpts.every === undefined ? (backupOpts.intervalMs ? 0 : 1) : Number(backupOpts.every) || 0)),
+            intervalMs: Math.max(0, Number(backupOpts.intervalMs) || 0),
+            dir: backupOpts.dir ? path.resolve(String(backupOpts.dir)) : null
+        } : null;
+
+        // Undo/redo history: `history: { limit }` (or `true` for defaults)
+        const historyOpts = this.opts.history === true ? {} : this.opts.history;
+        this._historyCfg = historyOpts && typeof historyOpts === 'object' ? {
+            limit: Math.max(1, Math.floor(Number(historyOpts.limit) || 100))
+        } : null;
+        this._undoStack = [];
+        this._redoStack = [];
+        this._historySeq = 0;
+
+        // Audit log: `audit: { file, maxBytes, keep, external }` (or `true` for defaults); the file defaults to
+        // `<data file>.audit.ndjson` once the path is known
+        const auditOpts = this.opts.audit === true ? {} : this.opts.audit;
+        this._auditCfg = auditOpts && typeof auditOpts === 'object' ? {
+            file: auditOpts.file ? path.resolve(String(auditOpts.file)) : null,
+            maxBytes: Math.max(1024, Math.floor(Number(auditOpts.maxBytes) || 10 * 1024 * 1024)),
+            keep: Math.max(0, Math.floor(auditOpts.keep === undefined ? 5 : Number(auditOpts.keep) || 0)),
+            external: auditOpts.external !== false
+        } : null;
+        // serializes appends (internal writes and watcher-detected changes)
+        this._auditChain = Promise.resolve();
+
+        // Expiring entries: `ttl: { sweepIntervalMs, field, collections }` (or `true` for defaults). Path TTLs live
+        // in the data as `__expires: { '<path>': <epoch ms> }`; documents of `collections` expire by their `field`.
+        const ttlOpts = this.opts.ttl === true ? {} : this.opts.ttl;
+        this._ttlCfg = ttlOpts && typeof ttlOpts === 'object' ? {
+            sweepIntervalMs: Math.max(0, Number(ttlOpts.sweepIntervalMs === undefined ? 1000 : ttlOpts.sweepIntervalMs) || 0),
+            field: ttlOpts.field ? String(ttlOpts.field) : 'expiresAt',
+            collections: (Array.isArray(ttlOpts.collections) ? ttlOpts.collections : []).map(String)
+        } : null;
+        this._sweepTimer = null;
+        this._sweeping = false;
 
         // store structuredClone availability once to reduce checks
         this._supportsStructuredClone = (typeof globalThis !== 'undefined' && typeof globalThis.structuredClone === 'function');
@@ -49,7 +109,16 @@ class GentleDB {
         this._adapter = null;
         this._filePath = null;
         this._lockPath = null;
-        this._heldLockHandle = null;
+        // lock files held by this instance (see _acquireLock) and the heartbeat keeping them fresh
+        this._heldLocks = [];
+        this._sharedLocks = new Set();
+        // sharded mode: one lock file per shard (see _lockPathsFor)
+        this._shardLocks = false;
+        this._lockHeartbeat = null;
+        this._heartbeatRun = null;
+        // adapters with their own lock()/unlock() hooks replace the lock file
+        this._adapterLock = false;
+        this._adapterLockHeld = false;
 
         // Debounce / serialization state
         this._writeTimer = null;
@@ -58,15 +127,39 @@ class GentleDB {
         this._pendingRead = null;
         this._chain = Promise.resolve();
 
+        // Backup state
+        this._writesSinceBackup = 0;
+        this._backupTimer = null;
+        this._lastAutoBackupSnapshot = null;
+
         // Watcher flags
         this._watcher = null;
         this._usingWatchFile = false;
         this._suppressWatchEvents = false;
         this._isWriting = false;
         this._lastOnDiskSnapshot = null;
-
-        // manual lock override flag (used by unlock(permanent=true))
-        this._manualUnlocked = false;
+        // the adapter's stamp() of the file `_lastOnDiskSnapshot` was taken from; null when unknown
+        this._diskStamp = null;
+        // whether `_lastOnDiskSnapshot` was read from or written to disk (not just opened with), so a sharded
+        // flush can take the shards it doesn't lock from it
+        this._snapshotOnDisk = false;
+        // bumped on every persist by this instance (write batches remember it with their merge base)
+        this._writeSeq = 0;
+
+        // Secondary indexes (createIndex) and the runtime data object they currently describe
+        this._indexes = new Map();
+        this._indexedData = null;
+
+        // the transaction whose callback the current async context runs in (it owns the lock and the write chain);
+        // unrelated code calling transaction() meanwhile just queues
+        this._txContext = new AsyncLocalStorage();
+
+        // manual lock (lock() / withLock()): nesting depth, whether it is held, and how many of this instance's
+        // own lock acquisitions currently run inside it
+        this._manualLockDepth = 0;
+        this._manualLockHeld = false;
+        this._manualLockReady = null;
+        this._joinedLocks = 0;
 
         // event chain stack used for preventChain semantics
         // push event contexts here while emitting; listeners can call evt.preventChain()
@@ -79,9 +172,12 @@ class GentleDB {
             const cleanup = () => {
                 for (const inst of GentleDB._instances) {
                     try {
-                        if (inst && inst._heldLockHandle) {
-                            // best-effort synchronous unlink - avoid async work on exit
-                            try { fs.unlinkSync(inst._lockPath); } catch (e) { /* ignore */ }
+                        // best-effort synchronous unlink - avoid async work on exit
+                        for (const held of (inst && inst._heldLocks) || []) {
+                            try { fs.unlinkSync(held.file); } catch (e) { /* ignore */ }
+                        }
+                        for (const held of (inst && inst._sharedLocks) || []) {
+                            try { fs.unlinkSync(held.file); } catch (e) { /* ignore */ }
                         }
                     } catch (e) { /* ignore */ }
                 }
@@ -91,9 +187,19 @@ class GentleDB {
             process.on('SIGTERM', () => { cleanup(); process.exit(143); });
         }
 
+        // _setupReady settles once the storage and lock paths are known, before the lock is taken for the first read:
+        // lockInfo()/breakLocks() only wait for that, so they work while another process holds the lock
+        let setupDone = null;
+        this._setupReady = new Promise((resolve, reject) => { setupDone = { resolve, reject }; });
+        this._setupReady.catch(() => { /* reported through _initPromise */ });
+        // set while close() runs: an open still waiting for the lock gives up
+        this._closing = false;
+        // set by GentleDB.lockInfo()/breakLocks(): the instance stops after setup, without opening the data
+        this._setupOnly = false;
+
         // Expose init promise resolving once lowdb ready
         this._initPromise = (async () => {
-            const { Low, JSONFile } = await GentleDB._loadLowdbModule();
+            const { Low } = await GentleDB._loadLowdbModule();
 
             let adapter = adapterOrPath;
             let filePathCandidate = null;
@@ -106,13 +212,17 @@ class GentleDB {
                 } catch (err) {
                     throw new Error(`GentleDB: failed to ensure directory exists from path ${filePathCandidate}: ${err && err.message ? err.message : String(err)}`);
                 }
-                if (!JSONFile) {
-                    throw new Error('GentleDB: lowdb JSONFile adapter not found for string path usage.');
-                }
-                adapter = new JSONFile(filePathCandidate);
+                // crash-safe adapter (temp file + fsync + rename) instead of lowdb's JSONFile
+                adapter = GentleDB._fileAdapterFor(filePathCandidate, this.opts);
                 this._filePath = filePathCandidate;
+                this._shardLocks = typeof adapter.lockPathFor === 'function';
             } else if (adapterOrPath && typeof adapterOrPath === 'object') {
-                // best-effort discover filename
+                if (this.opts.encryption) throw new Error('GentleDB: encryption needs a file path; a custom adapter handles its own storage.');
+                if (typeof adapterOrPath.read !== 'function' || typeof adapterOrPath.write !== 'function') {
+                    throw new Error('GentleDB: an adapter needs read() and write() methods.');
+                }
+                this._adapterLock = typeof adapterOrPath.lock === 'function' && typeof adapterOrPath.unlock === 'function';
+                // best-effort discover filename (plain lowdb adapters get the lock file and file watcher)
                 try {
                     this._filePath = adapterOrPath.filename || adapterOrPath.filePath || adapterOrPath.path || adapterOrPath.file || null;
                 } catch (e) {
@@ -123,7 +233,11 @@ class GentleDB {
             }
 
             this._filePath ??= filePathCandidate ? filePathCandidate : null;
-            this._lockPath = this._filePath ? `${this._filePath}.lock` : null;
+            this._lockPath = this._filePath && !this._adapterLock && !this._shardLocks ? `${this._filePath}.lock` : null;
+            if (this._auditCfg && !this._auditCfg.file) {
+                if (!this._filePath) throw new Error('GentleDB: audit needs a file path or opts.audit.file.');
+                this._auditCfg.file = `${this._filePath}.audit.ndjson`;
+            }
 
             this._adapter = adapter;
             try {
@@ -132,23 +246,31 @@ class GentleDB {
                 throw new Error(`GentleDB: failed to construct Low(adapter). Underlying error: ${err && err.message ? err.message : String(err)}`);
             }
 
-            // initial read + write defaults
-            try { await this._low.read(); } catch (e) { /* ignore */ }
-            if (this._low.data === undefined || this._low.data === null) {
-                this._low.data = GentleDB._cloneSafe(this.opts.defaultData);
-                try { await this._low.write(); } catch (e) { /* ignore */ }
-            }
+            setupDone.resolve();
+            if (this._setupOnly) return true;
+
+            // initial read + write defaults, under the lock so recovery can't race another writer.
+            // Read errors are fatal here: a corrupt file must never be silently replaced by defaultData.
+            // Pending migrations run here too, before the watcher starts.
+            await this._acquireLock();
             try {
-                await this._low.read();
-                this._lastOnDiskSnapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
-            } catch (e) {
-                this._lastOnDiskSnapshot = GentleDB._cloneSafe(this.opts.defaultData);
+                await this._openData();
+                await this._runMigrations(undefined);
+            } finally {
+                try { await this._releaseLock(); } catch (e) { /* ignore */ }
             }
 
-            if (this._filePath) this._startWatcher();
+            if (this._closing) return true;
+            if (this._filePath || typeof this._adapter.watch === 'function') this._startWatcher();
+            this._startBackupTimer();
+            this._startSweepTimer();
 
             return true;
         })();
+        this._initPromise.catch(err => setupDone.reject(err));
+        // callers await _initPromise through every public method; this only prevents an
+        // unhandled-rejection crash when a failing instance is never used
+        this._initPromise.catch(() => { /* reported through public methods */ });
     }
 
     on(name, fn) {
@@ -170,28 +292,45 @@ class GentleDB {
         try { this._ee.off(name, fn); return true; } catch (e) { return false; }
     }
 
+    // watch(path, handler): call handler({ path, pattern, oldValue, newValue, source, op }) whenever the value
+    // at path changes, from internal writes or external edits. `*` matches any one key or index
+    // (`users[*].email`, `settings.*`); globs fire once per changed concrete path. Returns a disposer.
+    watch(pattern, handler) {
+        this._assertPath(pattern, 'watch');
+        if (typeof handler !== 'function') throw new TypeError('GentleDB.watch: handler must be a function.');
+        const segs = this._splitPath(String(pattern));
+        const listener = async (evt) => {
+            for (const hit of this._watchHits(segs, evt)) {
+                await handler({ type: 'watch', pattern: String(pattern), ...hit, source: evt.source, op: evt.op, timestamp: evt.timestamp });
+            }
+        };
+        this._ee.on('change', listener);
+        return () => this.off('change', listener);
+    }
+
     async read() {
         await this._initPromise;
         return this._debouncedRead();
     }
 
-    // write() is now strictly a partial write method and does not accept an options argument.
-    async write(partialOrFullData = undefined) {
+    // write() is strictly a partial write method; its options are the `ifRevision` precondition and the
+    // audit `actor`/`context`.
+    async write(partialOrFullData = undefined, opts = {}) {
         await this._initPromise;
-        return this._debouncedWrite(partialOrFullData, {});
+        return this._debouncedWrite(partialOrFullData, this._auditOpts(this._revisionOpts({}, opts, 'write'), opts));
     }
 
     // replace: full-replace write (emits 'replace' event; for compatibility also emits 'write' events)
-    async replace(fullData) {
+    async replace(fullData, opts = {}) {
         await this._initPromise;
-        return this._debouncedWrite(fullData, { replace: true, op: 'replace' });
+        return this._debouncedWrite(fullData, this._auditOpts(this._revisionOpts({ replace: true, op: 'replace' }, opts, 'replace'), opts));
     }
 
     // resetDefault: replace DB contents with configured defaultData (op: 'resetDefault')
-    async resetDefault() {
+    async resetDefault(opts = {}) {
         await this._initPromise;
         const def = GentleDB._cloneSafe(this.opts.defaultData === undefined ? {} : this.opts.defaultData);
-        return this._debouncedWrite(def, { replace: true, op: 'resetDefault' });
+        return this._debouncedWrite(def, this._auditOpts({ replace: true, op: 'resetDefault' }, opts));
     }
 
     async getAll() {
@@ -199,6 +338,218 @@ class GentleDB {
         return this.read();
     }
 
+    // get(path): read a single value by dotted/bracket path (e.g. 'users[0].name'); resolves to a clone
+    async get(pathStr = '') {
+        await this._initPromise;
+        const snapshot = await this.read();
+        return this._getAtPath(snapshot, pathStr);
+    }
+
+    // set(path, value): write a single value at path through the debounced write pipeline
+    // `opts.ttlMs` (needs opts.ttl) expires the value that long after the call; setting a path again clears its TTL.
+    async set(pathStr, value, opts = {}) {
+        await this._initPromise;
+        return this._debouncedWrite(undefined, this._auditOpts(this._ttlOpts(this._pathStep('set', pathStr, value), opts, 'set'), opts));
+    }
+
+    // unset(path): remove a key (or splice an array element) at path
+    async unset(pathStr, opts = {}) {
+        await this._initPromise;
+        return this._debouncedWrite(undefined, this._auditOpts(this._ttlOpts(this._pathStep('unset', pathStr), {}, 'unset'), opts));
+    }
+
+    // update(path, fn): replace the value at path with fn(currentValue); fn runs at flush time
+    // against the latest data, so concurrent updates compose. Returning undefined removes the value.
+    async update(pathStr, fn, opts = {}) {
+        await this._initPromise;
+        return this._debouncedWrite(undefined, this._auditOpts(this._pathStep('update', pathStr, fn), opts));
+    }
+
+    // push(path, ...items): append items to the array at path (created when missing). Every argument is an
+    // item, so an audit actor comes from db.as(actor).
+    async push(pathStr, ...items) {
+        return this._push(pathStr, items, {});
+    }
+
+    async _push(pathStr, items, opts) {
+        await this._initPromise;
+        return this._debouncedWrite(undefined, this._auditOpts(this._pathStep('push', pathStr, items), opts));
+    }
+
+    // as(actor, context?): handle whose writes are audited as `actor` (with `context`), push() and collection
+    // mutators included. Options passed to a call still win; reads go to the database itself.
+    as(actor, context) {
+        if (actor === undefined) throw new TypeError('GentleDB.as: actor is required.');
+        const scope = this._auditOpts({}, { actor, context });
+        const scoped = (opts) => ({ ...scope, ...(opts || {}) });
+        return {
+            db: this,
+            write: (data, opts) => this.write(data, scoped(opts)),
+            replace: (data, opts) => this.replace(data, scoped(opts)),
+            resetDefault: (opts) => this.resetDefault(scoped(opts)),
+            set: (pathStr, value, opts) => this.set(pathStr, value, scoped(opts)),
+            unset: (pathStr, opts) => this.unset(pathStr, scoped(opts)),
+            update: (pathStr, fn, opts) => this.update(pathStr, fn, scoped(opts)),
+            push: (pathStr, ...items) => this._push(pathStr, items, scope),
+            applyPatch: (patch, opts) => this.applyPatch(patch, scoped(opts)),
+            restore: (idOrTimestamp, opts) => this.restore(idOrTimestamp, scoped(opts)),
+            undo: (opts) => this.undo(scoped(opts)),
+            redo: (opts) => this.redo(scoped(opts)),
+            transaction: (fn, opts) => this.transaction(fn, scoped(opts)),
+            collection: (name, opts) => {
+                const coll = this.collection(name, opts);
+                coll._audit = scope;
+                return coll;
+            }
+        };
+    }
+
+    // applyPatch(patch): apply an RFC 6902 JSON Patch through the write pipeline (op 'patch').
+    // All-or-nothing: when any operation (including 'test') fails, the call rejects and nothing changes.
+    async applyPatch(patch, opts = {}) {
+        await this._initPromise;
+        if (!Array.isArray(patch)) throw new TypeError('GentleDB.applyPatch: patch must be an array of operations.');
+        const ops = GentleDB._cloneSafe(patch);
+        const paths = [];
+        for (const op of ops) {
+            if (!op || typeof op !== 'object' || typeof op.path !== 'string') throw new TypeError('GentleDB.applyPatch: every operation needs an op and a path.');
+            if (!['add', 'remove', 'replace', 'move', 'copy', 'test'].includes(op.op)) throw new TypeError(`GentleDB.applyPatch: unknown operation "${op.op}".`);
+            if ((op.op === 'move' || op.op === 'copy') && typeof op.from !== 'string') throw new TypeError(`GentleDB.applyPatch: "${op.op}" needs a from pointer.`);
+            if (op.op !== 'test') paths.push(this._pointerToPath(op.path, true));
+            if (op.op === 'move') paths.push(this._pointerToPath(op.from, true));
+        }
+        return this._debouncedWrite(undefined, this._auditOpts({
+            op: 'patch',
+            paths,
+            // work on a copy so a failing operation leaves the batch untouched
+            mutate: (draft) => ops.reduce((doc, op) => this._applyPatchOp(doc, op), GentleDB._cloneSafe(draft))
+        }, opts));
+    }
+
+    // undo()/redo(): revert / reapply the newest recorded write (history mode). Runs after the writes already
+    // on the chain; emits `replace`/`change` with op 'undo' | 'redo'. Resolves to false when there is nothing to do.
+    async undo(opts = {}) {
+        this._assertNoTransaction('undo');
+        return this._stepHistory('undo', opts);
+    }
+
+    async redo(opts = {}) {
+        this._assertNoTransaction('redo');
+        return this._stepHistory('redo', opts);
+    }
+
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    // history(): recorded entries, newest first - `{ undo: [...], redo: [...] }`
+    history() {
+        const describe = (e) => ({ id: e.id, op: e.op, timestamp: e.timestamp, paths: e.paths.slice(), patch: GentleDB._cloneSafe(e.patch) });
+        return { undo: this._undoStack.slice().reverse().map(describe), redo: this._redoStack.slice().reverse().map(describe) };
+    }
+
+    // sweepExpired(): remove expired entries now (the background sweeper does this every ttl.sweepIntervalMs).
+    // Resolves to the removed `{ path, value, expiresAt }` entries.
+    async sweepExpired() {
+        this._assertNoTransaction('sweepExpired');
+        return this._sweepExpired();
+    }
+
+    // readAudit({ since, path, actor }): audit records (rotated files included), oldest first.
+    // `since` is a timestamp, Date or date string; `path` matches records touching it, its parents or children.
+    async readAudit(filter = {}) {
+        await this._initPromise;
+        if (!this._auditCfg) throw new Error('GentleDB.readAudit: auditing is disabled (opts.audit).');
+        await this._auditChain;
+        const f = filter || {};
+        const since = f.since === undefined || f.since === null ? null : (f.since instanceof Date ? f.since.getTime() : (typeof f.since === 'number' ? f.since : Date.parse(String(f.since))));
+        if (since !== null && !Number.isFinite(since)) throw new TypeError('GentleDB.readAudit: since must be a timestamp, Date or date string.');
+        const wanted = f.path === undefined || f.path === null ? null : this._splitPath(String(f.path)).map(String);
+
+        const out = [];
+        for (const file of this._auditFiles().reverse()) {
+            let text;
+            try { text = await fsp.readFile(file, 'utf8'); } catch (e) { continue; }
+            for (const line of text.split('\n')) {
+                if (!line.trim()) continue;
+                let rec;
+                // a torn last line (crash mid-append) is skipped
+                try { rec = JSON.parse(line); } catch (e) { continue; }
+                if (since !== null && !(rec.timestamp >= since)) continue;
+                if (f.actor !== undefined && !this._deepEqual(rec.actor, f.actor)) continue;
+                if (wanted && !(rec.paths || []).some((p) => {
+                    const segs = this._splitPath(p).map(String);
+                    return segs.every((seg, i) => i >= wanted.length || wanted[i] === seg);
+                })) continue;
+                out.push(rec);
+            }
+        }
+        return out;
+    }
+
+    // transaction(fn): run fn(tx) against a private working copy while holding the lock; on success the
+    // result is persisted as one write (op 'transaction') with one `change` event, on throw nothing is written.
+    // Inside fn use tx.*: db methods that read, write or lock reject there instead of waiting for the transaction.
+    async transaction(fn, opts = {}) {
+        await this._initPromise;
+        if (typeof fn !== 'function') throw new TypeError('GentleDB.transaction: fn must be a function.');
+        if (this._txContext.getStore()) throw new Error('GentleDB.transaction: nested transactions are not supported.');
+
+        return new Promise((resolve, reject) => {
+            this._chain = this._chain.then(async () => {
+                let locked = false;
+                try {
+                    await this._acquireLock();
+                    locked = true;
+
+                    // start from the on-disk state as seen under the lock
+                    try { await this._low.read(); } catch (e) { /* keep runtime data */ }
+                    if (this._low.data === undefined || this._low.data === null) this._low.data = GentleDB._cloneSafe(this.opts.defaultData);
+                    const base = GentleDB._cloneSafe(this._low.data);
+
+                    const tx = this._makeTransaction(base);
+                    const result = await this._txContext.run(tx, () => fn(tx));
+                    tx._close();
+
+                    if (this._deepEqual(base, tx._work)) return resolve(result);
+
+                    const work = tx._work;
+                    let outcome;
+                    const step = {
+                        data: undefined,
+                        opts: this._auditOpts({ op: 'transaction', paths: tx._paths, mutate: () => work }, opts),
+                        resolve: (v) => { outcome = { ok: true, value: v }; },
+                        reject: (err) => { outcome = { ok: false, error: err }; }
+                    };
+                    await this._flushWrite({ steps: [step], resolvers: [], rejecters: [], opts: step.opts }, { lockHeld: true });
+                    if (outcome && !outcome.ok) return reject(outcome.error);
+                    // a cancelling listener's result wins, as for write()
+                    resolve(outcome && outcome.value !== undefined ? outcome.value : result);
+                } catch (err) {
+                    reject(err);
+                } finally {
+                    if (locked) { try { await this._releaseLock(); } catch (e) { /* ignore */ } }
+                }
+            });
+        });
+    }
+
+    // A transaction holds this._chain (and the lock) until its callback returns, so a call from inside the
+    // callback that waits for either would never settle
+    _assertNoTransaction(method) {
+        if (this._txContext.getStore()) throw new Error(`GentleDB.${method}: can't be called inside transaction(); use the tx argument instead.`);
+    }
+
+    // collection(name): document-style helpers over the array stored at `name`
+    collection(name, opts = {}) {
+        this._assertPath(name, 'collection');
+        return new GentleCollection(this, String(name), opts);
+    }
+
     // findMatches: streaming, safe for large DBs
     async findMatches(query, opts = {}) {
         await this._initPromise;
@@ -225,8 +576,8 @@ class GentleDB {
         });
 
         // Ensure latest on-disk content
-        await this._low.read();
-        const snapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
+        await this._readShared();
+        const snapshot = this._hideExpired(GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data));
 
         const partial = [];
         const exact = [];
@@ -300,31 +651,239 @@ class GentleDB {
         return { partial, exact };
     }
 
+    // query(source, filter, opts): Mongo-style structured query over the documents stored at `source`
+    // (array elements, or the values of an object). Resolves to `[{ path, doc }]`.
+    async query(source, filter = {}, opts = {}) {
+        await this._initPromise;
+        const src = source ? String(source) : '';
+
+        // Ensure latest on-disk content (same as findMatches), also when an index answers
+        await this._readShared();
+
+        // answered from a secondary index (synced with the data just read) when one applies
+        const indexed = this._indexedEntries(src, filter);
+        if (indexed) return this._runQuery(indexed, filter, opts);
+
+        const snapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
+        const expired = this._ttlCfg ? this._expiredEntries(snapshot, Date.now()) : [];
+
+        const container = this._getAtPath(snapshot, src);
+        const entries = [];
+        if (Array.isArray(container)) {
+            for (let i = 0; i < container.length; i++) entries.push({ path: `${src}[${i}]`, doc: container[i] });
+        } else if (container && typeof container === 'object') {
+            for (const k of Object.keys(container)) entries.push({ path: src ? `${src}.${k}` : k, doc: container[k] });
+        }
+        return this._runQuery(expired.length > 0 ? this._hideExpiredEntries(entries, snapshot) : entries, filter, opts);
+    }
+
+    // createIndex(collection, field, { unique, type }): in-memory index over `field` of the documents in
+    // the array at `collection`. 'hash' indexes serve equality and $in, 'sorted' ones ranges as well.
+    // Unique indexes reject writes that would introduce a duplicate value (ValidationError, keyword 'unique').
+    async createIndex(collection, field, opts = {}) {
+        await this._initPromise;
+        this._assertPath(collection, 'createIndex');
+        this._assertPath(field, 'createIndex');
+        const type = opts.type === undefined ? 'hash' : opts.type;
+        if (type !== 'hash' && type !== 'sorted') throw new TypeError('GentleDB.createIndex: type must be "hash" or "sorted".');
+        const unique = Boolean(opts.unique);
+
+        const id = GentleDB._indexId(collection, field);
+        const existing = this._indexes.get(id);
+        if (existing) {
+            if (existing.unique !== unique || existing.type !== type) throw new Error(`GentleDB.createIndex: an index on "${collection}.${field}" already exists with other options.`);
+            return this._indexInfo(existing);
+        }
+
+        this._syncIndexes();
+        const index = { collection: String(collection), field: String(field), unique, type, keys: [], map: new Map(), sorted: null };
+        const keys = this._collectionIndexKeys(index, this._low.data);
+        const errors = unique ? this._uniqueViolations(index, keys) : [];
+        if (errors.length > 0) throw new ValidationError(errors, 'internal');
+        this._patchIndex(index, keys);
+        this._indexes.set(id, index);
+        return this._indexInfo(index);
+    }
+
+    // dropIndex(collection, field) → true when an index was removed
+    dropIndex(collection, field) {
+        return this._indexes.delete(GentleDB._indexId(collection, field));
+    }
+
+    listIndexes() {
+        return [...this._indexes.values()].map(index => this._indexInfo(index));
+    }
+
+    // listBackups(): backups of the data file, newest first
+    async listBackups() {
+        await this._initPromise;
+        return this._listBackups();
+    }
+
+    // backup(label?): snapshot the data file now (under the lock). Manual backups are never rotated out.
+    async backup(label = undefined) {
+        this._assertNoTransaction('backup');
+        await this._initPromise;
+        await this._acquireLock();
+        try {
+            return await this._createBackup(label, false);
+        } finally {
+            try { await this._releaseLock(); } catch (e) { /* ignore */ }
+        }
+    }
+
+    // restore(idOrTimestamp): replace the DB with a backup, by id or as of a point in time
+    // (newest backup not newer than the timestamp). Goes through replace() with op 'restore'; `opts` is the
+    // audit `{ actor, context }`, as for undo()/redo().
+    async restore(idOrTimestamp, opts = {}) {
+        await this._initPromise;
+        const backups = await this._listBackups();
+        let found = backups.find(b => b.id === String(idOrTimestamp));
+        if (!found) {
+            const ts = idOrTimestamp instanceof Date ? idOrTimestamp.getTime() : Number(idOrTimestamp);
+            if (Number.isFinite(ts)) found = backups.find(b => b.timestamp <= ts);
+        }
+        if (!found) throw new Error(`GentleDB.restore: no backup matches "${idOrTimestamp}".`);
+
+        const data = await this._readDataCopy(found.path);
+        return this._debouncedWrite(data, this._auditOpts({ replace: true, op: 'restore' }, opts));
+    }
+
+    // rekey(newKey): re-encrypt the data file and its backups with a new key - a Buffer (raw 32-byte key),
+    // a passphrase string, or an object shaped like opts.encryption. Runs after queued writes, under the lock.
+    // Backups that don't decrypt with the current key are left as they are.
+    async rekey(newKey) {
+        this._assertNoTransaction('rekey');
+        await this._initPromise;
+        if (!this._adapter || !this._adapter.cipher) throw new Error('GentleDB.rekey: encryption is disabled (opts.encryption).');
+        const next = new GentleCipher(newKey instanceof Uint8Array ? { key: newKey } : (typeof newKey === 'string' ? { passphrase: newKey } : newKey));
+        return new Promise((resolve, reject) => {
+            this._chain = this._chain.then(async () => {
+                let locked = false;
+                const current = this._adapter.cipher;
+                // backups re-encrypted into temp files; they replace the originals once the data file is rewritten
+                const staged = [];
+                const renamed = [];
+                let data = null;
+                let dataWritten = false;
+                const writeData = async () => {
+                    this._suppressWatchEvents = true;
+                    try { await this._adapter.write(data); } finally { this._suppressWatchEvents = false; }
+                };
+                try {
+                    await this._acquireLock();
+                    locked = true;
+                    // fails with DecryptionError before anything is rewritten
+                    data = await this._adapter.read();
+                    for (const b of await this._listBackups()) {
+                        const old = await fsp.readFile(b.path);
+                        let text;
+                        try { text = await current.decrypt(old, b.path); } catch (e) { continue; }
+                        const entry = { path: b.path, tmp: `${b.path}.tmp`, old };
+                        staged.push(entry);
+                        await fsp.writeFile(entry.tmp, await next.encrypt(text));
+                    }
+                    this._adapter.cipher = next;
+                    if (data !== null) {
+                        await writeData();
+                        dataWritten = true;
+                    }
+                    for (const entry of staged) {
+                        await fsp.rename(entry.tmp, entry.path);
+                        renamed.push(entry);
+                    }
+                    resolve(true);
+                } catch (err) {
+                    // roll back: everything stays readable with the current key
+                    this._adapter.cipher = current;
+                    for (const entry of staged) { try { await fsp.unlink(entry.tmp); } catch (e) { /* ignore */ } }
+                    for (const entry of renamed) { try { await fsp.writeFile(entry.path, entry.old); } catch (e) { /* ignore */ } }
+                    if (dataWritten) { try { await writeData(); } catch (e) { /* ignore */ } }
+                    reject(err);
+                } finally {
+                    if (locked) { try { await this._releaseLock(); } catch (e) { /* ignore */ } }
+                }
+            });
+        });
+    }
+
+    // migrateTo(version): run the pending `migrations` up to `version` now (default: the latest).
+    // Resolves to the stored schema version. Migrating down is not supported.
+    async migrateTo(version = undefined) {
+        this._assertNoTransaction('migrateTo');
+        await this._initPromise;
+        return new Promise((resolve, reject) => {
+            this._chain = this._chain.then(async () => {
+                let locked = false;
+                try {
+                    await this._acquireLock();
+                    locked = true;
+                    try { await this._low.read(); } catch (e) { /* keep runtime data */ }
+                    resolve(await this._runMigrations(version));
+                } catch (err) {
+                    reject(err);
+                } finally {
+                    if (locked) { try { await this._releaseLock(); } catch (e) { /* ignore */ } }
+                }
+            });
+        });
+    }
+
     async close() {
+        // an open still in progress finishes (or gives up waiting for the lock) before anything is torn down
+        this._closing = true;
+        try { await this._initPromise; } catch (e) { /* closing anyway */ }
+        this._closing = false;
+        if (this._backupTimer) {
+            clearInterval(this._backupTimer);
+            this._backupTimer = null;
+        }
+        if (this._sweepTimer) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
         try {
             if (this._watcher && typeof this._watcher.close === 'function') {
                 try { this._watcher.close(); } catch (e) { /* ignore */ }
                 this._watcher = null;
             }
             if (this._usingWatchFile && this._filePath) {
-                try { fs.unwatchFile(this._filePath); } catch (e) { /* ignore */ }
+                for (const f of this._watchedFiles()) { try { fs.unwatchFile(f); } catch (e) { /* ignore */ } }
                 this._usingWatchFile = false;
             }
         } catch (e) { /* ignore */ }
 
+        // journaled mode: fold the journal back into the data file
+        if (!this._setupOnly && this._low && this._adapter && typeof this._adapter.compact === 'function' && this._adapter.compactOnClose) {
+            try {
+                await this._chain;
+                await this._acquireLock();
+                await this._adapter.compact();
+            } catch (e) { /* ignore - the journal stays valid */ }
+        }
+
+        // a manual lock still held goes too
+        this._manualLockDepth = 0;
+        this._manualLockHeld = false;
+        this._joinedLocks = 0;
         try { await this._releaseLock(); } catch (e) { /* ignore */ }
+        if (this._lockHeartbeat) {
+            clearInterval(this._lockHeartbeat);
+            this._lockHeartbeat = null;
+        }
+        await this._auditChain;
 
         GentleDB._instances.delete(this);
     }
 
     // lock(permanent: boolean) - public
     async lock(permanent = false) {
+        this._assertNoTransaction('lock');
         await this._initPromise;
-        if (!this._lockPath) return false;
+        if (!this._canLock()) return false;
         // If chain suppression active, perform lock without emitting events
         if (!this._canEmit()) {
-            await this._acquireLock();
-            if (permanent) this._manualUnlocked = false;
+            await this._enterManualLock();
             return true;
         }
 
@@ -335,8 +894,7 @@ class GentleDB {
         await this._emitSequential('beforewrite', legacyBefore);
         if (evt.defaultPrevented || legacyBefore._prevented) return evt._result ?? legacyBefore._result;
 
-        await this._acquireLock();
-        if (permanent) this._manualUnlocked = false;
+        await this._enterManualLock();
 
         const legacyAfter = this._makeEvent('afterwrite', 'lock', evt.oldData, evt.newData);
         await this._emitSequential('afterwrite', legacyAfter);
@@ -346,12 +904,8 @@ class GentleDB {
 
     async unlock(permanent = false) {
         await this._initPromise;
-        if (!this._lockPath) return false;
-        if (!this._canEmit()) {
-            await this._releaseLock();
-            if (permanent) this._manualUnlocked = true;
-            return true;
-        }
+        if (!this._canLock()) return false;
+        if (!this._canEmit()) return this._exitManualLock(permanent);
 
         const evt = this._makeEvent('unlock', 'unlock', this._low && this._low.data, this._low && this._low.data);
         await this._emitSequential('unlock', evt);
@@ -359,23 +913,140 @@ class GentleDB {
         await this._emitSequential('beforewrite', legacyBefore);
         if (evt.defaultPrevented || legacyBefore._prevented) return evt._result ?? legacyBefore._result;
 
-        await this._releaseLock();
-        if (permanent) this._manualUnlocked = true;
+        const released = await this._exitManualLock(permanent);
 
         const legacyAfter = this._makeEvent('afterwrite', 'unlock', evt.oldData, evt.newData);
         await this._emitSequential('afterwrite', legacyAfter);
 
-        return true;
+        return released;
+    }
+
+    // withLock(fn): run `await fn(db)` holding the lock, so other processes wait for the whole callback.
+    // Reads and writes by this instance inside fn (nested withLock()/lock() too) run within the lock instead of
+    // waiting for it. Released when fn settles, also when it throws; resolves to fn's result.
+    async withLock(fn) {
+        this._assertNoTransaction('withLock');
+        await this._initPromise;
+        if (typeof fn !== 'function') throw new TypeError('GentleDB.withLock: fn must be a function.');
+        if (!this._canLock()) return fn(this);
+        await this._enterManualLock();
+        try {
+            return await fn(this);
+        } finally {
+            await this._exitManualLock(false);
+        }
+    }
+
+    // lockInfo(): current holders of the lock file - `{ exclusive, shared, held }`. Owners are
+    // `{ id, pid, hostname, mode, since, ts, ageMs, alive, stale }`; `held` is what this instance holds.
+    // Sharded databases report every shard's lock in `shards: { <key>: { exclusive, shared } }`.
+    async lockInfo() {
+        await this._setupReady;
+        const held = this._heldLocks.length > 0 || this._adapterLockHeld ? 'exclusive' : (this._sharedLocks.size > 0 ? 'shared' : null);
+        const holders = async (lockPath) => {
+            const writer = await this._readLockFile(lockPath);
+            return {
+                exclusive: writer ? this._describeLock(writer, 'exclusive') : null,
+                shared: (await this._readerLocks(lockPath)).map(entry => this._describeLock(entry, 'shared'))
+            };
+        };
+        if (this._shardLocks) {
+            const shards = [];
+            for (const key of (await this._adapter.keys()).sort()) shards.push([key, await holders(this._adapter.lockPathFor(key))]);
+            return { exclusive: null, shared: [], held, shards: Object.fromEntries(shards) };
+        }
+        if (!this._lockPath) return { exclusive: null, shared: [], held };
+        return { ...(await holders(this._lockPath)), held };
+    }
+
+    // breakLocks({ force }): remove lock files whose owner is gone (`stale` in lockInfo()); `force: true` removes
+    // live owners' locks too, for a process known to be hung. Resolves to the owners removed; each emits `lock:stolen`
+    // (reason 'forced' for live ones). Locks this instance holds are left alone.
+    async breakLocks(opts = {}) {
+        await this._setupReady;
+        const lockPaths = this._shardLocks
+            ? (await this._adapter.keys()).sort().map(k => this._adapter.lockPathFor(k))
+            : (this._lockPath ? [this._lockPath] : []);
+        const own = new Set([...this._heldLocks, ...this._sharedLocks].map(held => held.id));
+        const removed = [];
+        for (const lockPath of lockPaths) {
+            const writer = await this._readLockFile(lockPath);
+            const entries = (await this._readerLocks(lockPath)).map(entry => [entry, 'shared']);
+            if (writer) entries.unshift([writer, 'exclusive']);
+            for (const [entry, mode] of entries) {
+                if (entry.owner && own.has(entry.owner.id)) continue;
+                const reason = this._staleReason(entry) || (opts.force ? 'forced' : null);
+                if (!reason) continue;
+                const owner = this._describeLock(entry, mode);
+                if (await this._breakLock(entry, reason, mode)) removed.push(owner);
+            }
+        }
+        return removed;
+    }
+
+    // GentleDB.lockInfo(file, opts?) / GentleDB.breakLocks(file, { force, ...opts }?): the same for a database
+    // that isn't open. Opening takes the lock, breaking a stale one on the way in; these only set up the lock
+    // paths, so nothing is read or locked and a stale lock stays until breakLocks() removes it.
+    static async lockInfo(adapterOrPath, opts = {}) {
+        return GentleDB._withLocksOnly(adapterOrPath, opts, db => db.lockInfo());
     }
 
+    static async breakLocks(adapterOrPath, opts = {}) {
+        return GentleDB._withLocksOnly(adapterOrPath, opts, db => db.breakLocks({ force: opts.force }));
+    }
+
+    static async _withLocksOnly(adapterOrPath, opts, fn) {
+        const { force, ...dbOpts } = opts;
+        const db = new GentleDB(adapterOrPath, { ...dbOpts, registerExitHandlers: false });
+        // read by the open before it goes past setup, which is after this synchronous assignment
+        db._setupOnly = true;
+        try {
+            await db._initPromise;
+            return await fn(db);
+        } finally {
+            await db.close();
+        }
+    }
+
+    // restoreLock(): back to per-operation locking - drops every manual lock level (like unlock(true), no events)
     restoreLock() {
-        this._manualUnlocked = false;
+        this._exitManualLock(true).catch(() => { /* ignore */ });
         try { this._ee.emit('restoreLock', { type: 'restoreLock', timestamp: Date.now() }); } catch (e) { /* ignore */ }
         return true;
     }
 
     // -- internals --
 
+    // Adapter for a string path. `opts.format` is 'json' | 'json5' | 'ndjson' | 'yaml' or `{ type, indent, sortKeys }`;
+    // without a type the file extension decides (.json5, .ndjson/.jsonl, .yaml/.yml, anything else JSON).
+    static _fileAdapterFor(filename, opts) {
+        if (opts.shards) {
+            if (opts.journal) throw new Error('GentleDB: journal mode can\'t be combined with shards.');
+            return new GentleShardedAdapter(filename, opts);
+        }
+        const fmt = typeof opts.format === 'string' ? { type: opts.format } : (opts.format && typeof opts.format === 'object' ? opts.format : {});
+        const ext = path.extname(filename).toLowerCase();
+        const byExt = { '.json5': 'json5', '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.yaml': 'yaml', '.yml': 'yaml' };
+        const type = fmt.type ? String(fmt.type).toLowerCase() : (byExt[ext] || 'json');
+        const adapterOpts = {};
+        if (fmt.indent !== undefined) adapterOpts.indent = fmt.indent;
+        if (fmt.sortKeys !== undefined) adapterOpts.sortKeys = fmt.sortKeys;
+        if (opts.encryption) adapterOpts.encryption = opts.encryption;
+
+        if (opts.journal) {
+            if (opts.encryption) throw new Error('GentleDB: journal mode appends plaintext records and can\'t be combined with encryption.');
+            if (type !== 'json') throw new Error(`GentleDB: journal mode keeps JSON checkpoints and can't be combined with the ${type} format.`);
+            return new GentleJournalAdapter(filename, { ...(opts.journal === true ? {} : opts.journal), ...adapterOpts });
+        }
+        switch (type) {
+            case 'json': return new GentleFileAdapter(filename, adapterOpts);
+            case 'json5': return new GentleJson5Adapter(filename, adapterOpts);
+            case 'ndjson': return new GentleNdjsonAdapter(filename, adapterOpts);
+            case 'yaml': return new GentleYamlAdapter(filename, adapterOpts);
+            default: throw new Error(`GentleDB: unknown format "${type}" (expected json, json5, ndjson or yaml).`);
+        }
+    }
+
     static async _loadLowdbModule() {
         // try require first
         try {
@@ -405,617 +1076,4030 @@ class GentleDB {
         }
     }
 
-    // Check whether emitting events is allowed (inspect active event stack for preventChain)
-    _canEmit() {
-        for (let i = this._activeEventStack.length - 1; i >= 0; i--) {
-            const ctx = this._activeEventStack[i];
-            if (ctx && ctx.chainPrevented) return false;
+    // Initial load (runs under the lock from _initPromise). Falls back to defaultData only when the
+    // file is missing or empty; a corrupt file is handed to the `onCorrupt` policy.
+    async _openData() {
+        const defaults = this._low.data;
+        let created = false;
+        try {
+            await this._low.read();
+        } catch (err) {
+            if (!(err instanceof CorruptFileError)) throw err;
+            await this._handleCorruptFile(err);
         }
-        return true;
-    }
 
-    // Emit sequentially to each listener. If chain suppressed, skip calling listeners but return the event object.
-    async _emitSequential(name, evt) {
-        if (!this._canEmit()) return evt;
+        // leftover temp file from an interrupted write - the target is intact, so drop it
+        if (this._adapter && typeof this._adapter.cleanup === 'function') {
+            try { await this._adapter.cleanup(); } catch (e) { /* ignore */ }
+        }
 
-        const listeners = this._ee.listeners(name).slice();
+        if (this._low.data === undefined || this._low.data === null) {
+            created = true;
+            this._low.data = GentleDB._cloneSafe(this.opts.defaultData);
+            this._suppressWatchEvents = true;
+            try { await this._low.write(); } finally { this._suppressWatchEvents = false; }
+        }
 
-        // push ctx for preventChain semantics
-        this._activeEventStack.push(evt);
-        try {
-            for (const l of listeners) {
-                try {
-                    const res = l(evt);
-                    if (res && typeof res.then === 'function') await res;
-                } catch (err) {
-                    console.error(`GentleDB listener error for ${name}:`, err);
-                    evt._listenerError = evt._listenerError || [];
-                    evt._listenerError.push({ listener: l, error: err });
-                }
-            }
-        } finally {
-            this._activeEventStack.pop();
+        // Low keeps its default data object when there was nothing to read. defaultData is expected
+        // to be in the current shape, so a database created by this open starts at the latest schema version;
+        // an existing file without a version is version 0, whatever it contains.
+        const data = this._low.data;
+        if (data === defaults) created = true;
+        if (created && this._migrations.length > 0 && GentleDB._isPlainObject(data) && !Object.prototype.hasOwnProperty.call(data, '__schemaVersion')) {
+            this._low.data = Object.assign(GentleDB._cloneSafe(data), { __schemaVersion: this._migrations[this._migrations.length - 1].version });
         }
-        return evt;
+        this._lastOnDiskSnapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
+        this._diskStamp = null;
+        this._snapshotOnDisk = false;
     }
 
-    _debouncedRead() {
-        return new Promise((resolve, reject) => {
-            if (!this._pendingRead) this._pendingRead = { resolvers: [], rejecters: [] };
-            this._pendingRead.resolvers.push(resolve);
-            this._pendingRead.rejecters.push(reject);
+    // Resolve a corrupt data file found on open according to opts.onCorrupt:
+    //   'throw' (default)        - report and reject, leaving the file untouched
+    //   'backup-and-reset'       - start over from defaultData
+    //   'recover-from-backup'    - use the newest intact recovery source, else throw
+    //   fn({ filePath, raw, error }) - return the data to start with, or undefined to throw
+    // A complete temp file left by an interrupted write is always recovered first. The original bytes are
+    // copied to `<file>.corrupt-<timestamp>` before anything overwrites them.
+    async _handleCorruptFile(err) {
+        const policy = this.opts.onCorrupt === undefined ? 'throw' : this.opts.onCorrupt;
+        const corruptEvt = this._makeEvent('corrupt', 'open', undefined, undefined);
+        corruptEvt.filePath = err.filePath;
+        corruptEvt.raw = err.raw;
+        corruptEvt.error = err.cause;
+        corruptEvt.policy = typeof policy === 'function' ? 'custom' : String(policy);
+        corruptEvt.source = 'open';
+        if (this._canEmit()) await this._emitSequential('corrupt', corruptEvt);
+
+        let data;
+        let source = null;
+        const candidates = await this._recoveryCandidates();
+        if (candidates.length > 0 && candidates[0].kind === 'temp') {
+            data = candidates[0].data;
+            source = candidates[0].path;
+        } else if (policy === 'recover-from-backup') {
+            if (candidates.length > 0) {
+                data = candidates[0].data;
+                source = candidates[0].path;
+            }
+        } else if (policy === 'backup-and-reset') {
+            data = GentleDB._cloneSafe(this.opts.defaultData);
+            source = 'defaultData';
+        } else if (typeof policy === 'function') {
+            data = await policy({ filePath: err.filePath, raw: err.raw, error: err.cause });
+            source = 'onCorrupt';
+        } else if (policy !== 'throw') {
+            throw new Error(`GentleDB: unknown onCorrupt policy "${policy}".`);
+        }
 
-            if (this._readTimer) clearTimeout(this._readTimer);
-            this._readTimer = setTimeout(() => {
-                const pending = this._pendingRead;
-                this._pendingRead = null;
-                this._readTimer = null;
+        if (data === undefined || data === null) {
+            if (this._canEmit()) {
+                const errEvt = this._makeEvent('error', 'read', undefined, undefined);
+                errEvt.error = err;
+                await this._emitSequential('error', errEvt);
+            }
+            throw err;
+        }
 
-                this._chain = this._chain.then(async () => {
-                    try {
-                        const old = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
+        const preservedPath = await this._preserveCorruptFile(err);
+        this._low.data = GentleDB._cloneSafe(data);
+        this._suppressWatchEvents = true;
+        try { await this._low.write(); } finally { this._suppressWatchEvents = false; }
+        corruptEvt.recoveredFrom = source;
+        corruptEvt.preservedPath = preservedPath;
+    }
 
-                        // Emit canonical pre-read 'read' (cancellable) and legacy 'beforeread'
-                        if (this._canEmit()) {
-                            const readEvt = this._makeEvent('read', 'read', old, GentleDB._cloneSafe(old));
-                            await this._emitSequential('read', readEvt);
-                            const legacyBefore = this._makeEvent('beforeread', 'read', old, GentleDB._cloneSafe(old));
-                            await this._emitSequential('beforeread', legacyBefore);
+    // Intact data sources to recover a corrupt file from, best first: `[{ kind, path, data }]`
+    async _recoveryCandidates() {
+        const out = [];
+        if (this._adapter && typeof this._adapter.readTemp === 'function') {
+            let data;
+            try { data = await this._adapter.readTemp(); } catch (e) { data = undefined; }
+            if (data !== undefined && data !== null) out.push({ kind: 'temp', path: this._adapter.tempFilename, data });
+        }
+        // newest backup that still parses
+        const backups = await this._listBackups();
+        for (const b of backups) {
+            try {
+                const data = await this._readDataCopy(b.path);
+                out.push({ kind: 'backup', path: b.path, data });
+                break;
+            } catch (e) { /* try an older one */ }
+        }
+        return out;
+    }
 
-                            if (readEvt.defaultPrevented || legacyBefore._prevented) {
-                                const result = (typeof readEvt._result !== 'undefined') ? readEvt._result : legacyBefore._result;
-                                // emit legacy afterread for compatibility
-                                const afterEvt = this._makeEvent('afterread', 'read', old, GentleDB._cloneSafe(result));
-                                if (this._canEmit()) await this._emitSequential('afterread', afterEvt);
-                                for (const r of pending.resolvers) r(GentleDB._cloneSafe(result));
-                                return;
-                            }
-                        }
+    // Copy the corrupt file's exact bytes aside; resolves to the copy's path
+    async _preserveCorruptFile(err) {
+        const target = `${err.filePath}.corrupt-${Date.now()}`;
+        try {
+            await fsp.copyFile(err.filePath, target);
+        } catch (copyErr) {
+            // file vanished between read and copy - keep what we read (encrypted again when the file was)
+            const raw = err.raw === undefined ? '' : String(err.raw);
+            await fsp.writeFile(target, this._adapter && typeof this._adapter.encode === 'function' ? await this._adapter.encode(raw) : raw);
+        }
+        return target;
+    }
 
-                        // perform adapter read
-                        await this._low.read();
-                        const snapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
-                        try { this._lastOnDiskSnapshot = GentleDB._cloneSafe(snapshot); } catch (e) { /* ignore */ }
+    // Parse a backup (or other copy of the data file) in the adapter's format, decrypting it when needed
+    async _readDataCopy(file) {
+        const buf = await fsp.readFile(file);
+        const text = this._adapter && typeof this._adapter.decode === 'function' ? await this._adapter.decode(buf, file) : buf.toString('utf8');
+        return this._adapter && typeof this._adapter.parse === 'function' ? this._adapter.parse(text) : JSON.parse(text);
+    }
 
-                        // emit legacy post-read for compatibility (post-read)
-                        const afterEvt = this._makeEvent('afterread', 'read', old, GentleDB._cloneSafe(snapshot));
-                        if (this._canEmit()) await this._emitSequential('afterread', afterEvt);
+    // -- backups --
 
-                        for (const r of pending.resolvers) r(GentleDB._cloneSafe(snapshot));
-                    } catch (err) {
-                        for (const rej of pending.rejecters) rej(err);
-                    }
-                });
-            }, this._debounceReadMs);
-        });
+    _backupDir() {
+        if (this._backupCfg && this._backupCfg.dir) return this._backupCfg.dir;
+        return this._filePath ? `${this._filePath}.backups` : null;
     }
 
-    _debouncedWrite(incomingData, opts) {
-        return new Promise((resolve, reject) => {
-            if (!this._pendingWrite) this._pendingWrite = { data: incomingData, resolvers: [], rejecters: [], opts: opts || {} };
-            else this._pendingWrite.data = incomingData;
-            this._pendingWrite.opts = opts || this._pendingWrite.opts;
-
-            this._pendingWrite.resolvers.push(resolve);
-            this._pendingWrite.rejecters.push(reject);
+    _backupExt() {
+        return (this._filePath && path.extname(this._filePath)) || '.json';
+    }
 
-            if (this._writeTimer) clearTimeout(this._writeTimer);
-            this._writeTimer = setTimeout(() => {
-                const pending = this._pendingWrite;
-                this._pendingWrite = null;
-                this._writeTimer = null;
-
-                this._chain = this._chain.then(async () => {
-                    try {
-                        const oldData = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
-                        let proposed;
-                        if (typeof pending.data === 'undefined') proposed = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
-                        else {
-                            if (pending.opts && pending.opts.replace) proposed = GentleDB._cloneSafe(pending.data);
-                            else proposed = this._deepMerge(GentleDB._cloneSafe(oldData), pending.data);
-                        }
-
-                        // op name (for evt.op) - can be 'replace', 'resetDefault' or 'write'
-                        const opName = (pending.opts && pending.opts.op) ? String(pending.opts.op) : ((pending.opts && pending.opts.replace) ? 'replace' : 'write');
-                        // canonical event type: replace vs write
-                        const primaryEventType = (pending.opts && pending.opts.replace) ? 'replace' : 'write';
-
-                        // pre-write emission
-                        let primaryEvt, legacyBefore, legacyWritePre;
-                        if (this._canEmit()) {
-                            // canonical primary event ('write' or 'replace')
-                            primaryEvt = this._makeEvent(primaryEventType, opName, oldData, GentleDB._cloneSafe(proposed));
-                            await this._emitSequential(primaryEventType, primaryEvt);
-
-                            // legacy beforewrite
-                            legacyBefore = this._makeEvent('beforewrite', opName, oldData, GentleDB._cloneSafe(proposed));
-                            await this._emitSequential('beforewrite', legacyBefore);
-
-                            // For compatibility: if this is a replace operation, also emit a `write` *pre*-event (single emission)
-                            if (primaryEventType !== 'write') {
-                                legacyWritePre = this._makeEvent('write', opName, oldData, GentleDB._cloneSafe(primaryEvt && primaryEvt.newData !== undefined ? primaryEvt.newData : proposed));
-                                await this._emitSequential('write', legacyWritePre);
-                            }
+    async _listBackups() {
+        const dir = this._backupDir();
+        if (!dir) return [];
+        let names;
+        try { names = await fsp.readdir(dir); } catch (e) { return []; }
+        const out = [];
+        for (const name of names) {
+            const info = this._parseBackupName(name);
+            if (!info) continue;
+            try {
+                const stat = await fsp.stat(path.join(dir, name));
+                out.push({ ...info, path: path.join(dir, name), size: stat.size });
+            } catch (e) { /* removed meanwhile */ }
+        }
+        return out.sort((a, b) => b.timestamp - a.timestamp || (b.id < a.id ? -1 : 1));
+    }
 
-                            // If prevented by either canonical or legacy, respect result and skip actual write
-                            if (primaryEvt.defaultPrevented || (legacyBefore && legacyBefore._prevented) || (legacyWritePre && legacyWritePre.defaultPrevented)) {
-                                const chosen = (typeof primaryEvt._result !== 'undefined') ? primaryEvt._result : (legacyWritePre && typeof legacyWritePre._result !== 'undefined') ? legacyWritePre._result : legacyBefore._result;
-                                // emit legacy afterwrite for compatibility
-                                const afterCompat = this._makeEvent('afterwrite', opName, oldData, GentleDB._cloneSafe(primaryEvt && primaryEvt.newData !== undefined ? primaryEvt.newData : (legacyWritePre && legacyWritePre.newData !== undefined ? legacyWritePre.newData : legacyBefore.newData)));
-                                if (this._canEmit()) await this._emitSequential('afterwrite', afterCompat);
-                                for (const r of pending.resolvers) r(chosen);
-                                return;
-                            }
+    // backup file names: `<timestamp>[.auto|.<label>]<ext>`; the id is the name without extension
+    _parseBackupName(name) {
+        const ext = this._backupExt();
+        if (!name.endsWith(ext)) return null;
+        const id = name.slice(0, -ext.length);
+        const m = id.match(/^(\d+)(?:\.([A-Za-z0-9_-]+))?$/);
+        if (!m) return null;
+        const auto = m[2] === 'auto';
+        return { id, timestamp: Number(m[1]), label: auto ? null : (m[2] || null), auto };
+    }
 
-                            // Prefer primaryEvt.newData if listener mutated it; else fallback to legacyWritePre.newData, else legacyBefore.newData, else proposed
-                            if (primaryEvt && typeof primaryEvt.newData !== 'undefined') {
-                                proposed = GentleDB._cloneSafe(primaryEvt.newData);
-                            } else if (legacyWritePre && typeof legacyWritePre.newData !== 'undefined') {
-                                proposed = GentleDB._cloneSafe(legacyWritePre.newData);
-                            } else if (legacyBefore && typeof legacyBefore.newData !== 'undefined') {
-                                proposed = GentleDB._cloneSafe(legacyBefore.newData);
-                            } else {
-                                proposed = GentleDB._cloneSafe(proposed);
-                            }
-                        }
+    // Copy the current data file into the backup directory. Caller must hold the lock.
+    async _createBackup(label, auto) {
+        const dir = this._backupDir();
+        if (!dir) throw new Error('GentleDB: backups need a file path or opts.backups.dir.');
+        await fsp.mkdir(dir, { recursive: true });
+
+        const suffix = auto ? '.auto' : (label ? `.${String(label).replace(/[^A-Za-z0-9_-]+/g, '-')}` : '');
+        const ext = this._backupExt();
+        let ts = Date.now();
+        const taken = new Set(((await fsp.readdir(dir).catch(() => [])) || []).map(n => (this._parseBackupName(n) || {}).timestamp));
+        while (taken.has(ts)) ts++;
+        const name = `${ts}${suffix}${ext}`;
+        const target = path.join(dir, name);
+        const tmp = `${target}.tmp`;
+
+        let copied = false;
+        if (this._adapter && (this._adapter.journalFilename || this._adapter.shardDir)) {
+            // journaled mode: the data file alone is only the last checkpoint; sharded mode: there is no one file
+            const snapshot = this._lastOnDiskSnapshot === null ? {} : this._lastOnDiskSnapshot;
+            await fsp.writeFile(tmp, await this._adapter.encode(this._adapter.stringify(snapshot)));
+            copied = true;
+        } else if (this._filePath) {
+            try { await fsp.copyFile(this._filePath, tmp); copied = true; } catch (e) { /* fall back to runtime data */ }
+        }
+        if (!copied) await fsp.writeFile(tmp, JSON.stringify(this._low && this._low.data !== undefined ? this._low.data : {}, null, 2), 'utf8');
+        await fsp.rename(tmp, target);
 
-                        // Update runtime using proposed (may have been mutated by listeners)
-                        const finalData = GentleDB._cloneSafe(proposed);
-                        if (!this._low) throw new Error('GentleDB internal error: lowdb instance not initialized.');
-                        this._low.data = finalData;
+        if (auto) await this._rotateBackups();
+        const stat = await fsp.stat(target);
+        return { ...this._parseBackupName(name), path: target, size: stat.size };
+    }
 
-                        // Acquire lock, persist
-                        await this._acquireLock();
-                        this._isWriting = true;
-                        this._suppressWatchEvents = true;
+    // Keep only the newest `keep` automatic backups
+    async _rotateBackups() {
+        const autos = (await this._listBackups()).filter(b => b.auto);
+        for (const b of autos.slice(this._backupCfg.keep)) {
+            try { await fsp.unlink(b.path); } catch (e) { /* ignore */ }
+        }
+    }
 
-                        try {
-                            await this._low.write();
-                            try { this._lastOnDiskSnapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data); } catch (e) { /* ignore */ }
-                        } finally {
-                            this._suppressWatchEvents = false;
-                            this._isWriting = false;
-                            try { await this._releaseLock(); } catch (e) { /* ignore */ }
-                        }
+    // Called from _flushWrite after a successful persist, while the lock is held
+    async _maybeAutoBackup() {
+        if (!this._backupCfg || this._backupCfg.every <= 0) return;
+        this._writesSinceBackup++;
+        if (this._writesSinceBackup < this._backupCfg.every) return;
+        this._writesSinceBackup = 0;
+        try {
+            await this._createBackup(null, true);
+            this._lastAutoBackupSnapshot = GentleDB._cloneSafe(this._lastOnDiskSnapshot);
+        } catch (err) {
+            // a failed backup must not fail the write that triggered it
+            if (this._canEmit()) {
+                const errEvt = this._makeEvent('error', 'backup', undefined, undefined);
+                errEvt.error = err;
+                await this._emitSequential('error', errEvt);
+            }
+        }
+    }
 
-                        // Post-write emissions
-                        if (this._canEmit()) {
-                            // emit legacy afterwrite only - canonical events were emitted as pre-events above
-                            const legacyAfter = this._makeEvent('afterwrite', opName, oldData, GentleDB._cloneSafe(finalData));
-                            await this._emitSequential('afterwrite', legacyAfter);
-                        }
+    _startBackupTimer() {
+        if (!this._backupCfg || !this._backupCfg.intervalMs || this._backupTimer) return;
+        this._backupTimer = setInterval(() => {
+            // skip when nothing changed since the last automatic backup
+            if (this._lastAutoBackupSnapshot && this._deepEqual(this._lastAutoBackupSnapshot, this._lastOnDiskSnapshot)) return;
+            this._chain = this._chain.then(async () => {
+                try {
+                    await this._acquireLock();
+                    try {
+                        await this._createBackup(null, true);
+                        this._lastAutoBackupSnapshot = GentleDB._cloneSafe(this._lastOnDiskSnapshot);
+                    } finally {
+                        await this._releaseLock();
+                    }
+                } catch (err) {
+                    const errEvt = this._makeEvent('error', 'backup', undefined, undefined);
+                    errEvt.error = err;
+                    if (this._canEmit()) await this._emitSequential('error', errEvt);
+                }
+            });
+        }, this._backupCfg.intervalMs);
+        if (typeof this._backupTimer.unref === 'function') this._backupTimer.unref();
+    }
 
-                        // compute and emit change (non-cancellable)
-                        const changes = this._computeTopLevelChanges(oldData, finalData);
-                        if (Object.keys(changes).length > 0) {
-                            const changeEvt = this._makeEvent('change', opName, oldData, GentleDB._cloneSafe(finalData));
-                            changeEvt.changes = changes;
-                            changeEvt.source = 'internal';
-                            changeEvt.timestamp = Date.now();
-                            if (this._canEmit()) await this._emitSequential('change', changeEvt);
-                        }
+    // -- revisions --
 
-                        for (const r of pending.resolvers) r();
-                    } catch (err) {
-                        try { this._suppressWatchEvents = false; this._isWriting = false; await this._releaseLock(); } catch (e) { /* ignore */ }
-                        for (const rej of pending.rejecters) rej(err);
-                    }
-                });
-            }, this._debounceWriteMs);
-        });
+    // Add a caller's `ifRevision` precondition to write-step options
+    _revisionOpts(stepOpts, opts, method) {
+        if (!opts || opts.ifRevision === undefined) return stepOpts;
+        if (!this.opts.revisions) throw new TypeError(`GentleDB.${method}: ifRevision needs opts.revisions enabled.`);
+        if (!Number.isInteger(opts.ifRevision) || opts.ifRevision < 0) throw new TypeError(`GentleDB.${method}: ifRevision must be a non-negative integer.`);
+        return { ...stepOpts, ifRevision: opts.ifRevision };
     }
 
-    _startWatcher() {
-        if (!this._filePath) return;
-        if (this._watcher) return;
+    _revisionOf(data) {
+        const v = GentleDB._isPlainObject(data) ? data.__revision : undefined;
+        return Number.isInteger(v) ? v : 0;
+    }
 
+    // The file's data as it is now (caller holds the lock); null when missing or unreadable. A file whose
+    // stamp hasn't changed since `_lastOnDiskSnapshot` was taken from it isn't read again. Sharded: `keys` are
+    // the shards the caller locked; only those are read, the others are as last seen.
+    async _readDisk(keys = null) {
+        const stamp = await this._stampDisk();
+        if (stamp !== null && this._diskStamp !== null && this._deepEqual(stamp, this._diskStamp)) return GentleDB._cloneSafe(this._lastOnDiskSnapshot);
         try {
-            let schedule = null;
-            const onFSChange = (eventType, filename) => {
-                if (this._suppressWatchEvents) return;
-                if (schedule) clearTimeout(schedule);
-                schedule = setTimeout(() => {
-                    schedule = null;
-                    this._handleExternalFileChange().catch(err => {
-                        const evt = { type: 'watcher:error', error: err, filename: this._filePath };
-                        this._ee.emit('watcher:error', evt);
-                    });
-                }, this._watchDebounceMs);
-            };
-
-            // Prefer fs.watch, fallback to fs.watchFile
-            try {
-                this._watcher = fs.watch(this._filePath, { persistent: true }, (evt, filename) => {
-                    if (evt === 'rename') {
-                        fsp.stat(this._filePath).then(() => onFSChange('rename', filename)).catch(() => onFSChange('rename', filename));
-                    } else {
-                        onFSChange(evt, filename);
-                    }
-                });
-                this._watcher.on('error', (err) => {
-                    try { fs.unwatchFile(this._filePath); } catch (e) { /* ignore */ }
-                    this._watcher = null;
-                    this._usingWatchFile = true;
-                    fs.watchFile(this._filePath, { interval: Math.max(50, this._watchDebounceMs) }, (curr, prev) => {
-                        if (this._suppressWatchEvents) return;
-                        if (curr.mtimeMs !== prev.mtimeMs) onFSChange('change', path.basename(this._filePath));
-                    });
-                });
-            } catch (err) {
-                this._usingWatchFile = true;
-                fs.watchFile(this._filePath, { interval: Math.max(50, this._watchDebounceMs) }, (curr, prev) => {
-                    if (this._suppressWatchEvents) return;
-                    if (curr.mtimeMs !== prev.mtimeMs) onFSChange('change', path.basename(this._filePath));
-                });
+            if (keys && typeof this._adapter.readKeys === 'function' && this._snapshotOnDisk && GentleDB._isPlainObject(this._lastOnDiskSnapshot)) {
+                const { values, unchanged } = await this._adapter.readKeys([...keys]);
+                const disk = GentleDB._cloneSafe(this._lastOnDiskSnapshot);
+                for (const key of keys) {
+                    if (Object.prototype.hasOwnProperty.call(values, key)) Object.defineProperty(disk, key, { value: values[key], enumerable: true, writable: true, configurable: true });
+                    else if (!unchanged.includes(key)) delete disk[key];
+                }
+                return disk;
             }
+            const data = this._adapter && typeof this._adapter.read === 'function' ? await this._adapter.read() : null;
+            return data === undefined ? null : data;
         } catch (e) {
-            this._watcher = null;
-            this._usingWatchFile = false;
+            // a file we can't decrypt is not ours to overwrite
+            if (e instanceof DecryptionError) throw e;
+            return null;
         }
     }
 
-    async _handleExternalFileChange() {
-        if (this._isWriting || this._suppressWatchEvents) return;
-
+    // The adapter's stamp of the data on disk (see GentleFileAdapter#stamp); null when it can't tell
+    async _stampDisk() {
+        if (!this._adapter || typeof this._adapter.stamp !== 'function') return null;
         try {
-            const oldRuntime = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
-
-            // Emit pre-read 'read' event (cancellable)
-            if (this._canEmit()) {
-                const preRead = this._makeEvent('read', 'read', oldRuntime, GentleDB._cloneSafe(oldRuntime));
-                await this._emitSequential('read', preRead);
-                const legacyBefore = this._makeEvent('beforeread', 'read', oldRuntime, GentleDB._cloneSafe(oldRuntime));
-                await this._emitSequential('beforeread', legacyBefore);
-                if (preRead.defaultPrevented || legacyBefore._prevented) {
-                    // aborted by listener - do not apply external change
-                    return;
-                }
-            }
+            const stamp = await this._adapter.stamp();
+            return stamp === undefined ? null : stamp;
+        } catch (e) {
+            return null;
+        }
+    }
 
-            await this._low.read();
-            const diskSnapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
+    // -- three-way merge --
+
+    // Merge local changes (folded pending writes) with changes another process wrote since `base`.
+    // Non-overlapping edits from both sides survive; values both sides changed differently are settled by
+    // opts.onConflict: 'local' (default), 'remote' or fn({ path, base, local, remote }) => value.
+    // Emits `conflict` with the conflicting paths when there were any.
+    async _mergeExternal(base, local, remote) {
+        const conflicts = [];
+        const merged = this._mergeValues(base, local, remote, '', conflicts);
+        if (conflicts.length > 0 && this._canEmit()) {
+            const evt = this._makeEvent('conflict', 'merge', GentleDB._cloneSafe(remote), GentleDB._cloneSafe(merged));
+            evt.conflicts = GentleDB._cloneSafe(conflicts);
+            evt.paths = conflicts.map(c => c.path);
+            evt.resolution = typeof this.opts.onConflict === 'function' ? 'custom' : (this.opts.onConflict || 'local');
+            await this._emitSequential('conflict', evt);
+        }
+        return merged;
+    }
 
-            if (this._deepEqual(diskSnapshot, this._lastOnDiskSnapshot)) {
-                this._lastOnDiskSnapshot = GentleDB._cloneSafe(diskSnapshot);
-                return;
+    // Objects merge key by key and same-length arrays element by element; anything else both sides
+    // changed is a conflict. `undefined` stands for a missing key.
+    _mergeValues(base, local, remote, pth, conflicts) {
+        if (this._deepEqual(local, remote) || this._deepEqual(base, remote)) return local;
+        if (this._deepEqual(base, local)) return remote;
+
+        const isObj = GentleDB._isPlainObject;
+        if (isObj(local) && isObj(remote) && (isObj(base) || base === undefined)) {
+            const b = base || {};
+            const out = {};
+            for (const k of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+                const v = this._mergeValues(b[k], local[k], remote[k], pth ? `${pth}.${k}` : k, conflicts);
+                if (v !== undefined) out[k] = v;
             }
+            return out;
+        }
+        if (Array.isArray(base) && Array.isArray(local) && Array.isArray(remote) && base.length === local.length && base.length === remote.length) {
+            return local.map((el, i) => {
+                const v = this._mergeValues(base[i], el, remote[i], `${pth}[${i}]`, conflicts);
+                return v === undefined ? null : v;
+            });
+        }
 
-            this._low.data = GentleDB._cloneSafe(diskSnapshot);
-            this._lastOnDiskSnapshot = GentleDB._cloneSafe(diskSnapshot);
+        const policy = this.opts.onConflict === undefined ? 'local' : this.opts.onConflict;
+        const at = pth || '(root)';
+        let resolved;
+        if (typeof policy === 'function') {
+            resolved = policy({ path: at, base: GentleDB._cloneSafe(base), local: GentleDB._cloneSafe(local), remote: GentleDB._cloneSafe(remote) });
+            if (resolved && typeof resolved.then === 'function') throw new TypeError('GentleDB: onConflict must be synchronous.');
+        } else if (policy === 'remote') {
+            resolved = remote;
+        } else if (policy === 'local') {
+            resolved = local;
+        } else {
+            throw new TypeError(`GentleDB: unknown onConflict policy "${policy}".`);
+        }
+        conflicts.push({ path: at, base, local, remote, resolved });
+        return resolved;
+    }
 
-            // legacy afterread
-            if (this._canEmit()) {
-                const afterReadEvt = this._makeEvent('afterread', 'read', oldRuntime, GentleDB._cloneSafe(diskSnapshot));
-                await this._emitSequential('afterread', afterReadEvt);
-            }
+    // -- JSON Patch (RFC 6902) --
 
-            // compute and emit unified change
-            const changes = this._computeTopLevelChanges(oldRuntime, diskSnapshot);
-            if (Object.keys(changes).length > 0) {
-                const changeEvt = this._makeEvent('change', 'external', oldRuntime, GentleDB._cloneSafe(diskSnapshot));
-                changeEvt.changes = changes;
-                changeEvt.source = 'external';
-                changeEvt.timestamp = Date.now();
-                if (this._canEmit()) await this._emitSequential('change', changeEvt);
+    // Deep diff as JSON Patch operations: objects key by key, arrays element by element (extra elements
+    // added, missing ones removed from the end), everything else replaced
+    _diffPatch(a, b, pointer = '', ops = []) {
+        if (this._deepEqual(a, b)) return ops;
+        const isObj = GentleDB._isPlainObject;
+        if (isObj(a) && isObj(b)) {
+            for (const k of Object.keys(a)) {
+                if (!Object.prototype.hasOwnProperty.call(b, k)) ops.push({ op: 'remove', path: `${pointer}/${GentleDB._escapePointer(k)}` });
             }
-        } catch (err) {
-            // emit watcher error via legacy channel
-            this._ee.emit('watcher:error', { type: 'watcher:read-error', error: err });
+            for (const k of Object.keys(b)) {
+                const child = `${pointer}/${GentleDB._escapePointer(k)}`;
+                if (!Object.prototype.hasOwnProperty.call(a, k)) ops.push({ op: 'add', path: child, value: GentleDB._cloneSafe(b[k]) });
+                else this._diffPatch(a[k], b[k], child, ops);
+            }
+            return ops;
+        }
+        if (Array.isArray(a) && Array.isArray(b)) {
+            const common = Math.min(a.length, b.length);
+            for (let i = 0; i < common; i++) this._diffPatch(a[i], b[i], `${pointer}/${i}`, ops);
+            for (let i = common; i < b.length; i++) ops.push({ op: 'add', path: `${pointer}/${i}`, value: GentleDB._cloneSafe(b[i]) });
+            for (let i = a.length - 1; i >= common; i--) ops.push({ op: 'remove', path: `${pointer}/${i}` });
+            return ops;
         }
+        ops.push({ op: 'replace', path: pointer, value: GentleDB._cloneSafe(b) });
+        return ops;
     }
 
-    async _acquireLock() {
-        if (!this._lockPath) return;
-        const start = Date.now();
-        const retryDelay = this._lockRetryDelayMs;
-        const timeout = this._lockTimeoutMs;
-        const staleMs = this._lockStaleMs;
+    static _escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
 
-        while (true) {
-            try {
-                // attempt exclusive create
-                const handle = await fsp.open(this._lockPath, 'wx');
-                const payload = JSON.stringify({ pid: process.pid, ts: Date.now() });
-                await handle.writeFile(payload, { encoding: 'utf8' });
+    _parsePointer(pointer) {
+        if (pointer === '') return [];
+        if (pointer[0] !== '/') throw new Error(`GentleDB.applyPatch: invalid JSON pointer "${pointer}".`);
+        return pointer.slice(1).split('/').map(seg => seg.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
 
-                // try to flush to disk if API available (best-effort)
-                try {
-                    if (typeof handle.datasync === 'function') {
-                        await handle.datasync();
-                    } else if (typeof handle.fd === 'number') {
-                        try { await fsp.fsync(handle.fd); } catch (e) { /* ignore */ }
-                    }
-                } catch (e) {
-                    // ignore - best-effort
-                }
+    // '/users/3/name' -> 'users[3].name' (the path form used elsewhere in the API). With `forWrite`, a
+    // trailing '-' (array append) names the array itself.
+    _pointerToPath(pointer, forWrite = false) {
+        const segs = this._parsePointer(pointer);
+        if (forWrite && segs[segs.length - 1] === '-') segs.pop();
+        return this._joinPath(segs);
+    }
 
-                // keep handle to allow us to close/unlink later
-                this._heldLockHandle = handle;
-                return;
-            } catch (err) {
-                if (err && err.code === 'EEXIST') {
-                    // file exists - check if stale
-                    try {
-                        let content = null;
-                        try {
-                            content = await fsp.readFile(this._lockPath, 'utf8');
-                            const parsed = JSON.parse(content);
-                            if (parsed && typeof parsed.ts === 'number') {
-                                const now = Date.now();
-                                if ((now - parsed.ts) > staleMs) {
-                                    try { await fsp.unlink(this._lockPath); } catch (e) { /* ignore */ }
-                                    continue;
-                                }
-                            }
-                        } catch (e) {
-                            // parse/read failed - fallback to mtime
-                        }
+    // Path segments back to `a.b[0]` form
+    _joinPath(segs) {
+        return segs.reduce((acc, seg) => (/^(0|[1-9][0-9]*)$/.test(seg) ? `${acc}[${seg}]` : (acc ? `${acc}.${seg}` : seg)), '');
+    }
 
-                        try {
-                            const stat = await fsp.stat(this._lockPath);
-                            const now = Date.now();
-                            if ((now - stat.mtimeMs) > staleMs) {
-                                try { await fsp.unlink(this._lockPath); } catch (e) { /* ignore */ }
-                                continue;
-                            }
-                        } catch (e) {
-                            // stat failed - try unlink as last resort
-                            try { await fsp.unlink(this._lockPath); } catch (e2) { /* ignore */ }
-                            continue;
-                        }
-                    } catch (e) {
-                        try { await fsp.unlink(this._lockPath); } catch (e2) { /* ignore */ }
-                        continue;
-                    }
+    // Apply one operation to doc and return the (possibly new) root. Throws when the operation can't apply.
+    _applyPatchOp(doc, op) {
+        const fail = (msg) => { throw new Error(`GentleDB.applyPatch: ${op.op} ${op.path}: ${msg}.`); };
+        const resolve = (root, segs) => {
+            let cur = root;
+            for (const seg of segs) {
+                if (Array.isArray(cur) && /^(0|[1-9][0-9]*)$/.test(seg) && Number(seg) < cur.length) cur = cur[Number(seg)];
+                else if (GentleDB._isPlainObject(cur) && Object.prototype.hasOwnProperty.call(cur, seg)) cur = cur[seg];
+                else return { found: false };
+            }
+            return { found: true, value: cur };
+        };
+        const parentOf = (root, segs) => {
+            const parent = resolve(root, segs.slice(0, -1));
+            if (!parent.found || parent.value === null || typeof parent.value !== 'object') fail('parent does not exist');
+            return parent.value;
+        };
+        const indexIn = (arr, seg, forInsert) => {
+            if (forInsert && seg === '-') return arr.length;
+            if (!/^(0|[1-9][0-9]*)$/.test(seg)) fail(`"${seg}" is not an array index`);
+            const i = Number(seg);
+            if (i > arr.length || (!forInsert && i === arr.length)) fail(`index ${i} is out of bounds`);
+            return i;
+        };
+        const add = (root, segs, value) => {
+            if (segs.length === 0) return value;
+            const parent = parentOf(root, segs);
+            const last = segs[segs.length - 1];
+            if (Array.isArray(parent)) parent.splice(indexIn(parent, last, true), 0, value);
+            else parent[last] = value;
+            return root;
+        };
+        const remove = (root, segs) => {
+            if (segs.length === 0) fail('cannot remove the root');
+            if (!resolve(root, segs).found) fail('path does not exist');
+            const parent = parentOf(root, segs);
+            const last = segs[segs.length - 1];
+            if (Array.isArray(parent)) parent.splice(indexIn(parent, last, false), 1);
+            else delete parent[last];
+            return root;
+        };
 
-                    if ((Date.now() - start) > timeout) {
-                        throw new Error(`Could not acquire DB lock within ${timeout}ms (file: ${this._lockPath})`);
-                    }
-                    await new Promise(res => setTimeout(res, retryDelay));
-                    continue;
-                } else {
-                    throw err;
-                }
+        const segs = this._parsePointer(op.path);
+        switch (op.op) {
+            case 'add':
+                if (!('value' in op)) fail('missing value');
+                return add(doc, segs, GentleDB._cloneSafe(op.value));
+            case 'remove':
+                return remove(doc, segs);
+            case 'replace':
+                if (!('value' in op)) fail('missing value');
+                if (!resolve(doc, segs).found) fail('path does not exist');
+                if (segs.length === 0) return GentleDB._cloneSafe(op.value);
+                // in place, so object keys keep their order
+                parentOf(doc, segs)[segs[segs.length - 1]] = GentleDB._cloneSafe(op.value);
+                return doc;
+            case 'move': {
+                const from = this._parsePointer(op.from);
+                if (op.path.startsWith(`${op.from}/`)) fail('cannot move a value into itself');
+                const src = resolve(doc, from);
+                if (!src.found) fail(`from ${op.from} does not exist`);
+                return add(remove(doc, from), segs, src.value);
+            }
+            case 'copy': {
+                const src = resolve(doc, this._parsePointer(op.from));
+                if (!src.found) fail(`from ${op.from} does not exist`);
+                return add(doc, segs, GentleDB._cloneSafe(src.value));
+            }
+            case 'test': {
+                const cur = resolve(doc, segs);
+                if (!cur.found || !this._deepEqual(cur.value, op.value)) fail('test failed');
+                return doc;
             }
+            default:
+                return fail('unknown operation');
         }
     }
 
-    async _releaseLock() {
-        if (!this._lockPath) return;
-        try {
-            if (this._heldLockHandle) {
-                try { await this._heldLockHandle.close(); } catch (e) { /* ignore */ }
-                this._heldLockHandle = null;
+    // Attach the deep diff to a `change` event: `evt.patch` (JSON Patch) and `evt.changedPaths`
+    _describeDiff(evt, oldData, newData) {
+        evt.patch = this._diffPatch(oldData, newData);
+        evt.changedPaths = [...new Set(evt.patch.map(op => this._pointerToPath(op.path)))];
+        return evt;
+    }
+
+    // -- undo/redo history --
+
+    // Record a persisted write as forward/inverse patches (revision stamps excluded) and drop the redo stack
+    _recordHistory(op, oldData, newData) {
+        const own = (o) => !(o.path === '/__revision' || o.path.startsWith('/__revision/'));
+        const patch = this._diffPatch(oldData, newData).filter(own);
+        if (patch.length === 0) return;
+        const inverse = this._diffPatch(newData, oldData).filter(own);
+        const paths = [...new Set([...patch, ...inverse].map(o => this._pointerToPath(o.path, true)))];
+        this._undoStack.push({ id: ++this._historySeq, op, timestamp: Date.now(), paths, patch, inverse });
+        if (this._undoStack.length > this._historyCfg.limit) this._undoStack.shift();
+        this._redoStack = [];
+    }
+
+    // An external change invalidates redo, and every undo entry from the newest one touching the same
+    // values downwards (undo is LIFO, so older entries can't be reached past it). Newer entries stay.
+    _rebaseHistory(externalPatch) {
+        if (!this._historyCfg) return;
+        this._redoStack = [];
+        const changed = externalPatch.map(o => this._parsePointer(o.path));
+        const overlaps = (entry) => [...entry.patch, ...entry.inverse].some((o) => {
+            const segs = this._parsePointer(o.path);
+            return changed.some(c => c.every((seg, i) => i >= segs.length || segs[i] === seg));
+        });
+        for (let i = this._undoStack.length - 1; i >= 0; i--) {
+            if (overlaps(this._undoStack[i])) {
+                this._undoStack = this._undoStack.slice(i + 1);
+                return;
             }
-            try { await fsp.unlink(this._lockPath); } catch (e) { /* ignore */ }
-        } catch (e) { /* ignore */ }
+        }
     }
 
-    _makeEvent(type, op = '', oldData = undefined, newData = undefined) {
-        const evt = {
-            type,
-            op: op || '',
-            timestamp: Date.now(),
-            oldData: GentleDB._cloneSafe(oldData),
-            newData: GentleDB._cloneSafe(newData),
-            defaultPrevented: false,
-            chainPrevented: false,
-            _result: undefined
-        };
+    async _stepHistory(direction, opts = {}) {
+        await this._initPromise;
+        if (!this._historyCfg) throw new Error(`GentleDB.${direction}: history is disabled (opts.history).`);
+        return new Promise((resolve, reject) => {
+            this._chain = this._chain.then(async () => {
+                const from = direction === 'undo' ? this._undoStack : this._redoStack;
+                const entry = from.pop();
+                if (!entry) return resolve(false);
+                const patch = direction === 'undo' ? entry.inverse : entry.patch;
+
+                let outcome;
+                const step = {
+                    data: undefined,
+                    opts: this._auditOpts({
+                        replace: true,
+                        op: direction,
+                        paths: entry.paths,
+                        mutate: (draft) => patch.reduce((doc, o) => this._applyPatchOp(doc, o), GentleDB._cloneSafe(draft))
+                    }, opts),
+                    resolve: (v) => { outcome = { ok: true, value: v }; },
+                    reject: (err) => { outcome = { ok: false, error: err }; }
+                };
+                const seq = this._writeSeq;
+                await this._flushWrite({ steps: [step], resolvers: [], rejecters: [], opts: step.opts });
+                // failed or cancelled by a listener: the entry stays where it was
+                if (outcome && !outcome.ok) { from.push(entry); return reject(outcome.error); }
+                if (this._writeSeq === seq) { from.push(entry); return resolve(outcome ? outcome.value : undefined); }
+                (direction === 'undo' ? this._redoStack : this._undoStack).push(entry);
+                resolve(true);
+            });
+        });
+    }
 
-        // preventDefault: only meaningful for cancellable events (all except 'change' and 'error')
-        evt.preventDefault = () => {
-            if (type === 'change' || type === 'error') return;
-            evt.defaultPrevented = true;
+    // -- expiring entries (ttl) --
+
+    // Add a `ttlMs` to a set step, or drop the TTLs a set/unset replaces (the path and everything below it)
+    _ttlOpts(stepOpts, opts, method) {
+        const ttlMs = opts ? opts.ttlMs : undefined;
+        if (ttlMs !== undefined && !this._ttlCfg) throw new TypeError(`GentleDB.${method}: ttlMs needs opts.ttl enabled.`);
+        if (ttlMs !== undefined && !(typeof ttlMs === 'number' && Number.isFinite(ttlMs) && ttlMs > 0)) throw new TypeError(`GentleDB.${method}: ttlMs must be a positive number.`);
+        if (!this._ttlCfg) return stepOpts;
+        const key = this._joinPath(this._splitPath(stepOpts.paths[0]));
+        const expiresAt = ttlMs === undefined ? undefined : Date.now() + ttlMs;
+        const inner = stepOpts.mutate;
+        return {
+            ...stepOpts,
+            paths: expiresAt === undefined ? stepOpts.paths : [...stepOpts.paths, '__expires'],
+            mutate: (draft, step) => {
+                const res = inner(draft, step);
+                const root = res === undefined ? draft : res;
+                if (!GentleDB._isPlainObject(root)) return root;
+                const map = GentleDB._isPlainObject(root.__expires) ? root.__expires : {};
+                for (const k of Object.keys(map)) {
+                    if (k === key || k.startsWith(`${key}.`) || k.startsWith(`${key}[`)) delete map[k];
+                }
+                if (expiresAt !== undefined) map[key] = expiresAt;
+                if (Object.keys(map).length > 0) root.__expires = map;
+                else delete root.__expires;
+                return root;
+            }
         };
-        // preventChain: suppress nested emissions from inside listeners
-        evt.preventChain = () => { evt.chainPrevented = true; };
-        // setResult - set return result and mark defaultPrevented (except for change/error)
-        evt.setResult = (v) => { evt._result = v; if (type !== 'change' && type !== 'error') evt.defaultPrevented = true; };
-
-        // convenience helpers for mutating newData
-        evt.get = (pth) => this._getAtPath(evt.newData, pth);
-        evt.set = (pth, value) => { this._setAtPath(evt.newData, pth, value); return evt; };
-        evt.merge = (pth, obj) => { const cur = this._getAtPath(evt.newData, pth) || {}; this._setAtPath(evt.newData, pth, this._deepMerge(GentleDB._cloneSafe(cur), obj)); return evt; };
-        evt.delete = (pth) => { this._deleteAtPath(evt.newData, pth); return evt; };
-        evt.commit = () => evt;
+    }
 
-        return evt;
+    // Keep `__expires` in step with a write step: an entry whose value only moved to another array index (elements
+    // before it were removed or inserted) follows it; one whose value changed otherwise is dropped, so rewritten
+    // values don't keep the old TTL. Entries the step set or removed itself are left as they are.
+    _rekeyExpiries(before, after) {
+        const was = GentleDB._isPlainObject(before) && GentleDB._isPlainObject(before.__expires) ? before.__expires : null;
+        if (!was || !GentleDB._isPlainObject(after) || !GentleDB._isPlainObject(after.__expires)) return after;
+        const map = after.__expires;
+        const moved = {};
+        for (const [key, at] of Object.entries(was)) {
+            if (map[key] !== at || this._deepEqual(this._getAtPath(before, key), this._getAtPath(after, key))) continue;
+            delete map[key];
+            const target = this._movedPath(before, after, this._splitPath(key));
+            if (target !== null) moved[target] = at;
+        }
+        for (const [key, at] of Object.entries(moved)) if (map[key] === undefined) map[key] = at;
+        if (Object.keys(map).length === 0) delete after.__expires;
+        return after;
     }
 
-    _computeTopLevelChanges(oldObj, newObj) {
-        const out = {};
-        const keys = new Set([...Object.keys(oldObj || {}), ...Object.keys(newObj || {})]);
-        for (const k of keys) {
-            const a = (oldObj || {})[k];
-            const b = (newObj || {})[k];
-            if (!this._deepEqual(a, b)) out[k] = { old: GentleDB._cloneSafe(a), new: GentleDB._cloneSafe(b) };
+    // Path of the value at `segs` of `before` in `after`, when an array on the way changed length and the
+    // element holding it is found within the shift that explains; null when it can't be told
+    _movedPath(before, after, segs) {
+        for (let i = segs.length - 1; i >= 0; i--) {
+            if (!/^(0|[1-9][0-9]*)$/.test(segs[i])) continue;
+            const prefix = this._joinPath(segs.slice(0, i));
+            const was = this._getAtPath(before, prefix);
+            const now = this._getAtPath(after, prefix);
+            if (!Array.isArray(was) || !Array.isArray(now)) return null;
+            if (was.length === now.length) continue;
+            const idx = Number(segs[i]);
+            const dir = now.length < was.length ? -1 : 1;
+            // nearest candidate first
+            for (let d = 0; d <= Math.abs(was.length - now.length); d++) {
+                const j = idx + dir * d;
+                if (j >= 0 && j < now.length && this._deepEqual(now[j], was[idx])) {
+                    return this._joinPath([...segs.slice(0, i), String(j), ...segs.slice(i + 1)]);
+                }
+            }
+            return null;
         }
-        return out;
+        return null;
     }
 
-    // Use structuredClone if available; otherwise safe JSON fallback
-    static _cloneSafe(x) {
-        if (typeof globalThis !== 'undefined' && typeof globalThis.structuredClone === 'function') {
-            try { return structuredClone(x); } catch (e) { /* fallback */ }
+    // `expiresAt`-style field value to epoch ms (numbers as-is, date strings parsed); null when it doesn't expire
+    static _expiryTime(v) {
+        if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+        if (typeof v === 'string') {
+            const t = Date.parse(v);
+            return Number.isNaN(t) ? null : t;
         }
-        try { return x === undefined ? undefined : JSON.parse(JSON.stringify(x)); } catch (e) { return x; }
+        return null;
     }
 
-    // Short-circuiting deep equal for common shapes (fast for large objects)
-    _deepEqual(a, b) {
-        if (a === b) return true;
-        if (a == null || b == null) return a === b;
-        if (typeof a !== typeof b) return false;
-        if (typeof a !== 'object') return a === b;
+    // Entries of `data` expired at `now`: `{ path, segs, expiresAt, key? }` (key: the `__expires` entry)
+    _expiredEntries(data, now) {
+        if (!this._ttlCfg || !GentleDB._isPlainObject(data)) return [];
+        const out = [];
+        if (GentleDB._isPlainObject(data.__expires)) {
+            for (const [key, at] of Object.entries(data.__expires)) {
+                if (typeof at === 'number' && at <= now) out.push({ path: key, segs: this._splitPath(key), expiresAt: at, key });
+            }
+        }
+        for (const name of this._ttlCfg.collections) {
+            const arr = this._getAtPath(data, name);
+            if (!Array.isArray(arr)) continue;
+            const base = this._splitPath(name);
+            arr.forEach((doc, i) => {
+                const at = doc && typeof doc === 'object' ? GentleDB._expiryTime(doc[this._ttlCfg.field]) : null;
+                if (at !== null && at <= now) out.push({ path: `${this._joinPath(base)}[${i}]`, segs: [...base, String(i)], expiresAt: at });
+            });
+        }
+        return out;
+    }
 
-        if (Array.isArray(a) || Array.isArray(b)) {
-            if (!Array.isArray(a) || !Array.isArray(b)) return false;
-            if (a.length !== b.length) return false;
-            for (let i = 0; i < a.length; i++) {
-                if (!this._deepEqual(a[i], b[i])) return false;
+    // Delete expired entries below `baseSegs` from `value` (the data at baseSegs). Deepest and highest array
+    // indexes go first so splicing never shifts a path still to be removed.
+    _removeExpired(value, expired, baseSegs = []) {
+        const within = (segs) => segs.length > baseSegs.length && baseSegs.every((seg, i) => segs[i] === seg);
+        const rel = expired.filter(e => within(e.segs)).map(e => e.segs.slice(baseSegs.length));
+        rel.sort((a, b) => {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] === b[i]) continue;
+                const na = /^[0-9]+$/.test(a[i]) && /^[0-9]+$/.test(b[i]);
+                return na ? Number(b[i]) - Number(a[i]) : (a[i] < b[i] ? 1 : -1);
             }
-            return true;
+            return b.length - a.length;
+        });
+        for (const segs of rel) this._deleteAtPath(value, this._joinPath(segs));
+        if (baseSegs.length === 0 && GentleDB._isPlainObject(value) && GentleDB._isPlainObject(value.__expires)) {
+            for (const e of expired) if (e.key !== undefined) delete value.__expires[e.key];
+            if (Object.keys(value.__expires).length === 0) delete value.__expires;
         }
+        return value;
+    }
 
-        const aKeys = Object.keys(a);
-        const bKeys = Object.keys(b);
-        if (aKeys.length !== bKeys.length) return false;
+    // Read-side view: a snapshot (owned by the caller) without entries already expired
+    _hideExpired(snapshot) {
+        const expired = this._expiredEntries(snapshot, Date.now());
+        return expired.length > 0 ? this._removeExpired(snapshot, expired) : snapshot;
+    }
 
-        for (const k of aKeys) {
-            if (!Object.prototype.hasOwnProperty.call(b, k)) return false;
-            if (!this._deepEqual(a[k], b[k])) return false;
+    // Drop query entries that expired (or sit below an expired path) and hide expired values inside the rest
+    _hideExpiredEntries(entries, data) {
+        const expired = this._expiredEntries(data, Date.now());
+        if (expired.length === 0) return entries;
+        const out = [];
+        for (const e of entries) {
+            const segs = this._splitPath(e.path);
+            if (expired.some(x => x.segs.length <= segs.length && x.segs.every((seg, i) => segs[i] === seg))) continue;
+            const nested = expired.some(x => x.segs.length > segs.length && segs.every((seg, i) => x.segs[i] === seg));
+            out.push(nested ? { path: e.path, doc: this._removeExpired(GentleDB._cloneSafe(e.doc), expired, segs) } : e);
         }
-        return true;
+        return out;
     }
 
-    _deepMerge(a, b) {
-        if (b === undefined) return a;
-        if (a === undefined || a === null) return GentleDB._cloneSafe(b);
-        if (typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) || Array.isArray(b)) return GentleDB._cloneSafe(b);
+    // Remove everything expired in one write under the lock (op 'expire'); emits `expire` with what was removed
+    async _sweepExpired() {
+        await this._initPromise;
+        if (!this._ttlCfg) throw new Error('GentleDB.sweepExpired: expiry is disabled (opts.ttl).');
+        return new Promise((resolve, reject) => {
+            this._chain = this._chain.then(async () => {
+                let removed = [];
+                let outcome;
+                const paths = [];
+                const step = {
+                    data: undefined,
+                    opts: {
+                        op: 'expire',
+                        paths,
+                        mutate: (draft, step) => {
+                            const expired = this._expiredEntries(draft, Date.now());
+                            // nothing to do (e.g. another process swept first): the step is settled without a write
+                            if (expired.length === 0) {
+                                step.unchanged = true;
+                                return draft;
+                            }
+                            removed = expired.map(e => ({ path: e.path, value: GentleDB._cloneSafe(this._getAtPath(draft, e.path)), expiresAt: e.expiresAt }));
+                            paths.push(...expired.map(e => e.path));
+                            if (expired.some(e => e.key !== undefined)) paths.push('__expires');
+                            return this._removeExpired(draft, expired);
+                        }
+                    },
+                    resolve: (v) => { outcome = { ok: true, value: v }; },
+                    reject: (err) => { outcome = { ok: false, error: err }; }
+                };
+                const seq = this._writeSeq;
+                try {
+                    await this._flushWrite({ steps: [step], resolvers: [], rejecters: [], opts: step.opts });
+                } catch (err) {
+                    return reject(err);
+                }
+                if (outcome && !outcome.ok) return reject(outcome.error);
+                // nothing expired, or cancelled by a write listener
+                if (this._writeSeq === seq) return resolve([]);
+                if (this._canEmit()) {
+                    const evt = this._makeEvent('expire', 'expire', undefined, undefined);
+                    evt.expired = removed;
+                    evt.source = 'internal';
+                    await this._emitSequential('expire', evt);
+                }
+                resolve(removed);
+            });
+        });
+    }
 
-        for (const k of Object.keys(b)) {
-            if (k === '__proto__' || k === 'constructor' || k === 'prototype') continue;
-            const bv = b[k];
-            if (bv === undefined) continue;
-            if (typeof bv === 'object' && bv !== null && !Array.isArray(bv)) {
-                a[k] = this._deepMerge(a[k] === undefined ? {} : a[k], bv);
+    _startSweepTimer() {
+        if (!this._ttlCfg || !this._ttlCfg.sweepIntervalMs || this._sweepTimer) return;
+        this._sweepTimer = setInterval(() => {
+            // cheap check against runtime data; the sweep itself re-checks under the lock
+            if (this._sweeping || this._expiredEntries(this._low && this._low.data, Date.now()).length === 0) return;
+            this._sweeping = true;
+            this._sweepExpired().catch(async (err) => {
+                if (this._canEmit()) {
+                    const errEvt = this._makeEvent('error', 'expire', undefined, undefined);
+                    errEvt.error = err;
+                    await this._emitSequential('error', errEvt);
+                }
+            }).finally(() => { this._sweeping = false; });
+        }, this._ttlCfg.sweepIntervalMs);
+        if (typeof this._sweepTimer.unref === 'function') this._sweepTimer.unref();
+    }
+
+    // -- audit log --
+
+    // Add a caller's audit `actor`/`context` to write-step options
+    _auditOpts(stepOpts, opts) {
+        if (!opts || (opts.actor === undefined && opts.context === undefined)) return stepOpts;
+        const out = { ...stepOpts };
+        if (opts.actor !== undefined) out.actor = GentleDB._cloneSafe(opts.actor);
+        if (opts.context !== undefined) out.context = GentleDB._cloneSafe(opts.context);
+        return out;
+    }
+
+    // Steps with a different actor/context must not be coalesced into one audited write
+    _sameAuditor(a, b) {
+        return this._deepEqual(a.actor, b.actor) && this._deepEqual(a.context, b.context);
+    }
+
+    // Current log first, then `.1` (newest rotated) .. `.<keep>`
+    _auditFiles() {
+        const file = this._auditCfg.file;
+        const out = [file];
+        for (let i = 1; i <= this._auditCfg.keep; i++) out.push(`${file}.${i}`);
+        return out;
+    }
+
+    // Queue one NDJSON record for a committed write. Never rejects: a failed append emits `error` (op 'audit')
+    // because the write itself has already reached the file.
+    _audit(op, source, oldData, newData, meta = {}) {
+        if (!this._auditCfg) return Promise.resolve();
+        const rec = { timestamp: Date.now(), op, source };
+        const own = (o) => !(o.path === '/__revision' || o.path.startsWith('/__revision/'));
+        rec.paths = [...new Set(this._diffPatch(oldData, newData).filter(own).map(o => this._pointerToPath(o.path)))];
+        if (this.opts.revisions) rec.revision = this._revisionOf(newData);
+        if (meta.actor !== undefined) rec.actor = meta.actor;
+        if (meta.context !== undefined) rec.context = meta.context;
+        const line = `${JSON.stringify(rec)}\n`;
+
+        this._auditChain = this._auditChain.then(async () => {
+            try {
+                await this._appendAudit(line);
+            } catch (err) {
+                if (this._canEmit()) {
+                    const errEvt = this._makeEvent('error', 'audit', undefined, undefined);
+                    errEvt.error = err;
+                    errEvt.record = rec;
+                    await this._emitSequential('error', errEvt);
+                }
+            }
+        });
+        return this._auditChain;
+    }
+
+    // Append a line, rotating first when it would push the log past maxBytes
+    async _appendAudit(line) {
+        const file = this._auditCfg.file;
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        let size = 0;
+        try { size = (await fsp.stat(file)).size; } catch (e) { /* not created yet */ }
+        if (size > 0 && size + Buffer.byteLength(line) > this._auditCfg.maxBytes) {
+            const files = this._auditFiles();
+            if (this._auditCfg.keep === 0) {
+                await fsp.unlink(file).catch(() => { /* ignore */ });
             } else {
-                a[k] = GentleDB._cloneSafe(bv);
+                await fsp.unlink(files[files.length - 1]).catch(() => { /* ignore */ });
+                for (let i = files.length - 2; i >= 0; i--) {
+                    await fsp.rename(files[i], files[i + 1]).catch(() => { /* missing */ });
+                }
             }
         }
-        return a;
+        await fsp.appendFile(file, line, 'utf8');
     }
 
-    _getAtPath(root, pathStr) {
-        if (!pathStr || pathStr === '') return root;
-        const parts = this._splitPath(pathStr);
-        let cur = root;
-        for (const part of parts) {
-            if (cur === undefined || cur === null) return undefined;
-            if (!Object.prototype.hasOwnProperty.call(cur, part) && typeof cur !== 'function') {
-                // harmless: will return undefined if doesn't exist
+    // -- path subscriptions (watch) --
+
+    // Concrete paths matching a watch pattern whose value differs between evt.oldData and evt.newData.
+    // The deep diff (evt.patch) is checked first so unrelated changes cost almost nothing.
+    _watchHits(segs, evt) {
+        const changed = Array.isArray(evt.patch) ? evt.patch.map(op => this._parsePointer(op.path)) : [[]];
+        const overlaps = changed.some(c => c.every((seg, i) => i >= segs.length || segs[i] === '*' || segs[i] === seg));
+        if (!overlaps) return [];
+
+        const found = new Map();
+        const expand = (node, i, prefix) => {
+            if (i === segs.length) { found.set(prefix, true); return; }
+            const seg = segs[i];
+            const child = (k) => (Array.isArray(node) ? `${prefix}[${k}]` : (prefix ? `${prefix}.${k}` : String(k)));
+            if (seg !== '*') {
+                expand(node !== null && typeof node === 'object' ? node[seg] : undefined, i + 1, child(seg));
+            } else if (node !== null && typeof node === 'object') {
+                for (const k of Object.keys(node)) expand(node[k], i + 1, child(k));
             }
-            cur = cur[part];
+        };
+        expand(evt.oldData, 0, '');
+        expand(evt.newData, 0, '');
+
+        const hits = [];
+        for (const p of found.keys()) {
+            const oldValue = this._getAtPath(evt.oldData, p);
+            const newValue = this._getAtPath(evt.newData, p);
+            if (!this._deepEqual(oldValue, newValue)) hits.push({ path: p, oldValue: GentleDB._cloneSafe(oldValue), newValue: GentleDB._cloneSafe(newValue) });
         }
-        return cur;
+        return hits;
     }
 
-    _setAtPath(root, pathStr, value) {
-        if (!pathStr || pathStr === '') {
-            if (typeof value === 'object' && value !== null) {
-                if (typeof root === 'object' && root !== null) {
-                    for (const k of Object.keys(root)) delete root[k];
-                    for (const k of Object.keys(value)) root[k] = GentleDB._cloneSafe(value[k]);
-                    return;
-                }
+    // -- secondary indexes --
+
+    static _indexId(collection, field) {
+        return `${collection}\u0000${field}`;
+    }
+
+    _indexInfo(index) {
+        return { collection: index.collection, field: index.field, unique: index.unique, type: index.type, size: index.map.size };
+    }
+
+    // Indexed keys of one document: the primitive values (and primitive array elements) `field` resolves
+    // to with query semantics, so an index lookup always returns a superset of the matching documents.
+    _indexKeysOf(doc, field) {
+        const keys = [];
+        const add = (v) => {
+            if ((typeof v === 'string' || typeof v === 'boolean' || (typeof v === 'number' && !Number.isNaN(v))) && !keys.includes(v)) keys.push(v);
+        };
+        for (const v of this._queryFieldValues(doc, field)) {
+            if (Array.isArray(v)) v.forEach(add); else add(v);
+        }
+        return keys;
+    }
+
+    _collectionIndexKeys(index, data) {
+        const arr = this._getAtPath(data, index.collection);
+        return Array.isArray(arr) ? arr.map(doc => this._indexKeysOf(doc, index.field)) : [];
+    }
+
+    // Does any written path overlap the collection? `null` means the written paths are unknown.
+    _pathsTouch(paths, collection) {
+        if (!paths) return true;
+        const target = this._splitPath(collection);
+        return paths.some((p) => {
+            const parts = this._splitPath(String(p));
+            const n = Math.min(parts.length, target.length);
+            for (let i = 0; i < n; i++) if (String(parts[i]) !== String(target[i])) return false;
+            return true;
+        });
+    }
+
+    // Values a new key list would hold more often than the index does now (pre-existing duplicates,
+    // e.g. from an external edit, don't block unrelated writes)
+    _uniqueViolations(index, keys) {
+        const seen = new Map();
+        keys.forEach((list, pos) => list.forEach(k => seen.set(k, (seen.get(k) || []).concat(pos))));
+        const errors = [];
+        for (const [key, positions] of seen) {
+            if (positions.length < 2 || positions.length <= (index.map.get(key) || new Set()).size) continue;
+            for (const pos of positions.slice(1)) {
+                errors.push({
+                    path: `${index.collection}[${pos}].${index.field}`,
+                    keyword: 'unique',
+                    message: `duplicate value ${JSON.stringify(key)} (also at ${index.collection}[${positions[0]}]) in unique index ${index.collection}.${index.field}`
+                });
             }
-            throw new Error('Cannot set root path to non-object value in place.');
         }
-        const parts = this._splitPath(pathStr);
-        let cur = root;
+        return errors;
+    }
 
-        for (let i = 0; i < parts.length - 1; i++) {
-            const p = parts[i];
-            const nextPart = parts[i + 1];
-            const np = nextPart;
-            const nextIsIndex = (typeof np === 'string' && np.length > 0 && /^[0-9]+$/.test(np));
+    // Compute index changes for data about to be persisted; `errors` lists unique violations
+    _prepareIndexUpdate(data, paths) {
+        this._syncIndexes();
+        const updates = [];
+        const errors = [];
+        for (const index of this._indexes.values()) {
+            if (!this._pathsTouch(paths, index.collection)) continue;
+            const keys = this._collectionIndexKeys(index, data);
+            if (index.unique) errors.push(...this._uniqueViolations(index, keys));
+            updates.push({ index, keys });
+        }
+        return { updates, errors };
+    }
 
-            if (cur[p] === undefined || cur[p] === null) cur[p] = nextIsIndex ? [] : {};
-            cur = cur[p];
+    _applyIndexUpdate(update, data) {
+        for (const { index, keys } of update.updates) this._patchIndex(index, keys);
+        this._indexedData = data;
+    }
 
-            if (cur === null || (typeof cur !== 'object' && !Array.isArray(cur))) {
-                cur = cur[parts[i]] = {};
+    // Patch an index to new per-position keys, touching only positions whose keys changed
+    _patchIndex(index, keys) {
+        const len = Math.max(index.keys.length, keys.length);
+        for (let pos = 0; pos < len; pos++) {
+            const before = index.keys[pos] || [];
+            const after = keys[pos] || [];
+            if (before.length === after.length && before.every((k, i) => k === after[i])) continue;
+            for (const k of before) {
+                const set = index.map.get(k);
+                if (!set) continue;
+                set.delete(pos);
+                if (set.size === 0) { index.map.delete(k); index.sorted = null; }
+            }
+            for (const k of after) {
+                if (!index.map.has(k)) { index.map.set(k, new Set()); index.sorted = null; }
+                index.map.get(k).add(pos);
             }
         }
+        index.keys = keys;
+    }
 
-        const last = parts[parts.length - 1];
-        cur[last] = GentleDB._cloneSafe(value);
+    // Rebuild indexes when the runtime data was replaced outside the write pipeline (reads, external changes)
+    _syncIndexes() {
+        if (!this._low || this._indexedData === this._low.data) return;
+        for (const index of this._indexes.values()) this._patchIndex(index, this._collectionIndexKeys(index, this._low.data));
+        this._indexedData = this._low.data;
     }
 
-    _deleteAtPath(root, pathStr) {
-        if (!pathStr) return;
-        const parts = this._splitPath(pathStr);
-        if (parts.length === 0) return;
+    // Positions matching one field condition, or null when the index can't answer it
+    _indexCandidates(index, cond) {
+        const isKey = (v) => typeof v === 'string' || typeof v === 'boolean' || (typeof v === 'number' && !Number.isNaN(v));
+        const lookup = (keys) => {
+            const out = new Set();
+            for (const k of keys) for (const pos of (index.map.get(k) || [])) out.add(pos);
+            return out;
+        };
+        if (isKey(cond)) return lookup([cond]);
+        if (!this._isOperatorObject(cond)) return null;
+        if (isKey(cond.$eq)) return lookup([cond.$eq]);
+        if (Array.isArray(cond.$in) && cond.$in.every(isKey)) return lookup(cond.$in);
+        if (index.type !== 'sorted') return null;
+        for (const op of ['$gt', '$gte', '$lt', '$lte']) {
+            if (isKey(cond[op])) return lookup(this._sortedRange(index, op, cond[op]));
+        }
+        return null;
+    }
 
-        let parent = root;
-        for (let i = 0; i < parts.length - 1; i++) {
-            const key = parts[i];
-            if (parent == null || parent[key] === undefined) return;
-            parent = parent[key];
-            if (parent == null || (typeof parent !== 'object' && !Array.isArray(parent))) return;
+    // Keys of a sorted index satisfying `op arg` (same-type comparison, as in queries)
+    _sortedRange(index, op, arg) {
+        const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+        const cmp = (a, b) => (rank(a) - rank(b)) || (a < b ? -1 : (a > b ? 1 : 0));
+        if (!index.sorted) index.sorted = [...index.map.keys()].sort(cmp);
+        const sorted = index.sorted;
+        // first position where pred(sorted[i]) holds, for a predicate monotone over the sort order
+        const bound = (pred) => {
+            let lo = 0;
+            let hi = sorted.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (pred(sorted[mid])) hi = mid; else lo = mid + 1;
+            }
+            return lo;
+        };
+        const typeStart = bound(k => rank(k) >= rank(arg));
+        const typeEnd = bound(k => rank(k) > rank(arg));
+        if (op === '$gt') return sorted.slice(bound(k => cmp(k, arg) > 0), typeEnd);
+        if (op === '$gte') return sorted.slice(bound(k => cmp(k, arg) >= 0), typeEnd);
+        if (op === '$lt') return sorted.slice(typeStart, bound(k => cmp(k, arg) >= 0));
+        return sorted.slice(typeStart, bound(k => cmp(k, arg) > 0));
+    }
+
+    // Candidate `{ path, doc }` entries (runtime references, in collection order) for a query on `source`
+    // answered by an index on one of the filter's top-level fields; null when no index applies
+    _indexedEntries(source, filter) {
+        if (this._indexes.size === 0 || !filter || typeof filter !== 'object' || Array.isArray(filter)) return null;
+        for (const field of Object.keys(filter)) {
+            const index = this._indexes.get(GentleDB._indexId(source, field));
+            if (!index) continue;
+            this._syncIndexes();
+            const positions = this._indexCandidates(index, filter[field]);
+            if (!positions) continue;
+            const arr = this._getAtPath(this._low.data, source);
+            const entries = [...positions].sort((a, b) => a - b).map(pos => ({ path: `${source}[${pos}]`, doc: arr[pos] }));
+            return this._ttlCfg ? this._hideExpiredEntries(entries, this._low.data) : entries;
         }
+        return null;
+    }
 
-        const lastKey = parts[parts.length - 1];
-        if (parent != null && Object.prototype.hasOwnProperty.call(parent, lastKey)) {
-            delete parent[lastKey];
+    // -- migrations --
+
+    // Validate and sort opts.migrations (`[{ version, up(data) }]`); versions are positive integers
+    static _normalizeMigrations(list) {
+        if (list === undefined || list === null) return [];
+        if (!Array.isArray(list)) throw new TypeError('GentleDB: opts.migrations must be an array of { version, up }.');
+        const sorted = list.slice().sort((a, b) => (a && a.version) - (b && b.version));
+        sorted.forEach((m, i) => {
+            if (!m || !Number.isInteger(m.version) || m.version < 1 || typeof m.up !== 'function') {
+                throw new TypeError('GentleDB: each migration needs an integer version >= 1 and an up(data) function.');
+            }
+            if (i > 0 && sorted[i - 1].version === m.version) throw new TypeError(`GentleDB: duplicate migration version ${m.version}.`);
+        });
+        return sorted;
+    }
+
+    _schemaVersionOf(data) {
+        const v = GentleDB._isPlainObject(data) ? data.__schemaVersion : undefined;
+        return Number.isInteger(v) ? v : 0;
+    }
+
+    // Run the migrations between the stored version and `target` (default: latest) over the current
+    // runtime data. Caller must hold the lock. Backs the file up first, emits `migrate` per step and
+    // persists the result as one write (op 'migrate'). Resolves to the resulting version.
+    async _runMigrations(target) {
+        const data = this._low.data;
+        const from = this._schemaVersionOf(data);
+        if (this._migrations.length === 0) return from;
+        const to = target === undefined ? this._migrations[this._migrations.length - 1].version : target;
+        if (to < from) throw new Error(`GentleDB.migrateTo: cannot migrate down from version ${from} to ${to}.`);
+        if (to !== from && !this._migrations.some(m => m.version === to)) throw new Error(`GentleDB.migrateTo: unknown version ${to}.`);
+        const pending = this._migrations.filter(m => m.version > from && m.version <= to);
+        if (pending.length === 0) return from;
+        if (!GentleDB._isPlainObject(data)) throw new Error('GentleDB: migrations need an object at the root of the data.');
+
+        // pre-migration backup (kept, never rotated)
+        if (this._backupDir()) await this._createBackup(`pre-migrate-v${from}`, false);
+
+        let work = GentleDB._cloneSafe(data);
+        let version = from;
+        for (const m of pending) {
+            const before = GentleDB._cloneSafe(work);
+            const res = await m.up(work);
+            if (res !== undefined) work = res;
+            if (!GentleDB._isPlainObject(work)) throw new Error(`GentleDB: migration ${m.version} must leave an object at the root.`);
+            work.__schemaVersion = m.version;
+            if (this._canEmit()) {
+                const evt = this._makeEvent('migrate', 'migrate', before, GentleDB._cloneSafe(work));
+                evt.fromVersion = version;
+                evt.toVersion = m.version;
+                await this._emitSequential('migrate', evt);
+            }
+            version = m.version;
         }
+
+        let outcome;
+        const step = {
+            data: undefined,
+            opts: { op: 'migrate', mutate: () => work },
+            resolve: (v) => { outcome = { ok: true, value: v }; },
+            reject: (err) => { outcome = { ok: false, error: err }; }
+        };
+        await this._flushWrite({ steps: [step], resolvers: [], rejecters: [], opts: step.opts }, { lockHeld: true });
+        if (outcome && !outcome.ok) throw outcome.error;
+        return this._schemaVersionOf(this._low.data);
     }
 
-    _splitPath(pathStr) {
-        const parts = [];
-        const re = /([^[.\]]+)|\[(\d+)\]/g;
-        let m;
-        while ((m = re.exec(pathStr)) !== null) parts.push(m[1] || m[2]);
-        return parts;
+    // -- schema validation --
+
+    // Validate data against opts.schema; returns a list of `{ path, keyword, message }` (empty when valid)
+    _validate(data) {
+        const schema = this.opts.schema;
+        if (!schema || typeof schema !== 'object') return [];
+        const errors = [];
+        this._validateNode(GentleDB._withoutReservedKeys(data), schema, '', errors);
+        return errors;
     }
 
-    _parseToTokens(query, cfg) {
-        if (query == null) return [];
-        if (Array.isArray(query) && query.length > 0 && typeof query[0] === 'object' && 'token' in query[0]) {
-            return query.map(q => this._normalizeTokenObject(q, cfg)).filter(Boolean);
+    // The root without the keys GentleDB maintains itself: the schema describes user data only
+    static _withoutReservedKeys(data) {
+        if (!GentleDB._isPlainObject(data) || !GentleDB._RESERVED_KEYS.some(k => Object.prototype.hasOwnProperty.call(data, k))) return data;
+        const out = { ...data };
+        for (const k of GentleDB._RESERVED_KEYS) delete out[k];
+        return out;
+    }
+
+    // JSON Schema draft-07 subset: type, enum, const, properties, required, additionalProperties,
+    // items (schema or tuple), minItems/maxItems, minLength/maxLength, pattern,
+    // minimum/maximum/exclusiveMinimum/exclusiveMaximum, multipleOf. Every failure is collected.
+    _validateNode(value, schema, pth, errors) {
+        if (schema === true || schema === undefined || schema === null) return;
+        const at = pth || '(root)';
+        const fail = (keyword, message) => errors.push({ path: at, keyword, message });
+        if (schema === false) { fail('false', 'no value is allowed here'); return; }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(t => GentleDB._schemaTypeMatches(value, t))) {
+                fail('type', `must be ${types.join(' or ')}`);
+                return;
+            }
         }
-        if (Array.isArray(query)) return query.map(q => this._normalizeTokenObject({ token: q })).filter(Boolean);
-        if (query instanceof RegExp) return [this._normalizeTokenObject({ token: query })];
-        if (typeof query === 'string') {
-            const out = [];
-            const re = /"([^\"]+)"|'([^']+)'|\/([^/]+)\/([gimsuy]*)|=([^\s,]+)|([^\s,]+)/g;
-            let m;
-            while ((m = re.exec(query)) !== null) {
-                if (m[1]) out.push({ token: m[1], exactOnly: false });
-                else if (m[2]) out.push({ token: m[2], exactOnly: false });
-                else if (m[3]) {
-                    try { const r = new RegExp(m[3], m[4] || ''); out.push({ token: r, exactOnly: false }); }
-                    catch (e) { out.push({ token: `/${m[3]}/`, exactOnly: false }); }
-                } else if (m[5]) out.push({ token: m[5], exactOnly: true });
-                else if (m[6]) out.push({ token: m[6], exactOnly: false });
+        if (Array.isArray(schema.enum) && !schema.enum.some(e => this._deepEqual(e, value))) fail('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+        if (Object.prototype.hasOwnProperty.call(schema, 'const') && !this._deepEqual(schema.const, value)) fail('const', `must equal ${JSON.stringify(schema.const)}`);
+
+        if (typeof value === 'number') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+            if (typeof schema.maximum === 'number' && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+            if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+            if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 && !Number.isInteger(value / schema.multipleOf)) fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+        }
+
+        if (typeof value === 'string') {
+            const len = [...value].length;
+            if (typeof schema.minLength === 'number' && len < schema.minLength) fail('minLength', `must have at least ${schema.minLength} characters`);
+            if (typeof schema.maxLength === 'number' && len > schema.maxLength) fail('maxLength', `must have at most ${schema.maxLength} characters`);
+            if (typeof schema.pattern === 'string' && !this._schemaPattern(schema.pattern).test(value)) fail('pattern', `must match ${schema.pattern}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+            if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+            if (Array.isArray(schema.items)) {
+                schema.items.forEach((s, i) => { if (i < value.length) this._validateNode(value[i], s, `${pth}[${i}]`, errors); });
+                if (schema.additionalItems !== undefined && value.length > schema.items.length) {
+                    for (let i = schema.items.length; i < value.length; i++) this._validateNode(value[i], schema.additionalItems, `${pth}[${i}]`, errors);
+                }
+            } else if (schema.items !== undefined) {
+                value.forEach((v, i) => this._validateNode(v, schema.items, `${pth}[${i}]`, errors));
+            }
+        }
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+            const child = (k) => (pth ? `${pth}.${k}` : k);
+            if (Array.isArray(schema.required)) {
+                for (const k of schema.required) {
+                    if (!Object.prototype.hasOwnProperty.call(value, k)) errors.push({ path: child(k), keyword: 'required', message: 'is required' });
+                }
+            }
+            for (const k of Object.keys(value)) {
+                if (Object.prototype.hasOwnProperty.call(props, k)) this._validateNode(value[k], props[k], child(k), errors);
+                else if (schema.additionalProperties === false) errors.push({ path: child(k), keyword: 'additionalProperties', message: 'is not allowed' });
+                else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') this._validateNode(value[k], schema.additionalProperties, child(k), errors);
             }
-            return out.map(o => this._normalizeTokenObject(o, cfg)).filter(Boolean);
         }
-        return [this._normalizeTokenObject({ token: String(query), exactOnly: false })];
     }
 
-    _normalizeTokenObject(obj, cfg) {
-        if (!obj || typeof obj !== 'object') return null;
-        const tok = obj.token;
-        if (tok == null) return null;
-        if (tok instanceof RegExp) return { token: tok, exactOnly: Boolean(obj.exactOnly), isRegex: true, regex: tok };
-        if (typeof tok === 'string') {
-            const s = tok.trim();
-            const regexLike = s.match(/^\/(.+)\/([gimsuy]*)$/);
-            if (regexLike) {
+    _schemaPattern(src) {
+        if (!this._schemaPatternCache) this._schemaPatternCache = new Map();
+        let re = this._schemaPatternCache.get(src);
+        if (!re) {
+            re = new RegExp(src, 'u');
+            this._schemaPatternCache.set(src, re);
+        }
+        return re;
+    }
+
+    static _schemaTypeMatches(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return typeof value === 'number' && Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            default: return false;
+        }
+    }
+
+    // Check whether emitting events is allowed (inspect active event stack for preventChain)
+    _canEmit() {
+        for (let i = this._activeEventStack.length - 1; i >= 0; i--) {
+            const ctx = this._activeEventStack[i];
+            if (ctx && ctx.chainPrevented) return false;
+        }
+        return true;
+    }
+
+    // Emit sequentially to each listener. If chain suppressed, skip calling listeners but return the event object.
+    async _emitSequential(name, evt) {
+        if (!this._canEmit()) return evt;
+
+        const listeners = this._ee.listeners(name).slice();
+
+        // push ctx for preventChain semantics
+        this._activeEventStack.push(evt);
+        try {
+            for (const l of listeners) {
                 try {
-                    const r = new RegExp(regexLike[1], regexLike[2] || (cfg.caseSensitive ? '' : 'i'));
-                    return { token: r, exactOnly: Boolean(obj.exactOnly), isRegex: true, regex: r };
-                } catch (e) { /* fall-through */ }
+                    const res = l(evt);
+                    if (res && typeof res.then === 'function') await res;
+                } catch (err) {
+                    console.error(`GentleDB listener error for ${name}:`, err);
+                    evt._listenerError = evt._listenerError || [];
+                    evt._listenerError.push({ listener: l, error: err });
+                }
             }
-            const t = cfg.caseSensitive ? s : s.toLowerCase();
-            return { token: t, exactOnly: Boolean(obj.exactOnly), isRegex: false };
+        } finally {
+            this._activeEventStack.pop();
         }
-        const s = String(tok);
-        const t = cfg.caseSensitive ? s : s.toLowerCase();
-        return { token: t, exactOnly: Boolean(obj.exactOnly), isRegex: false };
+        return evt;
     }
 
-    [Symbol.toPrimitive](hint) {
-        switch (hint) {
-            case 'string': return `[GentleDB@${this._filePath || 'unknown'}]`;
-            case 'number': return -1;
-            case 'boolean': return Boolean(this._low && this._low.data);
-            default: return this._low && this._low.data !== undefined ? this._low.data : undefined;
-        }
+    _debouncedRead() {
+        this._assertNoTransaction('read');
+        return new Promise((resolve, reject) => {
+            if (!this._pendingRead) this._pendingRead = { resolvers: [], rejecters: [] };
+            this._pendingRead.resolvers.push(resolve);
+            this._pendingRead.rejecters.push(reject);
+
+            if (this._readTimer) clearTimeout(this._readTimer);
+            this._readTimer = setTimeout(() => {
+                const pending = this._pendingRead;
+                this._pendingRead = null;
+                this._readTimer = null;
+
+                this._chain = this._chain.then(async () => {
+                    try {
+                        const old = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
+
+                        // Emit canonical pre-read 'read' (cancellable) and legacy 'beforeread'
+                        if (this._canEmit()) {
+                            const readEvt = this._makeEvent('read', 'read', old, GentleDB._cloneSafe(old));
+                            await this._emitSequential('read', readEvt);
+                            const legacyBefore = this._makeEvent('beforeread', 'read', old, GentleDB._cloneSafe(old));
+                            await this._emitSequential('beforeread', legacyBefore);
+
+                            if (readEvt.defaultPrevented || legacyBefore._prevented) {
+                                const result = (typeof readEvt._result !== 'undefined') ? readEvt._result : legacyBefore._result;
+                                // emit legacy afterread for compatibility
+                                const afterEvt = this._makeEvent('afterread', 'read', old, GentleDB._cloneSafe(result));
+                                if (this._canEmit()) await this._emitSequential('afterread', afterEvt);
+                                for (const r of pending.resolvers) r(GentleDB._cloneSafe(result));
+                                return;
+                            }
+                        }
+
+                        // perform adapter read
+                        const stamp = await this._readShared();
+                        let snapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
+                        try {
+                            this._lastOnDiskSnapshot = GentleDB._cloneSafe(snapshot);
+                            this._diskStamp = stamp;
+                            this._snapshotOnDisk = true;
+                        } catch (e) { /* ignore */ }
+                        // with externalValidation 'reject' an invalid file never replaces the last valid data
+                        if ((this.opts.externalValidation || 'reject') === 'reject' && this._validate(snapshot).length > 0) {
+                            this._low.data = old;
+                            snapshot = GentleDB._cloneSafe(old);
+                        }
+
+                        // emit legacy post-read for compatibility (post-read)
+                        const afterEvt = this._makeEvent('afterread', 'read', old, GentleDB._cloneSafe(snapshot));
+                        if (this._canEmit()) await this._emitSequential('afterread', afterEvt);
+
+                        // entries past their TTL are never returned, even before the sweeper removed them
+                        if (this._ttlCfg) snapshot = this._hideExpired(snapshot);
+                        for (const r of pending.resolvers) r(GentleDB._cloneSafe(snapshot));
+                    } catch (err) {
+                        for (const rej of pending.rejecters) rej(err);
+                    }
+                });
+            }, this._debounceReadMs);
+        });
+    }
+
+    _debouncedWrite(incomingData, opts) {
+        this._assertNoTransaction(opts && opts.op ? opts.op : 'write');
+        return new Promise((resolve, reject) => {
+            // every call is queued as a step; steps are folded in order on flush so coalesced
+            // path operations (set/unset/push/update) compose instead of overwriting each other
+            // `base` is the file as this instance last saw it; the flush merges against it if the file moved meanwhile
+            if (this._pendingWrite && this._auditCfg && !this._sameAuditor(this._pendingWrite.steps[0].opts, opts || {})) {
+                // another actor: flush the queued batch now so each audit record names one actor
+                const queued = this._pendingWrite;
+                this._pendingWrite = null;
+                if (this._writeTimer) { clearTimeout(this._writeTimer); this._writeTimer = null; }
+                this._chain = this._chain.then(() => this._flushWrite(queued));
+            }
+            if (!this._pendingWrite) this._pendingWrite = { steps: [], resolvers: [], rejecters: [], opts: opts || {}, base: this._lastOnDiskSnapshot, seq: this._writeSeq };
+            this._pendingWrite.opts = opts || this._pendingWrite.opts;
+            this._pendingWrite.steps.push({ data: incomingData, opts: opts || {}, resolve, reject });
+
+            if (this._writeTimer) clearTimeout(this._writeTimer);
+            this._writeTimer = setTimeout(() => {
+                const pending = this._pendingWrite;
+                this._pendingWrite = null;
+                this._writeTimer = null;
+
+                this._chain = this._chain.then(() => this._flushWrite(pending));
+            }, this._debounceWriteMs);
+        });
+    }
+
+    // Apply a batch of queued write steps under the lock: merge with changes another process made to the file
+    // meanwhile, emit pre-write events, persist and emit `change`.
+    // Always runs on this._chain. `flushOpts.lockHeld` skips lock acquisition when the caller already holds it.
+    async _flushWrite(pending, flushOpts = {}) {
+        let runtimeBefore;
+        let persisted = false;
+        // lock taken by this flush; released as soon as the data is persisted
+        let ownLock = false;
+        const release = async () => {
+            if (!ownLock) return;
+            ownLock = false;
+            try { await this._releaseLock(); } catch (e) { /* ignore */ }
+        };
+        try {
+            // Lock first and look at the file: another process may have written it since this batch started
+            // (merged below), and `ifRevision` preconditions and the new revision are decided against it.
+            // sharded: only the shards this batch writes are locked
+            const lockKeys = flushOpts.lockHeld || this._manualLockHeld ? null : this._lockKeysFor(pending);
+            if (!flushOpts.lockHeld) { await this._acquireLock(lockKeys); ownLock = true; }
+            const disk = await this._readDisk(lockKeys);
+            const diskRevision = this.opts.revisions ? this._revisionOf(disk === null ? this._low && this._low.data : disk) : null;
+            // callers holding the lock (transactions, migrations) have just read the file themselves; a batch
+            // queued before one of our own writes landed compares against that write instead
+            const base = flushOpts.lockHeld ? null : (pending.base !== undefined && pending.seq === this._writeSeq ? pending.base : this._lastOnDiskSnapshot);
+            const remoteMoved = base !== null && base !== undefined && disk !== null && !this._deepEqual(base, disk);
+
+            const oldData = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
+            // read-modify-write steps (update, push, collection operations) must see what the other process wrote:
+            // a batch with any of them is applied to the file's data instead of being merged with it
+            const rebase = remoteMoved && pending.steps.some(step => step.opts.rebase);
+            const start = rebase ? GentleDB._cloneSafe(disk) : oldData;
+            let proposed = GentleDB._cloneSafe(start);
+            const paths = [];
+            const documents = [];
+            const applied = [];
+            let pathsKnown = true;
+            const hasUnique = [...this._indexes.values()].some(index => index.unique);
+            const hasSchema = Boolean(this.opts.schema && typeof this.opts.schema === 'object');
+            for (const step of pending.steps) {
+                try {
+                    // an earlier step in this batch already moves the revision on
+                    if (step.opts.ifRevision !== undefined && (applied.length > 0 || step.opts.ifRevision !== diskRevision)) {
+                        throw new ConflictError(step.opts.ifRevision, applied.length > 0 ? diskRevision + 1 : diskRevision);
+                    }
+                    const stepPaths = Array.isArray(step.opts.paths) ? step.opts.paths : null;
+                    // the schema and unique indexes reject only the step that breaks them
+                    const checkUnique = hasUnique && [...this._indexes.values()].some(index => index.unique && this._pathsTouch(stepPaths, index.collection));
+                    // path TTLs are re-keyed or dropped as the step moves or rewrites their values
+                    const trackTtl = Boolean(this._ttlCfg) && GentleDB._isPlainObject(proposed) && GentleDB._isPlainObject(proposed.__expires);
+                    const beforeStep = checkUnique || hasSchema || trackTtl ? GentleDB._cloneSafe(proposed) : null;
+                    proposed = this._applyWriteStep(proposed, step);
+                    // the step found nothing to do: settle it without a write
+                    if (step.unchanged) {
+                        step.resolve(step.result);
+                        continue;
+                    }
+                    if (trackTtl) proposed = this._rekeyExpiries(beforeStep, proposed);
+                    if (checkUnique || hasSchema) {
+                        const errors = this._validate(proposed).concat(checkUnique ? this._prepareIndexUpdate(proposed, stepPaths).errors : []);
+                        if (errors.length > 0) {
+                            proposed = beforeStep;
+                            throw new ValidationError(errors, 'internal');
+                        }
+                    }
+                    if (!stepPaths) pathsKnown = false;
+                    if (Array.isArray(step.opts.paths)) paths.push(...step.opts.paths);
+                    if (Array.isArray(step.documents)) documents.push(...step.documents);
+                    applied.push(step);
+                    pending.resolvers.push(step.resolve);
+                    pending.rejecters.push(step.reject);
+                } catch (err) {
+                    // a failing step (e.g. push onto a non-array) only rejects its own caller
+                    step.reject(err);
+                }
+            }
+            if (pending.resolvers.length === 0) return;
+            if (lockKeys && Object.keys(this._computeTopLevelChanges(start, proposed)).some(k => !lockKeys.has(k))) {
+                // a step changed a shard it didn't name: run the applied steps again with every shard locked
+                await release();
+                return this._flushWrite({ ...pending, steps: applied, resolvers: [], rejecters: [], lockAll: true }, flushOpts);
+            }
+            // restoring a backup or the defaults and undo/redo set the whole state: nothing written meanwhile survives them
+            const setsState = applied.some(step => ['restore', 'resetDefault', 'undo', 'redo'].includes(step.opts.op));
+            if (remoteMoved && !setsState && !rebase) proposed = await this._mergeExternal(base, proposed, disk);
+
+            // op name (for evt.op) - can be 'replace', 'resetDefault' or 'write'
+            const opName = (pending.opts && pending.opts.op) ? String(pending.opts.op) : ((pending.opts && pending.opts.replace) ? 'replace' : 'write');
+            // canonical event type: replace vs write
+            const primaryEventType = (pending.opts && pending.opts.replace) ? 'replace' : 'write';
+
+            // pre-write emission
+            let primaryEvt, legacyBefore, legacyWritePre;
+            if (this._canEmit()) {
+                // canonical primary event ('write' or 'replace')
+                primaryEvt = this._makeEvent(primaryEventType, opName, oldData, GentleDB._cloneSafe(proposed));
+                this._describeWrite(primaryEvt, paths, documents);
+                await this._emitSequential(primaryEventType, primaryEvt);
+
+                // legacy beforewrite
+                legacyBefore = this._makeEvent('beforewrite', opName, oldData, GentleDB._cloneSafe(proposed));
+                await this._emitSequential('beforewrite', legacyBefore);
+
+                // For compatibility: if this is a replace operation, also emit a `write` *pre*-event (single emission)
+                if (primaryEventType !== 'write') {
+                    legacyWritePre = this._makeEvent('write', opName, oldData, GentleDB._cloneSafe(primaryEvt && primaryEvt.newData !== undefined ? primaryEvt.newData : proposed));
+                    this._describeWrite(legacyWritePre, paths, documents);
+                    await this._emitSequential('write', legacyWritePre);
+                }
+
+                // If prevented by either canonical or legacy, respect result and skip actual write
+                if (primaryEvt.defaultPrevented || (legacyBefore && legacyBefore._prevented) || (legacyWritePre && legacyWritePre.defaultPrevented)) {
+                    const chosen = (typeof primaryEvt._result !== 'undefined') ? primaryEvt._result : (legacyWritePre && typeof legacyWritePre._result !== 'undefined') ? legacyWritePre._result : legacyBefore._result;
+                    // emit legacy afterwrite for compatibility
+                    const afterCompat = this._makeEvent('afterwrite', opName, oldData, GentleDB._cloneSafe(primaryEvt && primaryEvt.newData !== undefined ? primaryEvt.newData : (legacyWritePre && legacyWritePre.newData !== undefined ? legacyWritePre.newData : legacyBefore.newData)));
+                    if (this._canEmit()) await this._emitSequential('afterwrite', afterCompat);
+                    for (const r of pending.resolvers) r(chosen);
+                    return;
+                }
+
+                // Prefer primaryEvt.newData if listener mutated it; else fallback to legacyWritePre.newData, else legacyBefore.newData, else proposed
+                if (primaryEvt && typeof primaryEvt.newData !== 'undefined') {
+                    proposed = GentleDB._cloneSafe(primaryEvt.newData);
+                } else if (legacyWritePre && typeof legacyWritePre.newData !== 'undefined') {
+                    proposed = GentleDB._cloneSafe(legacyWritePre.newData);
+                } else if (legacyBefore && typeof legacyBefore.newData !== 'undefined') {
+                    proposed = GentleDB._cloneSafe(legacyBefore.newData);
+                } else {
+                    proposed = GentleDB._cloneSafe(proposed);
+                }
+            }
+
+            // Update runtime using proposed (may have been mutated by listeners)
+            const finalData = GentleDB._cloneSafe(proposed);
+            if (!this._low) throw new Error('GentleDB internal error: lowdb instance not initialized.');
+            if (diskRevision !== null && GentleDB._isPlainObject(finalData)) finalData.__revision = diskRevision + 1;
+            // changes from another process can touch any collection
+            const indexUpdate = this._prepareIndexUpdate(finalData, pathsKnown && !remoteMoved ? paths : null);
+            const validationErrors = this._validate(finalData).concat(indexUpdate.errors);
+            if (validationErrors.length > 0) throw new ValidationError(validationErrors, 'internal');
+            // sharded: only the shards whose value changes are written - and locked first when a listener
+            // changed one this flush didn't lock
+            const shardKeys = this._shardLocks && GentleDB._isPlainObject(finalData) ? Object.keys(this._computeTopLevelChanges(disk === null ? {} : disk, finalData)) : null;
+            if (lockKeys && shardKeys) await this._lockMoreShards(lockKeys, shardKeys);
+            runtimeBefore = this._low.data;
+            this._low.data = finalData;
+
+            // persist (the lock is held since the start of the flush)
+            this._isWriting = true;
+            this._suppressWatchEvents = true;
+
+            try {
+                this._snapshotOnDisk = false;
+                if (shardKeys) await this._adapter.write(finalData, shardKeys);
+                else await this._low.write();
+                persisted = true;
+                this._writeSeq++;
+                this._applyIndexUpdate(indexUpdate, this._low.data);
+                if (this._historyCfg && !['undo', 'redo', 'migrate', 'expire'].includes(opName)) this._recordHistory(opName, oldData, finalData);
+                try { this._lastOnDiskSnapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data); } catch (e) { /* ignore */ }
+                // taken under the lock, so it is the stamp of what we just wrote
+                this._diskStamp = await this._stampDisk();
+                this._snapshotOnDisk = true;
+                // appended under the lock, so processes sharing one log record writes in file order
+                await this._audit(opName, 'internal', oldData, finalData, applied[0].opts);
+                // still under the lock: snapshot the file we just wrote
+                await this._maybeAutoBackup();
+            } finally {
+                this._suppressWatchEvents = false;
+                this._isWriting = false;
+                await release();
+            }
+
+            // Post-write emissions
+            if (this._canEmit()) {
+                // emit legacy afterwrite only - canonical events were emitted as pre-events above
+                const legacyAfter = this._makeEvent('afterwrite', opName, oldData, GentleDB._cloneSafe(finalData));
+                await this._emitSequential('afterwrite', legacyAfter);
+            }
+
+            // compute and emit change (non-cancellable)
+            const changes = this._computeTopLevelChanges(oldData, finalData);
+            if (Object.keys(changes).length > 0) {
+                const changeEvt = this._makeEvent('change', opName, oldData, GentleDB._cloneSafe(finalData));
+                changeEvt.changes = changes;
+                changeEvt.source = 'internal';
+                if (diskRevision !== null) changeEvt.revision = this._revisionOf(finalData);
+                this._describeWrite(changeEvt, paths, documents);
+                this._describeDiff(changeEvt, oldData, finalData);
+                changeEvt.timestamp = Date.now();
+                if (this._canEmit()) await this._emitSequential('change', changeEvt);
+            }
+
+            // steps may carry their own result (e.g. the document created by collection.insert)
+            for (const step of applied) step.resolve(step.result);
+        } catch (err) {
+            // nothing reached disk: don't leave runtime data ahead of the file
+            if (!persisted && runtimeBefore !== undefined && this._low) this._low.data = runtimeBefore;
+            this._suppressWatchEvents = false;
+            this._isWriting = false;
+            await release();
+            // failing before the steps ran (lock timeout, unreadable file) rejects every caller
+            const rejecters = pending.rejecters.length > 0 ? pending.rejecters : pending.steps.map(step => step.reject);
+            for (const rej of rejecters) rej(err);
+        } finally {
+            // early returns (nothing applied, cancelled by a listener)
+            await release();
+        }
+    }
+
+    // Sharded mode: the top-level keys a write batch names (null: it may touch any). The keys the pipeline
+    // maintains itself come along.
+    _lockKeysFor(pending) {
+        if (!this._shardLocks || pending.lockAll) return null;
+        const keys = new Set();
+        for (const step of pending.steps) {
+            if (!Array.isArray(step.opts.paths)) return null;
+            for (const p of step.opts.paths) {
+                const segs = this._splitPath(String(p));
+                if (segs.length === 0) return null;
+                keys.add(String(segs[0]));
+            }
+        }
+        if (this.opts.revisions) keys.add('__revision');
+        if (this._ttlCfg) keys.add('__expires');
+        return keys;
+    }
+
+    // Build the write-step options for a path operation ('set' | 'unset' | 'update' | 'push').
+    // Argument checks happen here so bad calls reject immediately; mutators only touch the draft
+    // once they know they will succeed.
+    _pathStep(op, pathStr, arg) {
+        this._assertPath(pathStr, op);
+        const base = { op, paths: [String(pathStr)] };
+        switch (op) {
+            case 'set': {
+                const val = GentleDB._cloneSafe(arg);
+                return { ...base, mutate: (draft) => { this._setAtPath(draft, pathStr, val); } };
+            }
+            case 'unset':
+                return { ...base, mutate: (draft) => { this._deleteAtPath(draft, pathStr); } };
+            case 'update':
+                if (typeof arg !== 'function') throw new TypeError('GentleDB.update: fn must be a function.');
+                return {
+                    ...base,
+                    rebase: true,
+                    mutate: (draft) => {
+                        const next = arg(GentleDB._cloneSafe(this._getAtPath(draft, pathStr)));
+                        if (next && typeof next.then === 'function') throw new TypeError('GentleDB.update: fn must be synchronous.');
+                        if (next === undefined) this._deleteAtPath(draft, pathStr);
+                        else this._setAtPath(draft, pathStr, next);
+                    }
+                };
+            case 'push': {
+                const vals = GentleDB._cloneSafe(arg);
+                return {
+                    ...base,
+                    rebase: true,
+                    mutate: (draft) => {
+                        const cur = this._getAtPath(draft, pathStr);
+                        if (cur === undefined || cur === null) {
+                            this._setAtPath(draft, pathStr, vals);
+                            return;
+                        }
+                        if (!Array.isArray(cur)) throw new TypeError(`GentleDB.push: value at "${pathStr}" is not an array.`);
+                        cur.push(...vals);
+                    }
+                };
+            }
+            default:
+                throw new Error(`GentleDB internal error: unknown path op "${op}".`);
+        }
+    }
+
+    // Transaction handle: synchronous read/write/path operations over a private working copy.
+    // Handles become unusable once the transaction has finished.
+    _makeTransaction(base) {
+        const db = this;
+        let work = GentleDB._cloneSafe(base);
+        let closed = false;
+        const paths = [];
+        const apply = (opts, data) => {
+            if (closed) throw new Error('GentleDB.transaction: transaction already finished.');
+            work = db._applyWriteStep(work, { data, opts });
+            if (Array.isArray(opts.paths)) paths.push(...opts.paths);
+            return tx;
+        };
+        const tx = {
+            get _work() { return work; },
+            get _paths() { return paths.slice(); },
+            _close() { closed = true; },
+            read: () => GentleDB._cloneSafe(work),
+            get: (pathStr = '') => GentleDB._cloneSafe(db._getAtPath(work, pathStr)),
+            write: (partial) => apply({ op: 'write' }, partial),
+            replace: (fullData) => apply({ op: 'replace', replace: true }, fullData),
+            set: (pathStr, value, opts) => apply(db._ttlOpts(db._pathStep('set', pathStr, value), opts, 'set')),
+            unset: (pathStr) => apply(db._ttlOpts(db._pathStep('unset', pathStr), {}, 'unset')),
+            update: (pathStr, fn) => apply(db._pathStep('update', pathStr, fn)),
+            push: (pathStr, ...items) => apply(db._pathStep('push', pathStr, items))
+        };
+        return tx;
+    }
+
+    // Fold one queued write step into the proposed data. Steps either carry data (merge or replace)
+    // or a `mutate(draft, step)` function used by the path/collection APIs; mutators may return a new
+    // root, and may set `step.result` / `step.documents` to describe what they did.
+    _applyWriteStep(draft, step) {
+        const o = step.opts || {};
+        if (typeof o.mutate === 'function') {
+            const res = o.mutate(draft, step);
+            return res === undefined ? draft : res;
+        }
+        if (typeof step.data === 'undefined') return draft;
+        if (o.replace) {
+            const next = GentleDB._cloneSafe(step.data);
+            // replacing the data keeps its schema version (a restored backup brings its own)
+            if (this._migrations.length > 0 && o.op !== 'restore' && GentleDB._isPlainObject(next) && GentleDB._isPlainObject(draft)
+                && draft.__schemaVersion !== undefined && next.__schemaVersion === undefined) {
+                next.__schemaVersion = draft.__schemaVersion;
+            }
+            return next;
+        }
+        return this._deepMerge(draft, step.data);
+    }
+
+    // Attach path/document details gathered while folding write steps to an event
+    _describeWrite(evt, paths, documents) {
+        if (!evt) return evt;
+        if (paths.length > 0) evt.paths = paths.slice();
+        if (documents.length > 0) evt.documents = GentleDB._cloneSafe(documents);
+        return evt;
+    }
+
+    _startWatcher() {
+        if (this._watcher) return;
+
+        try {
+            let schedule = null;
+            const onFSChange = (eventType, filename) => {
+                if (this._suppressWatchEvents) return;
+                if (schedule) clearTimeout(schedule);
+                schedule = setTimeout(() => {
+                    schedule = null;
+                    this._handleExternalFileChange().catch(err => {
+                        const evt = { type: 'watcher:error', error: err, filename: this._filePath };
+                        this._ee.emit('watcher:error', evt);
+                    });
+                }, this._watchDebounceMs);
+            };
+
+            // adapter's own change feed: watch(onChange) returns a function that stops it
+            if (this._adapter && typeof this._adapter.watch === 'function') {
+                const stop = this._adapter.watch(() => onFSChange('change', null));
+                this._watcher = { close: () => { if (typeof stop === 'function') stop(); } };
+                return;
+            }
+            if (!this._filePath) return;
+
+            // Prefer fs.watch, fallback to fs.watchFile.
+            // Watch the directory rather than the file: atomic writes rename a temp file over the target,
+            // which would leave a file-level watch attached to the replaced inode.
+            const watched = this._watchedFiles();
+            const names = new Set(watched.map(f => path.basename(f)));
+            const pollAll = () => {
+                this._usingWatchFile = true;
+                for (const f of watched) {
+                    fs.watchFile(f, { interval: Math.max(50, this._watchDebounceMs) }, (curr, prev) => {
+                        if (this._suppressWatchEvents) return;
+                        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) onFSChange('change', path.basename(f));
+                    });
+                }
+            };
+            try {
+                this._watcher = fs.watch(path.dirname(this._filePath), { persistent: true }, (evt, filename) => {
+                    if (filename && !names.has(String(filename))) return;
+                    onFSChange(evt, filename ? String(filename) : path.basename(this._filePath));
+                });
+                this._watcher.on('error', (err) => {
+                    for (const f of watched) { try { fs.unwatchFile(f); } catch (e) { /* ignore */ } }
+                    this._watcher = null;
+                    pollAll();
+                });
+            } catch (err) {
+                pollAll();
+            }
+        } catch (e) {
+            this._watcher = null;
+            this._usingWatchFile = false;
+        }
+    }
+
+    // Files whose changes mean the data changed: the data file, plus the journal in journaled mode
+    _watchedFiles() {
+        const out = [this._filePath];
+        if (this._adapter && this._adapter.journalFilename) out.push(this._adapter.journalFilename);
+        return out;
+    }
+
+    async _handleExternalFileChange() {
+        if (this._isWriting || this._suppressWatchEvents) return;
+
+        try {
+            const oldRuntime = GentleDB._cloneSafe(this._low && this._low.data !== undefined ? this._low.data : {});
+
+            // Emit pre-read 'read' event (cancellable)
+            if (this._canEmit()) {
+                const preRead = this._makeEvent('read', 'read', oldRuntime, GentleDB._cloneSafe(oldRuntime));
+                await this._emitSequential('read', preRead);
+                const legacyBefore = this._makeEvent('beforeread', 'read', oldRuntime, GentleDB._cloneSafe(oldRuntime));
+                await this._emitSequential('beforeread', legacyBefore);
+                if (preRead.defaultPrevented || legacyBefore._prevented) {
+                    // aborted by listener - do not apply external change
+                    return;
+                }
+            }
+
+            const stamp = await this._readShared();
+            const diskSnapshot = GentleDB._cloneSafe(this._low.data === undefined ? {} : this._low.data);
+
+            if (this._deepEqual(diskSnapshot, this._lastOnDiskSnapshot)) {
+                this._lastOnDiskSnapshot = GentleDB._cloneSafe(diskSnapshot);
+                this._diskStamp = stamp;
+                this._snapshotOnDisk = true;
+                return;
+            }
+
+            // externally written data must satisfy the schema too (opts.externalValidation)
+            const validationErrors = this._validate(diskSnapshot);
+            if (validationErrors.length > 0) {
+                const policy = this.opts.externalValidation || 'reject';
+                if (policy !== 'accept' && this._canEmit()) {
+                    const invalidEvt = this._makeEvent('invalid', 'external', oldRuntime, GentleDB._cloneSafe(diskSnapshot));
+                    invalidEvt.source = 'external';
+                    invalidEvt.error = new ValidationError(validationErrors, 'external');
+                    invalidEvt.errors = validationErrors;
+                    invalidEvt.rejected = policy === 'reject';
+                    await this._emitSequential('invalid', invalidEvt);
+                }
+                if (policy === 'reject') {
+                    // keep serving the last valid data; the next internal write replaces the file
+                    this._low.data = oldRuntime;
+                    this._lastOnDiskSnapshot = GentleDB._cloneSafe(diskSnapshot);
+                    this._diskStamp = stamp;
+                    this._snapshotOnDisk = true;
+                    return;
+                }
+            }
+
+            this._low.data = GentleDB._cloneSafe(diskSnapshot);
+            this._lastOnDiskSnapshot = GentleDB._cloneSafe(diskSnapshot);
+            this._diskStamp = stamp;
+            this._snapshotOnDisk = true;
+            this._syncIndexes();
+            if (this._auditCfg && this._auditCfg.external) this._audit('external', 'external', oldRuntime, diskSnapshot);
+
+            // legacy afterread
+            if (this._canEmit()) {
+                const afterReadEvt = this._makeEvent('afterread', 'read', oldRuntime, GentleDB._cloneSafe(diskSnapshot));
+                await this._emitSequential('afterread', afterReadEvt);
+            }
+
+            // compute and emit unified change
+            const changes = this._computeTopLevelChanges(oldRuntime, diskSnapshot);
+            if (Object.keys(changes).length > 0) {
+                const changeEvt = this._makeEvent('change', 'external', oldRuntime, GentleDB._cloneSafe(diskSnapshot));
+                changeEvt.changes = changes;
+                changeEvt.source = 'external';
+                this._describeDiff(changeEvt, oldRuntime, diskSnapshot);
+                this._rebaseHistory(changeEvt.patch);
+                changeEvt.timestamp = Date.now();
+                if (this._canEmit()) await this._emitSequential('change', changeEvt);
+            }
+        } catch (err) {
+            // another process left a broken file: keep runtime data, nothing is written back
+            if (err instanceof CorruptFileError && this._canEmit()) {
+                const corruptEvt = this._makeEvent('corrupt', 'external', undefined, undefined);
+                corruptEvt.filePath = err.filePath;
+                corruptEvt.raw = err.raw;
+                corruptEvt.error = err.cause;
+                corruptEvt.source = 'external';
+                try { await this._emitSequential('corrupt', corruptEvt); } catch (e) { /* ignore */ }
+            }
+            // emit watcher error via legacy channel
+            this._ee.emit('watcher:error', { type: 'watcher:read-error', error: err });
+        }
+    }
+
+    // lock() / unlock() are available with a lock file, shard lock files or adapter lock hooks
+    _canLock() {
+        return Boolean(this._lockPath || this._shardLocks || this._adapterLock);
+    }
+
+    // Lock files: `<file>.lock` is the exclusive (writer) lock and `<file>.lock.r-<id>` one shared (reader) lock
+    // each. They hold `{ id, pid, hostname, mode, since, ts }`, and a heartbeat refreshes `ts` while held. A lock
+    // is stale when its process is gone (checked on the same host) or its heartbeat is older than lockStaleMs.
+    // In sharded mode every shard has its own lock file and `keys` names the top-level keys to lock (null: all).
+    async _acquireLock(keys = null) {
+        // inside a manual lock this instance already holds it
+        if (this._manualLockHeld) {
+            this._joinedLocks++;
+            return;
+        }
+        if (this._adapterLock) {
+            await this._adapter.lock({ timeoutMs: this._lockTimeoutMs, retryDelayMs: this._lockRetryDelayMs, staleMs: this._lockStaleMs });
+            this._adapterLockHeld = true;
+            return;
+        }
+        const lockPaths = await this._lockPathsFor(keys);
+        if (lockPaths.length === 0) return;
+        const start = Date.now();
+        try {
+            for (const lockPath of lockPaths) {
+                this._heldLocks.push(await this._acquireLockFile(lockPath, start));
+                // shards already held stay fresh while the next one is awaited
+                this._startLockHeartbeat();
+            }
+        } catch (err) {
+            await this._releaseHeldLock();
+            throw err;
+        }
+    }
+
+    // Add the shards of `keys` that `lockKeys` (the ones held) is missing. Taken out of order, so a writer
+    // waiting on one of ours in turn makes this time out rather than wait forever.
+    async _lockMoreShards(lockKeys, keys) {
+        const start = Date.now();
+        for (const key of keys.filter(k => !lockKeys.has(k)).sort()) {
+            this._heldLocks.push(await this._acquireLockFile(this._adapter.lockPathFor(key), start));
+            lockKeys.add(key);
+            this._startLockHeartbeat();
+        }
+    }
+
+    // Lock files for `keys`, sorted so writers taking several never wait on each other in a cycle
+    async _lockPathsFor(keys) {
+        if (!this._shardLocks) return this._lockPath ? [this._lockPath] : [];
+        await fsp.mkdir(this._adapter.shardDir, { recursive: true });
+        let names = keys;
+        if (!names) {
+            names = new Set(await this._adapter.keys());
+            if (this._low && GentleDB._isPlainObject(this._low.data)) for (const k of Object.keys(this._low.data)) names.add(k);
+        }
+        return [...new Set([...names].map(String))].sort().map(k => this._adapter.lockPathFor(k));
+    }
+
+    async _acquireLockFile(lockPath, start) {
+        const retryDelay = this._lockRetryDelayMs;
+        const timeout = this._lockTimeoutMs;
+        let held = null;
+        while (!held) {
+            try {
+                held = await this._createLockFile(lockPath, 'exclusive', GentleDB._lockId());
+            } catch (err) {
+                if (!err || err.code !== 'EEXIST') throw err;
+                const entry = await this._readLockFile(lockPath);
+                // released meanwhile
+                if (!entry) continue;
+                const reason = this._staleReason(entry);
+                if (reason && await this._breakLock(entry, reason, 'exclusive')) continue;
+                if ((Date.now() - start) > timeout) await this._lockTimedOut(lockPath, 'exclusive', start, entry, 'exclusive');
+                if (this._closing) throw new Error('GentleDB: closed while waiting for the lock.');
+                await new Promise(res => setTimeout(res, retryDelay));
+            }
+        }
+
+        // new readers wait for this lock; the ones that got in before it finish first
+        try {
+            while (true) {
+                let reader = null;
+                for (const entry of await this._readerLocks(lockPath)) {
+                    const reason = this._staleReason(entry);
+                    if (reason) { await this._breakLock(entry, reason, 'shared'); continue; }
+                    reader = entry;
+                    break;
+                }
+                if (!reader) return held;
+                if ((Date.now() - start) > timeout) await this._lockTimedOut(lockPath, 'exclusive', start, reader, 'shared');
+                if (this._closing) throw new Error('GentleDB: closed while waiting for the lock.');
+                await new Promise(res => setTimeout(res, retryDelay));
+            }
+        } catch (err) {
+            await this._removeLockFile(held);
+            throw err;
+        }
+    }
+
+    async _releaseLock() {
+        if (this._joinedLocks > 0) {
+            this._joinedLocks--;
+            // the manual lock ended while operations still ran inside it: the last of them releases it
+            if (this._joinedLocks === 0 && !this._manualLockHeld) await this._releaseHeldLock();
+            return;
+        }
+        // the manual holder releases it (_exitManualLock)
+        if (this._manualLockHeld) return;
+        await this._releaseHeldLock();
+    }
+
+    async _releaseHeldLock() {
+        if (this._adapterLock) {
+            if (!this._adapterLockHeld) return;
+            this._adapterLockHeld = false;
+            await this._adapter.unlock();
+            return;
+        }
+        const held = this._heldLocks.splice(0);
+        for (const h of held.reverse()) await this._removeLockFile(h);
+    }
+
+    // Manual lock levels (lock() / withLock()); the first takes the lock, concurrent callers wait for it
+    async _enterManualLock() {
+        if (this._manualLockDepth++ === 0) {
+            this._manualLockReady = this._acquireLock().then(() => { this._manualLockHeld = true; }, (err) => {
+                this._manualLockDepth = 0;
+                throw err;
+            });
+        }
+        await this._manualLockReady;
+    }
+
+    // Leave one level (`all`: every level); the last one releases the lock. Resolves to false when none was held.
+    async _exitManualLock(all) {
+        if (this._manualLockDepth === 0) return false;
+        try { await this._manualLockReady; } catch (e) { return false; }
+        this._manualLockDepth = all ? 0 : this._manualLockDepth - 1;
+        if (this._manualLockDepth === 0 && this._manualLockHeld) {
+            this._manualLockHeld = false;
+            if (this._joinedLocks === 0) await this._releaseHeldLock();
+        }
+        return true;
+    }
+
+    // Shared lock for reading the file; resolves to its release function. Waits while a writer holds the
+    // exclusive lock. Without a lock file, or while this instance holds the exclusive lock, there is nothing to take.
+    async _acquireSharedLock() {
+        if (!this._lockPath || this._heldLocks.length > 0) return async () => {};
+        const start = Date.now();
+        while (true) {
+            const writer = await this._readLockFile(this._lockPath);
+            if (!writer) {
+                const id = GentleDB._lockId();
+                const held = await this._createLockFile(`${this._lockPath}.r-${id}`, 'shared', id);
+                // a writer that came in meanwhile goes first
+                if (!(await this._readLockFile(this._lockPath))) {
+                    this._sharedLocks.add(held);
+                    this._startLockHeartbeat();
+                    return async () => {
+                        this._sharedLocks.delete(held);
+                        await this._removeLockFile(held);
+                    };
+                }
+                await this._removeLockFile(held);
+                continue;
+            }
+            const reason = this._staleReason(writer);
+            if (reason && await this._breakLock(writer, reason, 'exclusive')) continue;
+            if ((Date.now() - start) > this._lockTimeoutMs) await this._lockTimedOut(this._lockPath, 'shared', start, writer, 'exclusive');
+            await new Promise(res => setTimeout(res, this._lockRetryDelayMs));
+        }
+    }
+
+    // Re-read the file under a shared lock, so a writer is never read halfway (e.g. checkpoint + journal)
+    // Resolves to the file's stamp from before the read, for callers that take the result as `_lastOnDiskSnapshot`
+    async _readShared() {
+        // no writer at work and the file as this instance last saw it: nothing to lock or read
+        if (this._lockPath && this._heldLocks.length === 0 && this._diskStamp !== null) {
+            const stamp = await this._stampDisk();
+            if (stamp !== null && this._deepEqual(stamp, this._diskStamp) && !(await this._readLockFile(this._lockPath))) {
+                this._low.data = GentleDB._cloneSafe(this._lastOnDiskSnapshot);
+                return stamp;
+            }
+        }
+        const release = await this._acquireSharedLock();
+        try {
+            const stamp = await this._stampDisk();
+            await this._low.read();
+            return stamp;
+        } finally {
+            await release();
+        }
+    }
+
+    static _lockId() {
+        return `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+    }
+
+    _lockPayload(held) {
+        return JSON.stringify({ id: held.id, pid: process.pid, hostname: os.hostname(), mode: held.mode, since: held.since, ts: Date.now() });
+    }
+
+    async _createLockFile(file, mode, id) {
+        const handle = await fsp.open(file, 'wx');
+        const held = { file, id, mode, since: Date.now(), handle, lost: false };
+        try {
+            await handle.writeFile(this._lockPayload(held), { encoding: 'utf8' });
+            // try to flush to disk if API available (best-effort); a reader lock only matters while its owner
+            // runs, so it isn't worth a sync
+            try {
+                if (mode === 'exclusive' && typeof handle.datasync === 'function') await handle.datasync();
+            } catch (e) { /* ignore */ }
+        } catch (err) {
+            try { await handle.close(); } catch (e) { /* ignore */ }
+            try { await fsp.unlink(file); } catch (e) { /* ignore */ }
+            throw err;
+        }
+        return held;
+    }
+
+    // Close and remove a lock this instance holds - unless another process took it over meanwhile
+    async _removeLockFile(held) {
+        try { await held.handle.close(); } catch (e) { /* ignore */ }
+        const entry = await this._readLockFile(held.file);
+        if (entry && entry.owner && entry.owner.id !== held.id) {
+            await this._lockLost(held, entry);
+            return;
+        }
+        try { await fsp.unlink(held.file); } catch (e) { /* ignore */ }
+    }
+
+    // `{ file, owner, mtimeMs }` for a lock file (owner is null while it can't be parsed), or null when there is none
+    async _readLockFile(file) {
+        let stat;
+        try { stat = await fsp.stat(file); } catch (e) { return null; }
+        let owner = null;
+        try { owner = JSON.parse(await fsp.readFile(file, 'utf8')); } catch (e) { /* being written, or removed */ }
+        return { file, owner: owner && typeof owner === 'object' ? owner : null, mtimeMs: stat.mtimeMs };
+    }
+
+    async _readerLocks(lockPath) {
+        const dir = path.dirname(lockPath);
+        const prefix = `${path.basename(lockPath)}.r-`;
+        let names;
+        try { names = await fsp.readdir(dir); } catch (e) { return []; }
+        const out = [];
+        for (const name of names) {
+            if (!name.startsWith(prefix) || name.includes('.stale-')) continue;
+            const entry = await this._readLockFile(path.join(dir, name));
+            if (entry) out.push(entry);
+        }
+        return out;
+    }
+
+    // 'dead-process' | 'expired' when the lock may be taken over, null while its owner is alive
+    _staleReason(entry) {
+        if (GentleDB._ownerAlive(entry.owner) === false) return 'dead-process';
+        const ts = entry.owner && typeof entry.owner.ts === 'number' ? entry.owner.ts : entry.mtimeMs;
+        return (Date.now() - ts) > this._lockStaleMs ? 'expired' : null;
+    }
+
+    // Whether the owning process still runs: null when that can't be checked (another host, no pid recorded)
+    static _ownerAlive(owner) {
+        if (!owner || !Number.isInteger(owner.pid) || owner.hostname !== os.hostname()) return null;
+        try {
+            process.kill(owner.pid, 0);
+            return true;
+        } catch (e) {
+            return Boolean(e && e.code === 'EPERM');
+        }
+    }
+
+    // Public view of a lock file entry (lockInfo() and lock:* events)
+    _describeLock(entry, mode) {
+        const owner = entry.owner || {};
+        const ts = typeof owner.ts === 'number' ? owner.ts : entry.mtimeMs;
+        return {
+            id: owner.id ?? null,
+            pid: owner.pid ?? null,
+            hostname: owner.hostname ?? null,
+            mode: owner.mode || mode,
+            since: owner.since ?? null,
+            ts,
+            ageMs: Date.now() - ts,
+            alive: GentleDB._ownerAlive(entry.owner),
+            stale: this._staleReason(entry) !== null
+        };
+    }
+
+    // Take over a stale lock. Only the lock that was judged stale goes: it is renamed aside atomically, and a
+    // lock someone created in between is put back. Emits `lock:stolen`.
+    async _breakLock(entry, reason, mode) {
+        const aside = `${entry.file}.stale-${crypto.randomBytes(6).toString('hex')}`;
+        try { await fsp.rename(entry.file, aside); } catch (e) { return false; }
+        let current = null;
+        try { current = JSON.parse(await fsp.readFile(aside, 'utf8')); } catch (e) { /* still unreadable */ }
+        const same = entry.owner ? Boolean(current && current.id === entry.owner.id && current.pid === entry.owner.pid) : !current;
+        if (!same) {
+            try { await fsp.link(aside, entry.file); } catch (e) { /* a newer lock is in place already */ }
+        }
+        try { await fsp.unlink(aside); } catch (e) { /* ignore */ }
+        if (same) {
+            await this._emitLockEvent('lock:stolen', { lockPath: entry.file, mode, reason, owner: this._describeLock(entry, mode), by: { pid: process.pid, hostname: os.hostname() } });
+        }
+        return same;
+    }
+
+    // A lock this instance held was taken over by another process (its heartbeat stopped for too long)
+    async _lockLost(held, entry) {
+        if (held.lost) return;
+        held.lost = true;
+        await this._emitLockEvent('lock:stolen', {
+            lockPath: held.file,
+            mode: held.mode,
+            reason: 'lost',
+            owner: { id: held.id, pid: process.pid, hostname: os.hostname(), mode: held.mode, since: held.since },
+            by: entry && entry.owner ? this._describeLock(entry, held.mode) : null
+        });
+    }
+
+    // Emits `lock:timeout` with the holder in the way (holding a `holderMode` lock), then throws the timeout error
+    async _lockTimedOut(lockPath, mode, start, holder, holderMode) {
+        await this._emitLockEvent('lock:timeout', { lockPath, mode, waitedMs: Date.now() - start, owner: this._describeLock(holder, holderMode) });
+        throw new Error(`Could not acquire DB lock within ${this._lockTimeoutMs}ms (file: ${lockPath})`);
+    }
+
+    async _emitLockEvent(type, details) {
+        if (!this._canEmit()) return;
+        const evt = Object.assign(this._makeEvent(type, 'lock', undefined, undefined), details);
+        await this._emitSequential(type, evt);
+    }
+
+    // Refresh `ts` in every held lock file through its open handle - a lock that was taken over (renamed
+    // aside) is never touched - and report held locks another process took over.
+    _startLockHeartbeat() {
+        if (this._lockHeartbeat) return;
+        this._lockHeartbeat = setInterval(() => {
+            if (this._heartbeatRun) return;
+            this._heartbeatRun = this._beatLocks().catch(() => { /* ignore */ }).finally(() => { this._heartbeatRun = null; });
+        }, Math.max(50, Math.floor(this._lockStaleMs / 3)));
+        if (typeof this._lockHeartbeat.unref === 'function') this._lockHeartbeat.unref();
+    }
+
+    async _beatLocks() {
+        const held = [...this._heldLocks, ...this._sharedLocks];
+        if (held.length === 0) {
+            clearInterval(this._lockHeartbeat);
+            this._lockHeartbeat = null;
+            return;
+        }
+        for (const h of held) {
+            try {
+                const buf = Buffer.from(this._lockPayload(h), 'utf8');
+                await h.handle.write(buf, 0, buf.length, 0);
+                await h.handle.truncate(buf.length);
+            } catch (e) {
+                // released meanwhile
+                continue;
+            }
+            const entry = await this._readLockFile(h.file);
+            const stillHeld = this._heldLocks.includes(h) || this._sharedLocks.has(h);
+            if (stillHeld && (!entry || (entry.owner && entry.owner.id !== h.id))) await this._lockLost(h, entry);
+        }
+    }
+
+    _makeEvent(type, op = '', oldData = undefined, newData = undefined) {
+        const evt = {
+            type,
+            op: op || '',
+            timestamp: Date.now(),
+            oldData: GentleDB._cloneSafe(oldData),
+            newData: GentleDB._cloneSafe(newData),
+            defaultPrevented: false,
+            chainPrevented: false,
+            _result: undefined
+        };
+
+        // preventDefault: only meaningful for cancellable events (all except 'change' and 'error')
+        evt.preventDefault = () => {
+            if (type === 'change' || type === 'error') return;
+            evt.defaultPrevented = true;
+        };
+        // preventChain: suppress nested emissions from inside listeners
+        evt.preventChain = () => { evt.chainPrevented = true; };
+        // setResult - set return result and mark defaultPrevented (except for change/error)
+        evt.setResult = (v) => { evt._result = v; if (type !== 'change' && type !== 'error') evt.defaultPrevented = true; };
+
+        // convenience helpers for mutating newData
+        evt.get = (pth) => this._getAtPath(evt.newData, pth);
+        evt.set = (pth, value) => { this._setAtPath(evt.newData, pth, value); return evt; };
+        evt.merge = (pth, obj) => { const cur = this._getAtPath(evt.newData, pth) || {}; this._setAtPath(evt.newData, pth, this._deepMerge(GentleDB._cloneSafe(cur), obj)); return evt; };
+        evt.delete = (pth) => { this._deleteAtPath(evt.newData, pth); return evt; };
+        evt.commit = () => evt;
+
+        return evt;
+    }
+
+    _computeTopLevelChanges(oldObj, newObj) {
+        const out = {};
+        const keys = new Set([...Object.keys(oldObj || {}), ...Object.keys(newObj || {})]);
+        for (const k of keys) {
+            const a = (oldObj || {})[k];
+            const b = (newObj || {})[k];
+            if (!this._deepEqual(a, b)) out[k] = { old: GentleDB._cloneSafe(a), new: GentleDB._cloneSafe(b) };
+        }
+        return out;
+    }
+
+    // Use structuredClone if available; otherwise safe JSON fallback
+    static _cloneSafe(x) {
+        if (typeof globalThis !== 'undefined' && typeof globalThis.structuredClone === 'function') {
+            try { return structuredClone(x); } catch (e) { /* fallback */ }
+        }
+        try { return x === undefined ? undefined : JSON.parse(JSON.stringify(x)); } catch (e) { return x; }
+    }
+
+    static _isPlainObject(x) {
+        return x !== null && typeof x === 'object' && !Array.isArray(x);
+    }
+
+    // Short-circuiting deep equal for common shapes (fast for large objects)
+    _deepEqual(a, b) {
+        if (a === b) return true;
+        if (a == null || b == null) return a === b;
+        if (typeof a !== typeof b) return false;
+        if (typeof a !== 'object') return a === b;
+
+        if (Array.isArray(a) || Array.isArray(b)) {
+            if (!Array.isArray(a) || !Array.isArray(b)) return false;
+            if (a.length !== b.length) return false;
+            for (let i = 0; i < a.length; i++) {
+                if (!this._deepEqual(a[i], b[i])) return false;
+            }
+            return true;
+        }
+
+        const aKeys = Object.keys(a);
+        const bKeys = Object.keys(b);
+        if (aKeys.length !== bKeys.length) return false;
+
+        for (const k of aKeys) {
+            if (!Object.prototype.hasOwnProperty.call(b, k)) return false;
+            if (!this._deepEqual(a[k], b[k])) return false;
+        }
+        return true;
+    }
+
+    _deepMerge(a, b) {
+        if (b === undefined) return a;
+        if (a === undefined || a === null) return GentleDB._cloneSafe(b);
+        if (typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) || Array.isArray(b)) return GentleDB._cloneSafe(b);
+
+        for (const k of Object.keys(b)) {
+            if (k === '__proto__' || k === 'constructor' || k === 'prototype') continue;
+            const bv = b[k];
+            if (bv === undefined) continue;
+            if (typeof bv === 'object' && bv !== null && !Array.isArray(bv)) {
+                a[k] = this._deepMerge(a[k] === undefined ? {} : a[k], bv);
+            } else {
+                a[k] = GentleDB._cloneSafe(bv);
+            }
+        }
+        return a;
+    }
+
+    _getAtPath(root, pathStr) {
+        if (!pathStr || pathStr === '') return root;
+        const parts = this._splitPath(pathStr);
+        let cur = root;
+        for (const part of parts) {
+            if (cur === undefined || cur === null) return undefined;
+            if (!Object.prototype.hasOwnProperty.call(cur, part) && typeof cur !== 'function') {
+                // harmless: will return undefined if doesn't exist
+            }
+            cur = cur[part];
+        }
+        return cur;
+    }
+
+    _setAtPath(root, pathStr, value) {
+        if (!pathStr || pathStr === '') {
+            if (typeof value === 'object' && value !== null) {
+                if (typeof root === 'object' && root !== null) {
+                    for (const k of Object.keys(root)) delete root[k];
+                    for (const k of Object.keys(value)) root[k] = GentleDB._cloneSafe(value[k]);
+                    return;
+                }
+            }
+            throw new Error('Cannot set root path to non-object value in place.');
+        }
+        const parts = this._splitPath(pathStr);
+        let cur = root;
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            const p = parts[i];
+            const nextPart = parts[i + 1];
+            const np = nextPart;
+            const nextIsIndex = (typeof np === 'string' && np.length > 0 && /^[0-9]+$/.test(np));
+
+            if (cur[p] === undefined || cur[p] === null) cur[p] = nextIsIndex ? [] : {};
+            cur = cur[p];
+
+            if (cur === null || (typeof cur !== 'object' && !Array.isArray(cur))) {
+                cur = cur[parts[i]] = {};
+            }
+        }
+
+        const last = parts[parts.length - 1];
+        cur[last] = GentleDB._cloneSafe(value);
+    }
+
+    _deleteAtPath(root, pathStr) {
+        if (!pathStr) return;
+        const parts = this._splitPath(pathStr);
+        if (parts.length === 0) return;
+
+        let parent = root;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const key = parts[i];
+            if (parent == null || parent[key] === undefined) return;
+            parent = parent[key];
+            if (parent == null || (typeof parent !== 'object' && !Array.isArray(parent))) return;
+        }
+
+        const lastKey = parts[parts.length - 1];
+        if (parent != null && Object.prototype.hasOwnProperty.call(parent, lastKey)) {
+            // splice arrays so removals don't leave holes (which serialize as null)
+            if (Array.isArray(parent) && /^[0-9]+$/.test(lastKey)) parent.splice(Number(lastKey), 1);
+            else delete parent[lastKey];
+        }
+    }
+
+    _assertPath(pathStr, method) {
+        if (typeof pathStr !== 'string' || this._splitPath(pathStr).length === 0) {
+            throw new TypeError(`GentleDB.${method}: path must be a non-empty string (e.g. 'users[0].name').`);
+        }
+    }
+
+    // Segments of a path; throws on the ones that would reach Object.prototype instead of the data
+    _splitPath(pathStr) {
+        const parts = [];
+        const re = /([^[.\]]+)|\[(\d+)\]/g;
+        let m;
+        while ((m = re.exec(pathStr)) !== null) {
+            const part = m[1] || m[2];
+            if (part === '__proto__' || part === 'constructor' || part === 'prototype') {
+                throw new TypeError(`GentleDB: path segment '${part}' is not allowed (in '${pathStr}').`);
+            }
+            parts.push(part);
+        }
+        return parts;
+    }
+
+    // -- structured query evaluation (query(), collection.find()) --
+
+    // filter, then sort/skip/limit, then project a list of `{ path, doc }` entries
+    _runQuery(entries, filter, opts = {}) {
+        let out = entries.filter(e => this._matchQuery(e.doc, filter));
+        if (opts.sort) out = this._sortQueryEntries(out, opts.sort);
+        const skip = Math.max(0, Math.floor(Number(opts.skip) || 0));
+        const limit = opts.limit === undefined || opts.limit === null ? Infinity : Math.max(0, Math.floor(Number(opts.limit) || 0));
+        out = out.slice(skip, skip + limit);
+        if (opts.projection) out = out.map(e => ({ path: e.path, doc: this._projectDocument(e.doc, opts.projection) }));
+        return out.map(e => ({ path: e.path, doc: GentleDB._cloneSafe(e.doc) }));
+    }
+
+    _matchQuery(doc, query) {
+        if (query === null || query === undefined) return true;
+        if (typeof query !== 'object' || Array.isArray(query)) throw new TypeError('GentleDB.query: filter must be an object.');
+        for (const key of Object.keys(query)) {
+            const cond = query[key];
+            if (key === '$and' || key === '$or') {
+                if (!Array.isArray(cond)) throw new TypeError(`GentleDB.query: ${key} expects an array of filters.`);
+                const ok = key === '$and' ? cond.every(q => this._matchQuery(doc, q)) : cond.some(q => this._matchQuery(doc, q));
+                if (!ok) return false;
+            } else if (key === '$not') {
+                if (this._matchQuery(doc, cond)) return false;
+            } else if (key.startsWith('$')) {
+                throw new Error(`GentleDB.query: unknown top-level operator ${key}.`);
+            } else if (!this._matchField(this._queryFieldValues(doc, key), cond)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Candidate values for a dotted field. Uses _getAtPath first, then fans out across arrays
+    // (`tags.name` over `tags: [{ name }]`) the way Mongo does.
+    _queryFieldValues(doc, field) {
+        const direct = this._getAtPath(doc, field);
+        if (direct !== undefined) return [direct];
+        let cur = [doc];
+        for (const part of this._splitPath(field)) {
+            const next = [];
+            for (const c of cur) {
+                if (c === null || typeof c !== 'object') continue;
+                if (Array.isArray(c) && !/^[0-9]+$/.test(part)) {
+                    for (const el of c) {
+                        if (el && typeof el === 'object' && Object.prototype.hasOwnProperty.call(el, part)) next.push(el[part]);
+                    }
+                } else if (Object.prototype.hasOwnProperty.call(c, part)) {
+                    next.push(c[part]);
+                }
+            }
+            cur = next;
+        }
+        return cur.length > 0 ? cur : [undefined];
+    }
+
+    _isOperatorObject(cond) {
+        if (!cond || typeof cond !== 'object' || Array.isArray(cond) || cond instanceof RegExp) return false;
+        const keys = Object.keys(cond);
+        return keys.length > 0 && keys.every(k => k.startsWith('$'));
+    }
+
+    _matchField(values, cond) {
+        if (!this._isOperatorObject(cond)) return values.some(v => this._queryEquals(v, cond));
+        for (const op of Object.keys(cond)) {
+            if (op === '$options') continue;
+            if (!this._matchOperator(values, op, cond[op], cond)) return false;
+        }
+        return true;
+    }
+
+    _matchOperator(values, op, arg, cond) {
+        // scalar comparisons also match when any element of an array value matches
+        const flat = () => values.flatMap(v => Array.isArray(v) ? [v, ...v] : [v]);
+        switch (op) {
+            case '$eq': return values.some(v => this._queryEquals(v, arg));
+            case '$ne': return !values.some(v => this._queryEquals(v, arg));
+            case '$gt': return flat().some(v => { const c = this._compareQueryValues(v, arg); return c !== null && c > 0; });
+            case '$gte': return flat().some(v => { const c = this._compareQueryValues(v, arg); return c !== null && c >= 0; });
+            case '$lt': return flat().some(v => { const c = this._compareQueryValues(v, arg); return c !== null && c < 0; });
+            case '$lte': return flat().some(v => { const c = this._compareQueryValues(v, arg); return c !== null && c <= 0; });
+            case '$in':
+                if (!Array.isArray(arg)) throw new TypeError('GentleDB.query: $in expects an array.');
+                return arg.some(a => values.some(v => this._queryEquals(v, a)));
+            case '$nin':
+                if (!Array.isArray(arg)) throw new TypeError('GentleDB.query: $nin expects an array.');
+                return !arg.some(a => values.some(v => this._queryEquals(v, a)));
+            case '$regex': {
+                const re = arg instanceof RegExp ? arg : new RegExp(String(arg), typeof cond.$options === 'string' ? cond.$options : '');
+                return flat().some(v => typeof v === 'string' && re.test(v));
+            }
+            case '$exists': return Boolean(arg) === values.some(v => v !== undefined);
+            case '$not': return !this._matchField(values, arg);
+            case '$elemMatch':
+                return values.some(v => Array.isArray(v) && v.some(el => (
+                    this._isOperatorObject(arg) ? this._matchField([el], arg) : (el !== null && typeof el === 'object' && this._matchQuery(el, arg))
+                )));
+            default:
+                throw new Error(`GentleDB.query: unknown operator ${op}.`);
+        }
+    }
+
+    // implicit equality: deep-equal, RegExp test on strings, or array-contains
+    _queryEquals(value, expected) {
+        if (expected instanceof RegExp) {
+            if (typeof value === 'string') return expected.test(value);
+            return Array.isArray(value) && value.some(el => typeof el === 'string' && expected.test(el));
+        }
+        if (this._deepEqual(value, expected)) return true;
+        if (expected === null && value === undefined) return true;
+        return Array.isArray(value) && value.some(el => this._deepEqual(el, expected));
+    }
+
+    // numbers with numbers, strings with strings, booleans with booleans; null when not comparable
+    _compareQueryValues(a, b) {
+        if (typeof a !== typeof b || a === null || b === null) return null;
+        if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') return a < b ? -1 : (a > b ? 1 : 0);
+        return null;
+    }
+
+    // sort: `{ field: 1 | -1, ... }` or `[[field, 1 | -1], ...]`
+    _sortQueryEntries(entries, sortSpec) {
+        const spec = Array.isArray(sortSpec) ? sortSpec : Object.entries(sortSpec);
+        // type rank keeps mixed-type fields in a stable order: missing/null < numbers < strings < booleans < objects
+        const rank = (v) => (v === undefined || v === null) ? 0 : typeof v === 'number' ? 1 : typeof v === 'string' ? 2 : typeof v === 'boolean' ? 3 : 4;
+        return entries.slice().sort((x, y) => {
+            for (const [field, dir] of spec) {
+                const a = this._getAtPath(x.doc, field);
+                const b = this._getAtPath(y.doc, field);
+                const sign = Number(dir) < 0 ? -1 : 1;
+                const ra = rank(a);
+                const rb = rank(b);
+                if (ra !== rb) return (ra - rb) * sign;
+                const c = this._compareQueryValues(a, b);
+                if (c) return c * sign;
+            }
+            return 0;
+        });
+    }
+
+    // projection: inclusion (`{ name: 1 }`) or exclusion (`{ password: 0 }`), not mixed
+    _projectDocument(doc, projection) {
+        if (!doc || typeof doc !== 'object') return doc;
+        const fields = Object.keys(projection);
+        const including = fields.filter(f => projection[f]);
+        if (including.length > 0 && including.length !== fields.length) {
+            throw new Error('GentleDB.query: projection cannot mix inclusion and exclusion.');
+        }
+        if (including.length > 0) {
+            const out = {};
+            for (const f of including) {
+                const v = this._getAtPath(doc, f);
+                if (v !== undefined) this._setAtPath(out, f, v);
+            }
+            return out;
+        }
+        const out = GentleDB._cloneSafe(doc);
+        for (const f of fields) this._deleteAtPath(out, f);
+        return out;
+    }
+
+    _parseToTokens(query, cfg) {
+        if (query == null) return [];
+        if (Array.isArray(query) && query.length > 0 && typeof query[0] === 'object' && 'token' in query[0]) {
+            return query.map(q => this._normalizeTokenObject(q, cfg)).filter(Boolean);
+        }
+        if (Array.isArray(query)) return query.map(q => this._normalizeTokenObject({ token: q })).filter(Boolean);
+        if (query instanceof RegExp) return [this._normalizeTokenObject({ token: query })];
+        if (typeof query === 'string') {
+            const out = [];
+            const re = /"([^\"]+)"|'([^']+)'|\/([^/]+)\/([gimsuy]*)|=([^\s,]+)|([^\s,]+)/g;
+            let m;
+            while ((m = re.exec(query)) !== null) {
+                if (m[1]) out.push({ token: m[1], exactOnly: false });
+                else if (m[2]) out.push({ token: m[2], exactOnly: false });
+                else if (m[3]) {
+                    try { const r = new RegExp(m[3], m[4] || ''); out.push({ token: r, exactOnly: false }); }
+                    catch (e) { out.push({ token: `/${m[3]}/`, exactOnly: false }); }
+                } else if (m[5]) out.push({ token: m[5], exactOnly: true });
+                else if (m[6]) out.push({ token: m[6], exactOnly: false });
+            }
+            return out.map(o => this._normalizeTokenObject(o, cfg)).filter(Boolean);
+        }
+        return [this._normalizeTokenObject({ token: String(query), exactOnly: false })];
+    }
+
+    _normalizeTokenObject(obj, cfg) {
+        if (!obj || typeof obj !== 'object') return null;
+        const tok = obj.token;
+        if (tok == null) return null;
+        if (tok instanceof RegExp) return { token: tok, exactOnly: Boolean(obj.exactOnly), isRegex: true, regex: tok };
+        if (typeof tok === 'string') {
+            const s = tok.trim();
+            const regexLike = s.match(/^\/(.+)\/([gimsuy]*)$/);
+            if (regexLike) {
+                try {
+                    const r = new RegExp(regexLike[1], regexLike[2] || (cfg.caseSensitive ? '' : 'i'));
+                    return { token: r, exactOnly: Boolean(obj.exactOnly), isRegex: true, regex: r };
+                } catch (e) { /* fall-through */ }
+            }
+            const t = cfg.caseSensitive ? s : s.toLowerCase();
+            return { token: t, exactOnly: Boolean(obj.exactOnly), isRegex: false };
+        }
+        const s = String(tok);
+        const t = cfg.caseSensitive ? s : s.toLowerCase();
+        return { token: t, exactOnly: Boolean(obj.exactOnly), isRegex: false };
+    }
+
+    [Symbol.toPrimitive](hint) {
+        switch (hint) {
+            case 'string': return `[GentleDB@${this._filePath || 'unknown'}]`;
+            case 'number': return -1;
+            case 'boolean': return Boolean(this._low && this._low.data);
+            default: return this._low && this._low.data !== undefined ? this._low.data : undefined;
+        }
+    }
+}
+
+// Thrown when the data file exists but cannot be parsed (e.g. truncated by a crash).
+class CorruptFileError extends Error {
+    constructor(filePath, raw, cause) {
+        super(`GentleDB: data file ${filePath} is corrupt and was left untouched: ${cause && cause.message ? cause.message : String(cause)}`);
+        this.name = 'CorruptFileError';
+        this.filePath = filePath;
+        this.raw = raw;
+        this.cause = cause;
+    }
+}
+
+// Rejected writes (and reported external changes) that do not satisfy opts.schema.
+// `errors` lists every failing path: `[{ path, keyword, message }]`.
+class ValidationError extends Error {
+    constructor(errors, source = 'internal') {
+        const list = Array.isArray(errors) ? errors : [];
+        const summary = list.slice(0, 5).map(e => `${e.path} ${e.message}`).join('; ');
+        super(`GentleDB: schema validation failed (${list.length} error${list.length === 1 ? '' : 's'}): ${summary}${list.length > 5 ? '; ...' : ''}`);
+        this.name = 'ValidationError';
+        this.errors = list;
+        this.source = source;
+    }
+}
+
+// Rejected `ifRevision` writes: the file's revision moved since the caller read it.
+class ConflictError extends Error {
+    constructor(expectedRevision, actualRevision) {
+        super(`GentleDB: revision conflict - expected revision ${expectedRevision}, the data is at revision ${actualRevision}.`);
+        this.name = 'ConflictError';
+        this.expectedRevision = expectedRevision;
+        this.actualRevision = actualRevision;
+    }
+}
+
+// The data file (or a backup) can't be opened with opts.encryption: wrong key, modified ciphertext, or an
+// encrypted file opened without a key. Never handled as corruption, so onCorrupt policies leave the file alone.
+class DecryptionError extends Error {
+    constructor(filePath, reason) {
+        super(`GentleDB: cannot decrypt ${filePath}: ${reason}.`);
+        this.name = 'DecryptionError';
+        this.filePath = filePath;
+    }
+}
+
+// AES-256-GCM envelope for opts.encryption: `{ key }` (32 bytes as a Buffer, 64 hex characters or base64) or
+// `{ passphrase, scrypt: { N, r, p } }`. File layout:
+//   'GDBENC' | version 1 | kdf (0 key, 1 scrypt) | log2 N | r | p | salt (16) | iv (12) | ciphertext | tag (16)
+// The whole header is authenticated data, so editing it fails like a wrong key. Every write gets a fresh IV;
+// the salt (and scrypt cost) of the file read last is reused so a passphrase is derived once, not per write.
+class GentleCipher {
+    static MAGIC = Buffer.from('GDBENC');
+    static HEADER_BYTES = 39;
+
+    constructor(cfg) {
+        const c = cfg && typeof cfg === 'object' ? cfg : {};
+        if (c.key !== undefined && c.key !== null) {
+            this.key = GentleCipher._rawKey(c.key);
+            this.passphrase = null;
+        } else if (typeof c.passphrase === 'string' && c.passphrase.length > 0) {
+            const s = c.scrypt || {};
+            const logN = Math.log2(Number(s.N) || 32768);
+            if (!Number.isInteger(logN) || logN < 10 || logN > 20) throw new TypeError('GentleDB: encryption.scrypt.N must be a power of two between 2^10 and 2^20.');
+            this.key = null;
+            this.passphrase = c.passphrase;
+            this.logN = logN;
+            this.r = Math.min(255, Math.max(1, Math.floor(Number(s.r) || 8)));
+            this.p = Math.min(255, Math.max(1, Math.floor(Number(s.p) || 1)));
+        } else {
+            throw new TypeError('GentleDB: encryption needs a key (32 bytes) or a non-empty passphrase.');
+        }
+        // encrypt an existing plaintext file on its next write instead of refusing to open it
+        this.allowPlaintext = Boolean(c.allowPlaintext);
+        this._salt = null;
+        this._derived = new Map();
+    }
+
+    static _rawKey(k) {
+        let buf = null;
+        if (Buffer.isBuffer(k) || k instanceof Uint8Array) buf = Buffer.from(k);
+        else if (typeof k === 'string') buf = /^[0-9a-fA-F]{64}$/.test(k) ? Buffer.from(k, 'hex') : Buffer.from(k, 'base64');
+        if (!buf || buf.length !== 32) throw new TypeError('GentleDB: encryption.key must be 32 bytes (a Buffer, 64 hex characters or base64).');
+        return buf;
+    }
+
+    static isEncrypted(buf) {
+        return buf.length >= GentleCipher.MAGIC.length && buf.subarray(0, GentleCipher.MAGIC.length).equals(GentleCipher.MAGIC);
+    }
+
+    async _keyFor(salt, logN, r, p) {
+        if (this.key) return this.key;
+        const id = `${salt.toString('hex')}:${logN}:${r}:${p}`;
+        if (!this._derived.has(id)) {
+            const N = 2 ** logN;
+            const derived = await new Promise((resolve, reject) => {
+                crypto.scrypt(this.passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 }, (err, k) => (err ? reject(err) : resolve(k)));
+            });
+            this._derived.set(id, derived);
+        }
+        return this._derived.get(id);
+    }
+
+    async encrypt(text) {
+        const scrypt = this.key === null;
+        if (scrypt && !this._salt) this._salt = crypto.randomBytes(16);
+        const header = Buffer.concat([
+            GentleCipher.MAGIC,
+            Buffer.from(scrypt ? [1, 1, this.logN, this.r, this.p] : [1, 0, 0, 0, 0]),
+            scrypt ? this._salt : Buffer.alloc(16),
+            crypto.randomBytes(12),
+        ]);
+        const key = await this._keyFor(this._salt, this.logN, this.r, this.p);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, header.subarray(header.length - 12));
+        cipher.setAAD(header);
+        const body = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+        return Buffer.concat([header, body, cipher.getAuthTag()]);
+    }
+
+    async decrypt(buf, filePath) {
+        if (buf.length === 0) return '';
+        if (!GentleCipher.isEncrypted(buf)) {
+            if (this.allowPlaintext) return buf.toString('utf8');
+            throw new DecryptionError(filePath, 'the file is not encrypted (set encryption.allowPlaintext to encrypt it on the next write)');
+        }
+        const H = GentleCipher.HEADER_BYTES;
+        if (buf.length < H + 16 || buf[6] !== 1) throw new DecryptionError(filePath, 'unsupported or truncated encryption header');
+        const [kdf, logN, r, p] = [buf[7], buf[8], buf[9], buf[10]];
+        if (kdf !== (this.key ? 0 : 1)) throw new DecryptionError(filePath, kdf === 0 ? 'the file was encrypted with a key, not a passphrase' : 'the file was encrypted with a passphrase, not a key');
+        // a tampered header must not make us run an unbounded scrypt
+        if (kdf === 1 && (logN < 10 || logN > 20 || r < 1 || p < 1)) throw new DecryptionError(filePath, 'invalid key derivation parameters');
+        const salt = Buffer.from(buf.subarray(11, 27));
+        const header = buf.subarray(0, H);
+        const key = await this._keyFor(salt, logN, r, p);
+        let text;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(27, H));
+            decipher.setAAD(header);
+            decipher.setAuthTag(buf.subarray(buf.length - 16));
+            text = Buffer.concat([decipher.update(buf.subarray(H, buf.length - 16)), decipher.final()]).toString('utf8');
+        } catch (e) {
+            throw new DecryptionError(filePath, 'wrong key, or the file was modified');
+        }
+        if (kdf === 1) Object.assign(this, { _salt: salt, logN, r, p });
+        return text;
+    }
+}
+
+// lowdb-compatible JSON file adapter with crash-safe writes: data goes to `<file>.tmp`, which is
+// fsynced, renamed over the target, and followed by a directory fsync. A reader therefore always
+// sees either the previous or the next complete file.
+class GentleFileAdapter {
+    constructor(filename, opts = {}) {
+        this.filename = filename;
+        this.tempFilename = `${filename}.tmp`;
+        this.indent = opts.indent === undefined ? 2 : opts.indent;
+        // stable key order: equal data always serializes to the same bytes
+        this.sortKeys = Boolean(opts.sortKeys);
+        this.cipher = opts.encryption ? new GentleCipher(opts.encryption) : null;
+    }
+
+    parse(text) {
+        return JSON.parse(text);
+    }
+
+    stringify(data) {
+        return JSON.stringify(this.sortKeys ? GentleFileAdapter._sortKeys(data) : data, null, this.indent);
+    }
+
+    // Copy of a JSON value with object keys in sorted order (array order is data and stays)
+    static _sortKeys(v) {
+        if (Array.isArray(v)) return v.map(GentleFileAdapter._sortKeys);
+        if (!v || typeof v !== 'object') return v;
+        const out = {};
+        for (const k of Object.keys(v).sort()) Object.defineProperty(out, k, { value: GentleFileAdapter._sortKeys(v[k]), enumerable: true, writable: true, configurable: true });
+        return out;
+    }
+
+    // File bytes -> serialized text, and back. With opts.encryption the file is an AES-256-GCM envelope
+    // (see GentleCipher); DecryptionError when it can't be opened with the configured key.
+    async decode(buf, file = this.filename) {
+        if (this.cipher) return this.cipher.decrypt(buf, file);
+        if (GentleCipher.isEncrypted(buf)) throw new DecryptionError(file, 'the file is encrypted and opts.encryption is not set');
+        return buf.toString('utf8');
+    }
+
+    async encode(text) {
+        return this.cipher ? this.cipher.encrypt(text) : Buffer.from(text, 'utf8');
+    }
+
+    // Resolves to parsed data, or null when the file is missing or empty. Throws CorruptFileError on bad content.
+    async read() {
+        let text;
+        try {
+            text = await this.decode(await fsp.readFile(this.filename));
+        } catch (err) {
+            if (err && err.code === 'ENOENT') return null;
+            throw err;
+        }
+        if (text.trim() === '') return null;
+        try {
+            return this.parse(text);
+        } catch (err) {
+            throw new CorruptFileError(this.filename, text, err);
+        }
+    }
+
+    async write(data) {
+        // serialize first: data the format rejects must not leave a temp file behind
+        const bytes = await this.encode(this.stringify(data));
+        const handle = await fsp.open(this.tempFilename, 'w');
+        try {
+            await handle.writeFile(bytes);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fsp.rename(this.tempFilename, this.filename);
+        await GentleFileAdapter._syncDir(path.dirname(this.filename));
+    }
+
+    // Identifies the file's current contents (writes replace it by rename, so every write gets a new inode);
+    // null when it is missing. GentleDB doesn't read a file again while its stamp is unchanged.
+    async stamp() {
+        return GentleFileAdapter._stamp(this.filename);
+    }
+
+    static async _stamp(file) {
+        try {
+            const st = await fsp.stat(file);
+            return { mtimeMs: st.mtimeMs, size: st.size, ino: st.ino };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static _sameStamp(a, b) {
+        if (!a || !b) return a === b;
+        return a.mtimeMs === b.mtimeMs && a.size === b.size && a.ino === b.ino;
+    }
+
+    // Parsed contents of a temp file left by an interrupted write, or undefined when there is
+    // none or it is incomplete.
+    async readTemp() {
+        let text;
+        try { text = await this.decode(await fsp.readFile(this.tempFilename), this.tempFilename); } catch (e) { return undefined; }
+        try { return this.parse(text); } catch (e) { return undefined; }
+    }
+
+    // Remove a stale temp file. Only call while holding the lock.
+    async cleanup() {
+        try { await fsp.unlink(this.tempFilename); } catch (e) { /* ignore */ }
+    }
+
+    // best-effort: directory fsync is unsupported on some platforms (e.g. Windows)
+    static async _syncDir(dir) {
+        let dh = null;
+        try {
+            dh = await fsp.open(dir, 'r');
+            await dh.sync();
+        } catch (e) {
+            /* ignore */
+        } finally {
+            if (dh) { try { await dh.close(); } catch (e) { /* ignore */ } }
+        }
+    }
+}
+
+// In-memory adapter implementing the whole adapter interface, for tests and ephemeral caches. GentleDB
+// instances sharing one GentleMemoryAdapter behave like processes sharing a file: data is stored as JSON
+// text (readers never share objects), every write notifies the watchers, and lock() is exclusive across them.
+class GentleMemoryAdapter {
+    constructor(initialData = undefined) {
+        this._text = initialData === undefined ? null : JSON.stringify(initialData);
+        this._watchers = new Set();
+        this._locked = false;
+        this._lockWaiters = [];
+    }
+
+    async read() {
+        return this._text === null ? null : JSON.parse(this._text);
+    }
+
+    async write(data) {
+        this._text = JSON.stringify(data);
+        // synchronous, so the writing instance still has its watch suppression on
+        for (const fn of this._watchers) { try { fn(); } catch (e) { /* ignore */ } }
+    }
+
+    watch(onChange) {
+        this._watchers.add(onChange);
+        return () => { this._watchers.delete(onChange); };
+    }
+
+    // Waits for the holder to unlock; rejects after `timeoutMs` (default 5000)
+    async lock(opts = {}) {
+        if (!this._locked) {
+            this._locked = true;
+            return;
+        }
+        const timeoutMs = Math.max(0, Number(opts.timeoutMs) || 5000);
+        await new Promise((resolve, reject) => {
+            const waiter = { resolve, timer: null };
+            waiter.timer = setTimeout(() => {
+                this._lockWaiters.splice(this._lockWaiters.indexOf(waiter), 1);
+                reject(new Error(`Could not acquire DB lock within ${timeoutMs}ms (memory adapter)`));
+            }, timeoutMs);
+            this._lockWaiters.push(waiter);
+        });
+    }
+
+    // hands the lock straight to the next waiter, if any
+    async unlock() {
+        const next = this._lockWaiters.shift();
+        if (next) {
+            clearTimeout(next.timer);
+            next.resolve();
+        } else {
+            this._locked = false;
+        }
+    }
+}
+
+// Journaled variant of GentleFileAdapter for large files. The data file is a checkpoint; each write
+// appends one NDJSON record `{ t, ops }` to `<file>.journal` describing what changed (see
+// _diff/_applyOp). Ops only ever set values, unset object keys or truncate arrays, so they are
+// idempotent and replaying a journal over a newer checkpoint is harmless. `compact()` rewrites the
+// checkpoint atomically and empties the journal.
+class GentleJournalAdapter extends GentleFileAdapter {
+    constructor(filename, opts = {}) {
+        super(filename, opts);
+        this.journalFilename = `${filename}.journal`;
+        this.compactEveryOps = Math.max(1, Math.floor(Number(opts.compactEveryOps) || 1000));
+        this.compactEveryBytes = Math.max(1024, Math.floor(Number(opts.compactEveryBytes) || 8 * 1024 * 1024));
+        this.compactOnClose = opts.compactOnClose !== false;
+
+        // last known persisted state + what it was built from, so reads only replay new records
+        this._state = undefined;
+        this._baseStamp = null;
+        this._journalOffset = 0;
+        this._opsSinceCompact = 0;
+    }
+
+    async read() {
+        const baseStamp = await GentleJournalAdapter._stamp(this.filename);
+        const journalStamp = await GentleJournalAdapter._stamp(this.journalFilename);
+        const journalSize = journalStamp ? journalStamp.size : 0;
+
+        const cached = this._state !== undefined && GentleJournalAdapter._sameStamp(baseStamp, this._baseStamp) && journalSize >= this._journalOffset;
+        if (!cached) {
+            this._state = await super.read();
+            this._baseStamp = baseStamp;
+            this._journalOffset = 0;
+            this._opsSinceCompact = 0;
+        }
+        if (journalSize > this._journalOffset) await this._replay(journalSize);
+        return this._state === null || this._state === undefined ? null : GentleDB._cloneSafe(this._state);
+    }
+
+    async write(data) {
+        if (this._state === undefined || this._state === null) {
+            await this.compact(data);
+            return;
+        }
+        // a torn final record (crash mid-append) has no newline: cut it off first, or this record would be glued to it
+        const journalStamp = await GentleJournalAdapter._stamp(this.journalFilename);
+        if (journalStamp && journalStamp.size > this._journalOffset) {
+            await this._replay(journalStamp.size);
+            if (journalStamp.size > this._journalOffset) await fsp.truncate(this.journalFilename, this._journalOffset);
+        }
+        const ops = [];
+        GentleJournalAdapter._diff(this._state, data, [], ops);
+        if (ops.length === 0) return;
+
+        const line = `${JSON.stringify({ t: Date.now(), ops })}\n`;
+        const handle = await fsp.open(this.journalFilename, 'a');
+        try {
+            await handle.writeFile(line, { encoding: 'utf8' });
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        this._journalOffset += Buffer.byteLength(line);
+        this._opsSinceCompact += ops.length;
+        this._state = GentleDB._cloneSafe(data);
+
+        if (this._opsSinceCompact >= this.compactEveryOps || this._journalOffset >= this.compactEveryBytes) await this.compact();
+    }
+
+    // Rewrite the checkpoint with the current state and empty the journal. Caller must hold the lock.
+    async compact(data = undefined) {
+        const state = data !== undefined ? data : (this._state === undefined ? await this.read() : this._state);
+        if (state === undefined || state === null) return;
+        await super.write(state);
+        try { await fsp.truncate(this.journalFilename, 0); } catch (e) { if (!e || e.code !== 'ENOENT') throw e; }
+        this._state = GentleDB._cloneSafe(state);
+        this._baseStamp = await GentleJournalAdapter._stamp(this.filename);
+        this._journalOffset = 0;
+        this._opsSinceCompact = 0;
+    }
+
+    async _replay(journalSize) {
+        const handle = await fsp.open(this.journalFilename, 'r');
+        let text;
+        try {
+            const buf = Buffer.alloc(journalSize - this._journalOffset);
+            await handle.read(buf, 0, buf.length, this._journalOffset);
+            text = buf.toString('utf8');
+        } finally {
+            await handle.close();
+        }
+        // a torn final record (crash mid-append) has no newline yet: leave it for the next read
+        const end = text.lastIndexOf('\n');
+        if (end < 0) return;
+        let state = this._state === null || this._state === undefined ? {} : this._state;
+        for (const line of text.slice(0, end).split('\n')) {
+            if (line.trim() === '') continue;
+            let rec;
+            try { rec = JSON.parse(line); } catch (err) { throw new CorruptFileError(this.journalFilename, text, err); }
+            for (const op of (rec && Array.isArray(rec.ops) ? rec.ops : [])) state = GentleJournalAdapter._applyOp(state, op);
+            this._opsSinceCompact += rec && Array.isArray(rec.ops) ? rec.ops.length : 0;
+        }
+        this._state = state;
+        this._journalOffset += Buffer.byteLength(text.slice(0, end + 1));
+    }
+
+    // the journal grows with every write, so checkpoint and journal together identify the data
+    async stamp() {
+        const base = await GentleJournalAdapter._stamp(this.filename);
+        const journal = await GentleJournalAdapter._stamp(this.journalFilename);
+        return base || journal ? { base, journal } : null;
+    }
+
+    // Ops: `{ o: 's', p, v }` set, `{ o: 'u', p }` unset object key, `{ o: 't', p, n }` truncate array.
+    // `p` is an array of keys/indices; an empty path addresses the root.
+    static _diff(a, b, p, ops) {
+        if (a === b) return;
+        const isObj = (x) => x !== null && typeof x === 'object' && !Array.isArray(x);
+        if (Array.isArray(a) && Array.isArray(b)) {
+            const sub = [];
+            if (b.length < a.length) sub.push({ o: 't', p, n: b.length });
+            const common = Math.min(a.length, b.length);
+            for (let i = 0; i < common; i++) GentleJournalAdapter._diff(a[i], b[i], p.concat(i), sub);
+            for (let i = common; i < b.length; i++) sub.push({ o: 's', p: p.concat(i), v: b[i] });
+            // shifted arrays diff element-by-element badly: write the array whole instead
+            if (sub.length > Math.max(4, b.length / 2)) ops.push({ o: 's', p, v: b });
+            else ops.push(...sub);
+            return;
+        }
+        if (isObj(a) && isObj(b)) {
+            for (const k of Object.keys(a)) {
+                if (!Object.prototype.hasOwnProperty.call(b, k)) ops.push({ o: 'u', p: p.concat(k) });
+            }
+            for (const k of Object.keys(b)) {
+                if (!Object.prototype.hasOwnProperty.call(a, k)) ops.push({ o: 's', p: p.concat(k), v: b[k] });
+                else GentleJournalAdapter._diff(a[k], b[k], p.concat(k), ops);
+            }
+            return;
+        }
+        ops.push({ o: 's', p, v: b });
+    }
+
+    static _applyOp(root, op) {
+        const p = Array.isArray(op.p) ? op.p : [];
+        if (p.length === 0) {
+            if (op.o === 's') return GentleDB._cloneSafe(op.v);
+            if (op.o === 't' && Array.isArray(root)) root.length = op.n;
+            return root;
+        }
+        let cur = root;
+        for (let i = 0; i < p.length - 1; i++) {
+            const k = p[i];
+            if (cur[k] === null || typeof cur[k] !== 'object') {
+                if (op.o !== 's') return root;
+                cur[k] = typeof p[i + 1] === 'number' ? [] : {};
+            }
+            cur = cur[k];
+        }
+        const last = p[p.length - 1];
+        if (op.o === 's') cur[last] = GentleDB._cloneSafe(op.v);
+        else if (op.o === 'u') delete cur[last];
+        else if (op.o === 't' && Array.isArray(cur[last])) cur[last].length = op.n;
+        return root;
+    }
+}
+
+// JSON5 files (https://json5.org): comments, trailing commas, unquoted keys, single-quoted strings, hex numbers,
+// Infinity/NaN. Comments seen by the last parse are written back next to the same members (keyed by JSON
+// Pointer), so a hand-annotated file keeps its comments across writes.
+class GentleJson5Adapter extends GentleFileAdapter {
+    constructor(filename, opts = {}) {
+        super(filename, opts);
+        // '<pointer>' -> { before: [], after: [] }; '<pointer>\0end' holds comments before a closing bracket
+        this.comments = new Map();
+    }
+
+    parse(text) {
+        const comments = new Map();
+        const data = GentleJson5Adapter._parse(text, comments);
+        this.comments = comments;
+        return data;
+    }
+
+    stringify(data) {
+        const pad = typeof this.indent === 'number' ? ' '.repeat(Math.max(0, Math.min(10, this.indent))) : String(this.indent || '');
+        const pretty = pad !== '';
+        // a line comment would swallow the rest of a compact document; as a block comment a `*/` in it would end it early
+        const fmt = (list) => (pretty ? list : list.map(c => (c.startsWith('//') ? `/* ${c.slice(2).trim().replace(/\*\//g, '* /')} */` : c)));
+        const at = (key) => this.comments.get(key) || { before: [], after: [] };
+        const emit = (value, ptr, depth) => {
+            if (value === null || value === undefined || typeof value === 'function') return 'null';
+            if (typeof value === 'number') return Number.isNaN(value) ? 'NaN' : (Number.isFinite(value) ? String(value) : (value > 0 ? 'Infinity' : '-Infinity'));
+            if (typeof value !== 'object') return JSON.stringify(value);
+            const isArr = Array.isArray(value);
+            const keys = isArr ? value.map((v, i) => i) : Object.keys(value).filter(k => value[k] !== undefined && typeof value[k] !== 'function');
+            if (!isArr && this.sortKeys) keys.sort();
+            const end = fmt(at(`${ptr}\0end`).before);
+            if (keys.length === 0 && end.length === 0) return isArr ? '[]' : '{}';
+            const inner = pad.repeat(depth + 1);
+            const parts = keys.map((k, idx) => {
+                const child = `${ptr}/${GentleDB._escapePointer(String(k))}`;
+                const c = at(child);
+                const name = isArr ? '' : `${/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(k) ? k : JSON.stringify(k)}:${pretty ? ' ' : ''}`;
+                const comma = idx < keys.length - 1 ? ',' : '';
+                const after = fmt(c.after);
+                if (!pretty) return [...fmt(c.before), `${name}${emit(value[k], child, depth + 1)}${comma}`, ...after].join(' ');
+                return [...fmt(c.before).map(line => `${inner}${line}`), `${inner}${name}${emit(value[k], child, depth + 1)}${comma}${after.length ? ` ${after.join(' ')}` : ''}`].join('\n');
+            });
+            if (pretty) parts.push(...end.map(line => `${inner}${line}`));
+            else parts.push(...end);
+            const [open, close] = isArr ? ['[', ']'] : ['{', '}'];
+            return pretty ? `${open}\n${parts.join('\n')}\n${pad.repeat(depth)}${close}` : `${open}${parts.join('')}${close}`;
+        };
+        const root = at('');
+        const eof = fmt(at('\0eof').before);
+        const out = [...fmt(root.before), emit(data, '', 0), ...eof];
+        return `${out.join(pretty ? '\n' : ' ')}\n`;
+    }
+
+    static _parse(text, comments) {
+        const JSON5_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+        let i = 0;
+        const fail = (msg) => { throw new SyntaxError(`JSON5: ${msg} at position ${i}`); };
+        // whitespace and comments; comments before the first line break are `same`, the rest `next`
+        const skip = () => {
+            const same = [];
+            const next = [];
+            let newline = false;
+            for (;;) {
+                const c = text[i];
+                if (c === '\n' || c === '\u2028' || c === '\u2029') { newline = true; i++; continue; }
+                if (c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v' || c === '\u00a0' || c === '\ufeff') { i++; continue; }
+                if (c === '/' && text[i + 1] === '/') {
+                    let end = text.indexOf('\n', i);
+                    if (end === -1) end = text.length;
+                    (newline ? next : same).push(text.slice(i, end).replace(/\s+$/, ''));
+                    i = end;
+                    continue;
+                }
+                if (c === '/' && text[i + 1] === '*') {
+                    const end = text.indexOf('*/', i + 2);
+                    if (end === -1) fail('unterminated comment');
+                    (newline ? next : same).push(text.slice(i, end + 2));
+                    i = end + 2;
+                    continue;
+                }
+                return { same, next };
+            }
+        };
+        const define = (obj, key, v) => {
+            if (key === '__proto__') Object.defineProperty(obj, key, { value: v, enumerable: true, writable: true, configurable: true });
+            else obj[key] = v;
+        };
+        const string = () => {
+            const quote = text[i++];
+            let out = '';
+            for (;;) {
+                const c = text[i++];
+                if (c === quote) return out;
+                if (c === undefined || c === '\n' || c === '\r') fail('unterminated string');
+                if (c !== '\\') { out += c; continue; }
+                const e = text[i++];
+                if (JSON5_ESCAPES[e] !== undefined) {
+                    out += JSON5_ESCAPES[e];
+                } else if (e === '0' && !/[0-9]/.test(text[i] || '')) {
+                    out += '\0';
+                } else if (e === 'x' || e === 'u') {
+                    const len = e === 'x' ? 2 : 4;
+                    const hex = text.slice(i, i + len);
+                    if (!new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) fail('bad escape');
+                    out += String.fromCharCode(parseInt(hex, 16));
+                    i += len;
+                } else if (e === '\r' || e === '\n' || e === '\u2028' || e === '\u2029') {
+                    // line continuation
+                    if (e === '\r' && text[i] === '\n') i++;
+                } else if (e === undefined) {
+                    fail('unterminated string');
+                } else {
+                    out += e;
+                }
+            }
+        };
+        const identifier = () => {
+            const m = /[A-Za-z_$\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/y;
+            m.lastIndex = i;
+            const found = m.exec(text);
+            if (!found) fail('expected a key');
+            i = m.lastIndex;
+            return found[0];
+        };
+        const literal = () => {
+            for (const [word, v] of [['true', true], ['false', false], ['null', null]]) {
+                if (text.startsWith(word, i) && !/[A-Za-z0-9_$]/.test(text[i + word.length] || '')) { i += word.length; return v; }
+            }
+            const m = /([+-]?)(Infinity|NaN|0[xX][0-9a-fA-F]+|(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?)/y;
+            m.lastIndex = i;
+            const found = m.exec(text);
+            if (!found) fail('unexpected character');
+            i = m.lastIndex;
+            const sign = found[1] === '-' ? -1 : 1;
+            const body = found[2];
+            if (body === 'Infinity') return sign * Infinity;
+            if (body === 'NaN') return NaN;
+            return sign * (/^0[xX]/.test(body) ? parseInt(body.slice(2), 16) : Number(body));
+        };
+        // members and elements share comment handling: leading comments, value, `,` and same-line comments
+        const container = (ptr, isArr) => {
+            const close = isArr ? ']' : '}';
+            i++;
+            const out = isArr ? [] : {};
+            const first = skip();
+            let lead = [...first.same, ...first.next];
+            while (text[i] !== close) {
+                if (text[i] === undefined) fail(`expected '${close}'`);
+                let key = out.length;
+                if (!isArr) {
+                    key = text[i] === '"' || text[i] === "'" ? string() : identifier();
+                    skip();
+                    if (text[i] !== ':') fail("expected ':'");
+                    i++;
+                    skip();
+                }
+                const child = `${ptr}/${GentleDB._escapePointer(String(key))}`;
+                const v = value(child);
+                if (isArr) out.push(v);
+                else define(out, key, v);
+                const after = skip();
+                let trailing = after.same;
+                let nextLead = after.next;
+                if (text[i] === ',') {
+                    i++;
+                    const more = skip();
+                    trailing = trailing.concat(more.same);
+                    nextLead = nextLead.concat(more.next);
+                } else if (text[i] !== close) fail(`expected ',' or '${close}'`);
+                if (lead.length || trailing.length) comments.set(child, { before: lead, after: trailing });
+                lead = nextLead;
+            }
+            if (lead.length) comments.set(`${ptr}\0end`, { before: lead, after: [] });
+            i++;
+            return out;
+        };
+        const value = (ptr) => {
+            const c = text[i];
+            if (c === '{') return container(ptr, false);
+            if (c === '[') return container(ptr, true);
+            if (c === '"' || c === "'") return string();
+            if (c === undefined) fail('unexpected end of input');
+            return literal();
+        };
+
+        const pre = skip();
+        const root = value('');
+        const post = skip();
+        if (i < text.length) fail('unexpected content after the value');
+        if (pre.same.length || pre.next.length) comments.set('', { before: [...pre.same, ...pre.next], after: [] });
+        if (post.same.length || post.next.length) comments.set('\0eof', { before: [...post.same, ...post.next], after: [] });
+        return root;
+    }
+}
+
+// NDJSON for collection-shaped data (`{ users: [...], items: [...] }`): one line per document,
+// `{"key":"users","item":{...}}`, so appends and diffs stay line-based. Other top-level values (and empty
+// arrays) take one `{"key":...,"value":...}` line each. The root must be an object.
+class GentleNdjsonAdapter extends GentleFileAdapter {
+    parse(text) {
+        const out = {};
+        text.split('\n').forEach((line, n) => {
+            if (!line.trim()) return;
+            let rec;
+            try { rec = JSON.parse(line); } catch (err) { throw new SyntaxError(`NDJSON: line ${n + 1}: ${err.message}`); }
+            if (!rec || typeof rec !== 'object' || typeof rec.key !== 'string' || (!('item' in rec) && !('value' in rec))) {
+                throw new SyntaxError(`NDJSON: line ${n + 1}: expected {"key", "item"} or {"key", "value"}.`);
+            }
+            if ('item' in rec) {
+                if (!Object.prototype.hasOwnProperty.call(out, rec.key)) Object.defineProperty(out, rec.key, { value: [], enumerable: true, writable: true, configurable: true });
+                if (!Array.isArray(out[rec.key])) throw new SyntaxError(`NDJSON: line ${n + 1}: "${rec.key}" is not a collection.`);
+                out[rec.key].push(rec.item);
+            } else {
+                Object.defineProperty(out, rec.key, { value: rec.value, enumerable: true, writable: true, configurable: true });
+            }
+        });
+        return out;
+    }
+
+    stringify(data) {
+        if (!GentleDB._isPlainObject(data)) throw new TypeError('GentleNdjsonAdapter: data must be an object of collections.');
+        const src = this.sortKeys ? GentleFileAdapter._sortKeys(data) : data;
+        const lines = [];
+        for (const key of Object.keys(src)) {
+            const v = src[key];
+            if (v === undefined) continue;
+            if (Array.isArray(v) && v.length > 0) for (const item of v) lines.push(JSON.stringify({ key, item: item === undefined ? null : item }));
+            else lines.push(JSON.stringify({ key, value: v }));
+        }
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+}
+
+// YAML subset: block mappings and sequences, plain/quoted scalars, flow collections, `|`/`>` block scalars
+// and comments on read. Anchors, aliases, tags and multi-document files are rejected. Writes use block style
+// (flow style, i.e. JSON, when indent is 0); strings that would read back as something else are quoted.
+class GentleYamlAdapter extends GentleFileAdapter {
+    parse(text) {
+        return GentleYamlAdapter._parse(text);
+    }
+
+    stringify(data) {
+        const src = this.sortKeys ? GentleFileAdapter._sortKeys(data) : data;
+        if (this.indent === 0 || this.indent === '') return `${JSON.stringify(src === undefined ? null : src)}\n`;
+        // tabs are not allowed in YAML indentation
+        const pad = typeof this.indent === 'number' ? ' '.repeat(Math.max(1, Math.min(10, this.indent))) : (/^ +$/.test(String(this.indent)) ? String(this.indent) : '  ');
+        const inline = GentleYamlAdapter._inline(src);
+        return `${inline !== null ? inline : GentleYamlAdapter._block(src, pad).join('\n')}\n`;
+    }
+
+    // One-line form of scalars and empty collections; null for anything needing block lines
+    static _inline(v) {
+        if (v === null || v === undefined || typeof v === 'function') return 'null';
+        if (typeof v === 'boolean') return String(v);
+        if (typeof v === 'number') return Number.isNaN(v) ? '.nan' : (Number.isFinite(v) ? String(v) : (v > 0 ? '.inf' : '-.inf'));
+        if (typeof v === 'string') return GentleYamlAdapter._string(v);
+        if (Array.isArray(v)) return v.length === 0 ? '[]' : null;
+        return Object.keys(v).some(k => v[k] !== undefined) ? null : '{}';
+    }
+
+    static _string(s) {
+        const plain = /^[A-Za-z0-9_./][A-Za-z0-9_ ./@()+-]*$/.test(s) && !/ $/.test(s) && GentleYamlAdapter._scalar(s) === s;
+        return plain ? s : JSON.stringify(s);
+    }
+
+    static _block(v, pad) {
+        const lines = [];
+        if (Array.isArray(v)) {
+            for (const item of v) {
+                const inline = GentleYamlAdapter._inline(item);
+                if (inline !== null) { lines.push(`- ${inline}`); continue; }
+                const sub = GentleYamlAdapter._block(item, pad);
+                lines.push(`- ${sub[0]}`, ...sub.slice(1).map(l => `  ${l}`));
+            }
+            return lines;
+        }
+        for (const key of Object.keys(v)) {
+            if (v[key] === undefined || typeof v[key] === 'function') continue;
+            const name = GentleYamlAdapter._string(key);
+            const inline = GentleYamlAdapter._inline(v[key]);
+            if (inline !== null) lines.push(`${name}: ${inline}`);
+            else lines.push(`${name}:`, ...GentleYamlAdapter._block(v[key], pad).map(l => `${pad}${l}`));
+        }
+        return lines;
+    }
+
+    // Plain scalar resolution (YAML 1.2 core schema)
+    static _scalar(s) {
+        if (s === '' || s === '~' || /^(null|Null|NULL)$/.test(s)) return null;
+        if (/^(true|True|TRUE)$/.test(s)) return true;
+        if (/^(false|False|FALSE)$/.test(s)) return false;
+        if (/^[-+]?[0-9]+$/.test(s)) return Number(s);
+        if (/^0x[0-9a-fA-F]+$/.test(s)) return parseInt(s.slice(2), 16);
+        if (/^0o[0-7]+$/.test(s)) return parseInt(s.slice(2), 8);
+        if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(s)) return Number(s);
+        if (/^[-+]?\.(inf|Inf|INF)$/.test(s)) return s[0] === '-' ? -Infinity : Infinity;
+        if (/^\.(nan|NaN|NAN)$/.test(s)) return NaN;
+        return s;
+    }
+
+    // Cut a `#` comment (at the start or after whitespace, outside quotes)
+    static _stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quote) {
+                if (c === '\\' && quote === '"') i++;
+                else if (c === "'" && quote === "'" && line[i + 1] === "'") i++;
+                else if (c === quote) quote = null;
+            } else if ((c === '"' || c === "'") && (i === 0 || /[\s:[{,-]/.test(line[i - 1]))) {
+                quote = c;
+            } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i).replace(/\s+$/, '');
+            }
+        }
+        return line.replace(/\s+$/, '');
+    }
+
+    static _parse(text) {
+        const raw = text.replace(/^\ufeff/, '').split(/\r?\n/);
+        let n = 0;
+        // set when a `- ` prefix was consumed: the rest of line n, at its own column
+        let over = null;
+        let documents = 0;
+        const fail = (msg) => { throw new SyntaxError(`YAML: ${msg} (line ${n + 1})`); };
+        const peek = () => {
+            if (over) return over;
+            while (n < raw.length) {
+                const t = GentleYamlAdapter._stripComment(raw[n]);
+                if (/^---(\s|$)/.test(t) || /^\.\.\.\s*$/.test(t)) {
+                    if (/^---\s*$/.test(t) && ++documents > 1) fail('multiple documents are not supported');
+                    if (!/^(---|\.\.\.)\s*$/.test(t)) fail('content after a document marker is not supported');
+                    n++;
+                    continue;
+                }
+                if (t.trim() === '') { n++; continue; }
+                if (/^ *\t/.test(t)) fail('tabs are not allowed for indentation');
+                return { indent: t.length - t.trimStart().length, text: t.trim() };
+            }
+            return null;
+        };
+        const advance = () => { over = null; n++; };
+        const isItem = (t) => t === '-' || t.startsWith('- ');
+        // `key: rest` -> { key, rest }, or null when the text isn't a mapping entry
+        const entry = (t) => {
+            if (t[0] === '[' || t[0] === '{') return null;
+            let key;
+            let restAt;
+            if (t[0] === '"' || t[0] === "'") {
+                const m = t[0] === '"' ? /^"(?:[^"\\]|\\.)*"/.exec(t) : /^'(?:[^']|'')*'/.exec(t);
+                if (!m || !/^\s*:(\s|$)/.test(t.slice(m[0].length))) return null;
+                key = scalar(m[0]);
+                restAt = m[0].length + t.slice(m[0].length).indexOf(':') + 1;
+            } else {
+                const m = /:(\s|$)/.exec(t);
+                if (!m) return null;
+                key = t.slice(0, m.index).trim();
+                restAt = m.index + 1;
+            }
+            if (key === '?' || (typeof key === 'string' && key.startsWith('? '))) fail('complex keys are not supported');
+            return { key: String(key), rest: t.slice(restAt).trim() };
+        };
+        const scalar = (s) => {
+            if (s[0] === '"') {
+                if (!/^"(?:[^"\\]|\\.)*"$/.test(s)) fail('unterminated string');
+                try { return JSON.parse(s.replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1').replace(/\\ /g, ' ')); } catch (e) { fail('bad escape in string'); }
+            }
+            if (s[0] === "'") {
+                if (!/^'(?:[^']|'')*'$/.test(s)) fail('unterminated string');
+                return s.slice(1, -1).replace(/''/g, "'");
+            }
+            if (/^[&*!]/.test(s)) fail('anchors, aliases and tags are not supported');
+            return GentleYamlAdapter._scalar(s);
+        };
+        // flow collections on one line (`[a, b]`, `{ a: 1 }`)
+        const flow = (s) => {
+            let i = 0;
+            const ws = () => { while (s[i] === ' ') i++; };
+            const node = () => {
+                ws();
+                if (s[i] === '[' || s[i] === '{') {
+                    const isArr = s[i] === '[';
+                    const close = isArr ? ']' : '}';
+                    const out = isArr ? [] : {};
+                    i++;
+                    ws();
+                    while (s[i] !== close) {
+                        if (isArr) out.push(node());
+                        else {
+                            const k = node();
+                            ws();
+                            if (s[i] !== ':') fail("expected ':' in flow mapping");
+                            i++;
+                            out[String(k)] = node();
+                        }
+                        ws();
+                        if (s[i] === ',') { i++; ws(); } else if (s[i] !== close) fail(`expected ',' or '${close}'`);
+                    }
+                    i++;
+                    return out;
+                }
+                if (s[i] === '"' || s[i] === "'") {
+                    const m = (s[i] === '"' ? /"(?:[^"\\]|\\.)*"/y : /'(?:[^']|'')*'/y);
+                    m.lastIndex = i;
+                    const found = m.exec(s);
+                    if (!found) fail('unterminated string');
+                    i = m.lastIndex;
+                    return scalar(found[0]);
+                }
+                const m = /[^,\]}:]*(?::(?! |,|\]|\}|$)[^,\]}:]*)*/y;
+                m.lastIndex = i;
+                const found = m.exec(s);
+                i = m.lastIndex;
+                return scalar(found[0].trim());
+            };
+            const v = node();
+            ws();
+            if (i < s.length) fail('unexpected content after a flow collection');
+            return v;
+        };
+        // `|` / `>` block scalar: the lines indented deeper than `parentIndent`
+        const blockScalar = (header, parentIndent) => {
+            const m = /^([|>])([-+]?)$/.exec(header);
+            if (!m) fail('unsupported block scalar header');
+            const lines = [];
+            let indent = null;
+            while (n < raw.length) {
+                const line = raw[n];
+                const ind = line.length - line.trimStart().length;
+                if (line.trim() !== '') {
+                    if (ind <= parentIndent) break;
+                    if (indent === null) indent = ind;
+                    if (ind < indent) break;
+                }
+                lines.push(line.trim() === '' ? '' : line.slice(indent));
+                n++;
+            }
+            let trailing = 0;
+            while (lines.length > 0 && lines[lines.length - 1] === '') { lines.pop(); trailing++; }
+            let body;
+            if (m[1] === '|') body = lines.join('\n');
+            else body = lines.reduce((acc, l, idx) => (idx === 0 ? l : acc + (l === '' ? '\n' : (acc.endsWith('\n') ? '' : ' ')) + l), '');
+            if (m[2] === '-' || lines.length === 0) return body;
+            return body + (m[2] === '+' ? '\n'.repeat(trailing + 1) : '\n');
+        };
+        // value written on the current line; consumes the line (and a block scalar's lines)
+        const value = (rest, indent) => {
+            if (rest[0] === '|' || rest[0] === '>') {
+                advance();
+                return blockScalar(rest, indent);
+            }
+            const v = rest[0] === '[' || rest[0] === '{' ? flow(rest) : scalar(rest);
+            advance();
+            return v;
+        };
+        const block = (indent) => (isItem(peek().text) ? seq(indent) : map(indent));
+        const seq = (indent) => {
+            const out = [];
+            for (let line = peek(); line && line.indent === indent && isItem(line.text); line = peek()) {
+                const rest = line.text.slice(1).trimStart();
+                if (rest === '') {
+                    advance();
+                    const next = peek();
+                    out.push(next && next.indent > indent ? block(next.indent) : null);
+                    continue;
+                }
+                const col = indent + (line.text.length - rest.length);
+                if (isItem(rest) || entry(rest)) {
+                    over = { indent: col, text: rest };
+                    out.push(block(col));
+                    continue;
+                }
+                out.push(value(rest, indent));
+            }
+            return out;
+        };
+        const map = (indent) => {
+            const out = {};
+            for (let line = peek(); line && line.indent === indent; line = peek()) {
+                const e = entry(line.text);
+                if (!e) fail(isItem(line.text) ? 'unexpected sequence item' : 'expected "key: value"');
+                let v;
+                if (e.rest === '') {
+                    advance();
+                    const next = peek();
+                    if (next && next.indent > indent) v = block(next.indent);
+                    else if (next && next.indent === indent && isItem(next.text)) v = seq(indent);
+                    else v = null;
+                } else {
+                    v = value(e.rest, indent);
+                }
+                if (Object.prototype.hasOwnProperty.call(out, e.key)) fail(`duplicate key "${e.key}"`);
+                Object.defineProperty(out, e.key, { value: v, enumerable: true, writable: true, configurable: true });
+            }
+            return out;
+        };
+
+        const first = peek();
+        if (!first) return null;
+        let root;
+        if (first.indent === 0 && !isItem(first.text) && !entry(first.text)) {
+            root = value(first.text, -1);
+        } else {
+            root = block(first.indent);
+        }
+        if (peek()) fail('bad indentation');
+        return root;
+    }
+}
+
+// Sharded storage (opts.shards): the database is a directory with one file per top-level key,
+// `<dir>/<encoded key>.<ext>`, each holding that key's value in the configured format. read() presents
+// the union as one root; write() only rewrites the shards whose value changed and removes the files of
+// deleted keys, and GentleDB's flushes name the keys they changed so the others aren't even serialized.
+// Every shard has its own lock file (lockPathFor), so writers of different keys don't wait on each other.
+// Each shard is replaced atomically, but a write spanning several shards is not atomic across them.
+// Readers take no shared locks: they never see a torn shard, only possibly a mix of shards from before
+// and after a write spanning several.
+class GentleShardedAdapter {
+    static EXTENSIONS = { json: '.json', json5: '.json5', yaml: '.yaml' };
+
+    constructor(dir, opts = {}) {
+        const fmt = typeof opts.format === 'string' ? { type: opts.format } : (opts.format && typeof opts.format === 'object' ? opts.format : {});
+        const type = fmt.type ? String(fmt.type).toLowerCase() : 'json';
+        if (!GentleShardedAdapter.EXTENSIONS[type]) throw new Error(`GentleDB: sharded mode stores one value per file and can't use the ${type} format.`);
+        this.shardDir = dir;
+        this.ext = GentleShardedAdapter.EXTENSIONS[type];
+        this._shardOpts = { format: { ...fmt, type } };
+        this._cipher = opts.encryption ? new GentleCipher(opts.encryption) : null;
+        // per-key file adapters, and the text and file stamp each shard was last read or written with
+        this._shards = new Map();
+        this._texts = new Map();
+        this._stamps = new Map();
+    }
+
+    // one cipher for every shard; rekey() swaps it and the next write rewrites all of them
+    get cipher() {
+        return this._cipher;
+    }
+
+    set cipher(next) {
+        this._cipher = next;
+        for (const shard of this._shards.values()) shard.cipher = next;
+        this._texts.clear();
+        this._stamps.clear();
+    }
+
+    fileFor(key) {
+        return path.join(this.shardDir, encodeURIComponent(key).replace(/\*/g, '%2A') + this.ext);
+    }
+
+    lockPathFor(key) {
+        return `${this.fileFor(key)}.lock`;
+    }
+
+    _shard(key) {
+        let shard = this._shards.get(key);
+        if (!shard) {
+            shard = GentleDB._fileAdapterFor(this.fileFor(key), this._shardOpts);
+            shard.cipher = this._cipher;
+            this._shards.set(key, shard);
+        }
+        return shard;
+    }
+
+    // Top-level keys that have a shard file
+    async keys() {
+        let names;
+        try {
+            names = await fsp.readdir(this.shardDir);
+        } catch (err) {
+            if (err && err.code === 'ENOENT') return [];
+            throw err;
+        }
+        return names.filter(n => n.endsWith(this.ext)).map(n => decodeURIComponent(n.slice(0, -this.ext.length)));
+    }
+
+    // Resolves to the union of all shards, or null when there are none. Throws CorruptFileError naming the bad shard.
+    async read() {
+        const keys = await this.keys();
+        this._texts.clear();
+        this._stamps.clear();
+        if (keys.length === 0) return null;
+        const out = {};
+        for (const key of keys.sort()) {
+            const found = await this._readShard(key);
+            // removed since the directory was listed
+            if (found) Object.defineProperty(out, key, { value: found.value, enumerable: true, writable: true, configurable: true });
+        }
+        return out;
+    }
+
+    // The current values of some shards, `{ values, unchanged }`: shards whose file is as this adapter last read
+    // or wrote it are listed in `unchanged` instead of being read again; missing shards are in neither.
+    async readKeys(keys) {
+        const values = {};
+        const unchanged = [];
+        for (const key of keys) {
+            const stamp = await GentleFileAdapter._stamp(this.fileFor(key));
+            if (stamp !== null && GentleFileAdapter._sameStamp(stamp, this._stamps.get(key) || null)) {
+                unchanged.push(key);
+                continue;
+            }
+            const found = stamp === null ? null : await this._readShard(key);
+            if (found) Object.defineProperty(values, key, { value: found.value, enumerable: true, writable: true, configurable: true });
+            else this._forget(key);
+        }
+        return { values, unchanged };
+    }
+
+    // `{ value }` of one shard, or null when its file is missing
+    async _readShard(key) {
+        const shard = this._shard(key);
+        const stamp = await GentleFileAdapter._stamp(shard.filename);
+        let text;
+        try {
+            text = await shard.decode(await fsp.readFile(shard.filename));
+        } catch (err) {
+            if (err && err.code === 'ENOENT') return null;
+            throw err;
+        }
+        let value;
+        try {
+            value = shard.parse(text);
+        } catch (err) {
+            throw new CorruptFileError(shard.filename, text, err);
+        }
+        this._texts.set(key, shard.stringify(value));
+        this._stamps.set(key, stamp);
+        return { value };
+    }
+
+    _forget(key) {
+        this._texts.delete(key);
+        this._stamps.delete(key);
+    }
+
+    // Writes the shards of `keys` (GentleDB passes the keys a flush changed), removing those whose key is gone from
+    // `data`. Without `keys` every key and shard file is considered, and shards whose text and file are unchanged
+    // since the last read or write are skipped.
+    async write(data, keys = null) {
+        if (!GentleDB._isPlainObject(data)) throw new TypeError('GentleShardedAdapter: data must be an object of top-level keys.');
+        await fsp.mkdir(this.shardDir, { recursive: true });
+        const names = keys === null ? new Set([...Object.keys(data), ...await this.keys()]) : new Set(keys);
+        for (const key of names) {
+            const value = Object.prototype.hasOwnProperty.call(data, key) ? data[key] : undefined;
+            if (value === undefined) {
+                try { await fsp.unlink(this.fileFor(key)); } catch (err) { if (!err || err.code !== 'ENOENT') throw err; }
+                this._forget(key);
+                continue;
+            }
+            const shard = this._shard(key);
+            const text = shard.stringify(value);
+            if (keys === null && this._texts.get(key) === text
+                && GentleFileAdapter._sameStamp(await GentleFileAdapter._stamp(shard.filename), this._stamps.get(key) || null)) continue;
+            await shard.write(value);
+            this._texts.set(key, text);
+            this._stamps.set(key, await GentleFileAdapter._stamp(shard.filename));
+        }
+    }
+
+    // Whole-database snapshots (backups) are single JSON documents
+    parse(text) {
+        return JSON.parse(text);
+    }
+
+    stringify(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    async decode(buf, file = this.shardDir) {
+        return GentleFileAdapter.prototype.decode.call(this, buf, file);
+    }
+
+    async encode(text) {
+        return GentleFileAdapter.prototype.encode.call(this, text);
+    }
+
+    // Remove temp files left by interrupted shard writes. Only call while holding the lock.
+    async cleanup() {
+        let names;
+        try { names = await fsp.readdir(this.shardDir); } catch (e) { return; }
+        for (const n of names) {
+            if (n.endsWith(`${this.ext}.tmp`)) { try { await fsp.unlink(path.join(this.shardDir, n)); } catch (e) { /* ignore */ } }
+        }
+    }
+
+    // Calls onChange when any shard file changes; resolves the union again, so events are aggregated across
+    // shards. Polls the directory where fs.watch is unavailable.
+    watch(onChange) {
+        try { fs.mkdirSync(this.shardDir, { recursive: true }); } catch (e) { /* ignore */ }
+        try {
+            const watcher = fs.watch(this.shardDir, { persistent: true }, (evt, filename) => {
+                if (filename && !String(filename).endsWith(this.ext)) return;
+                onChange();
+            });
+            let stopPolling = null;
+            watcher.on('error', () => {
+                try { watcher.close(); } catch (e) { /* ignore */ }
+                stopPolling = this._poll(onChange);
+            });
+            return () => {
+                try { watcher.close(); } catch (e) { /* ignore */ }
+                if (stopPolling) stopPolling();
+            };
+        } catch (err) {
+            return this._poll(onChange);
+        }
+    }
+
+    _poll(onChange) {
+        const signature = () => {
+            let names;
+            try { names = fs.readdirSync(this.shardDir).filter(n => n.endsWith(this.ext)).sort(); } catch (e) { return ''; }
+            return names.map(n => {
+                try {
+                    const st = fs.statSync(path.join(this.shardDir, n));
+                    return `${n}:${st.mtimeMs}:${st.size}`;
+                } catch (e) { return n; }
+            }).join('|');
+        };
+        let last = signature();
+        const timer = setInterval(() => {
+            const next = signature();
+            if (next === last) return;
+            last = next;
+            onChange();
+        }, 250);
+        if (typeof timer.unref === 'function') timer.unref();
+        return () => clearInterval(timer);
+    }
+}
+
+// Document helpers over an array of objects stored at a path (usually a top-level key).
+// All mutations are queued as steps on the owner's debounced write pipeline.
+class GentleCollection {
+    constructor(db, name, opts = {}) {
+        this.db = db;
+        this.name = name;
+        this.idField = typeof opts.idField === 'string' && opts.idField ? opts.idField : 'id';
+        this._genId = typeof opts.generateId === 'function' ? opts.generateId : () => crypto.randomUUID();
+        // audit actor/context of a db.as() handle
+        this._audit = {};
+    }
+
+    // Mutators take `{ actor, context }` as their last argument for the audit log
+    async insert(doc, opts = {}) {
+        return GentleCollection._first(await this._insert([doc], 'insert', opts));
+    }
+
+    async insertMany(docs, opts = {}) {
+        if (!Array.isArray(docs)) throw new TypeError('GentleCollection.insertMany: docs must be an array.');
+        return this._insert(docs, 'insertMany', opts);
+    }
+
+    async findById(id) {
+        await this.db._initPromise;
+        if (this.db._indexes.size > 0) await this.db._readShared();
+        const indexed = this.db._indexedEntries(this.name, { [this.idField]: id });
+        const docs = indexed ? indexed.map(e => e.doc) : await this._readDocs();
+        const found = docs.find(d => this._idOf(d) === id);
+        return found === undefined ? null : GentleDB._cloneSafe(found);
+    }
+
+    // filter: predicate function or a query object (`{ age: { $gt: 30 } }`, see db.query)
+    // opts: { projection, sort, skip, limit } (see db.query). Query objects use db indexes when one applies.
+    async find(filter = {}, opts = {}) {
+        await this.db._initPromise;
+        let entries = null;
+        if (filter !== null && typeof filter === 'object' && this.db._indexes.size > 0) {
+            await this.db._readShared();
+            entries = this.db._indexedEntries(this.name, filter);
+        }
+        if (!entries) {
+            const docs = await this._readDocs();
+            entries = docs.map((doc, i) => ({ path: `${this.name}[${i}]`, doc }));
+        }
+        if (typeof filter === 'function' || (filter !== null && typeof filter !== 'object')) {
+            entries = entries.filter(e => this._matches(e.doc, filter));
+            filter = {};
+        }
+        return this.db._runQuery(entries, filter, opts).map(e => e.doc);
+    }
+
+    async findOne(filter = {}) {
+        return (await this.find(filter, { limit: 1 }))[0] ?? null;
+    }
+
+    async count(filter = {}) {
+        return (await this.find(filter)).length;
+    }
+
+    // update: partial object deep-merged into each matching document, or fn(doc) => newDoc.
+    // The id field is never changed.
+    async updateOne(filter, update, opts = {}) {
+        return GentleCollection._first(await this._update(filter, update, false, 'updateOne', opts));
+    }
+
+    async updateMany(filter, update, opts = {}) {
+        return this._update(filter, update, true, 'updateMany', opts);
+    }
+
+    async removeOne(filter, opts = {}) {
+        return GentleCollection._first(await this._remove(filter, false, 'removeOne', opts));
+    }
+
+    async removeMany(filter, opts = {}) {
+        return this._remove(filter, true, 'removeMany', opts);
+    }
+
+    // -- internals --
+
+    // single-document variants resolve to the first result (or whatever a cancelling listener returned)
+    static _first(res) {
+        return Array.isArray(res) ? (res[0] ?? null) : res;
+    }
+
+    async _readDocs() {
+        const arr = await this.db.get(this.name);
+        return Array.isArray(arr) ? arr : [];
+    }
+
+    _idOf(doc) {
+        return doc && typeof doc === 'object' ? doc[this.idField] : undefined;
+    }
+
+    _matches(doc, filter) {
+        if (typeof filter === 'function') return Boolean(filter(doc));
+        if (filter === null || filter === undefined) return true;
+        if (typeof filter !== 'object') return this._idOf(doc) === filter;
+        return this.db._matchQuery(doc, filter);
+    }
+
+    // resolve the collection array inside a write draft, creating it when missing
+    _draftArray(draft) {
+        let arr = this.db._getAtPath(draft, this.name);
+        if (arr === undefined || arr === null) {
+            this.db._setAtPath(draft, this.name, []);
+            arr = this.db._getAtPath(draft, this.name);
+        }
+        if (!Array.isArray(arr)) throw new TypeError(`GentleCollection: value at "${this.name}" is not an array.`);
+        return arr;
+    }
+
+    async _insert(docs, op, opts) {
+        await this.db._initPromise;
+        const prepared = docs.map((d) => {
+            if (!d || typeof d !== 'object' || Array.isArray(d)) throw new TypeError('GentleCollection: documents must be plain objects.');
+            const copy = GentleDB._cloneSafe(d);
+            if (copy[this.idField] === undefined || copy[this.idField] === null) copy[this.idField] = this._genId();
+            return copy;
+        });
+        return this.db._debouncedWrite(undefined, this.db._auditOpts({
+            op,
+            paths: [this.name],
+            rebase: true,
+            mutate: (draft, step) => {
+                const arr = this._draftArray(draft);
+                const ids = new Set(arr.map(d => this._idOf(d)));
+                for (const d of prepared) {
+                    if (ids.has(d[this.idField])) throw new Error(`GentleCollection: duplicate ${this.idField} "${d[this.idField]}" in "${this.name}".`);
+                    ids.add(d[this.idField]);
+                }
+                arr.push(...GentleDB._cloneSafe(prepared));
+                step.result = GentleDB._cloneSafe(prepared);
+                step.documents = prepared.map(d => ({ collection: this.name, type: 'insert', id: d[this.idField], old: undefined, new: d }));
+            }
+        }, { ...this._audit, ...opts }));
+    }
+
+    async _update(filter, update, many, op, opts) {
+        await this.db._initPromise;
+        if (typeof update !== 'function' && (!update || typeof update !== 'object')) {
+            throw new TypeError('GentleCollection: update must be an object or a function.');
+        }
+        return this.db._debouncedWrite(undefined, this.db._auditOpts({
+            op,
+            paths: [this.name],
+            rebase: true,
+            mutate: (draft, step) => {
+                const arr = this._draftArray(draft);
+                const results = [];
+                const documents = [];
+                for (let i = 0; i < arr.length; i++) {
+                    if (!this._matches(arr[i], filter)) continue;
+                    const before = arr[i];
+                    let after = typeof update === 'function'
+                        ? update(GentleDB._cloneSafe(before))
+                        : this.db._deepMerge(GentleDB._cloneSafe(before), update);
+                    if (!after || typeof after !== 'object') after = GentleDB._cloneSafe(before);
+                    after[this.idField] = this._idOf(before);
+                    arr[i] = after;
+                    results.push(GentleDB._cloneSafe(after));
+                    if (!this.db._deepEqual(before, after)) {
+                        documents.push({ collection: this.name, type: 'update', id: this._idOf(before), old: before, new: GentleDB._cloneSafe(after) });
+                    }
+                    if (!many) break;
+                }
+                step.result = results;
+                step.documents = documents;
+            }
+        }, { ...this._audit, ...opts }));
+    }
+
+    async _remove(filter, many, op, opts) {
+        await this.db._initPromise;
+        return this.db._debouncedWrite(undefined, this.db._auditOpts({
+            op,
+            paths: [this.name],
+            rebase: true,
+            mutate: (draft, step) => {
+                const arr = this._draftArray(draft);
+                const removed = [];
+                for (let i = 0; i < arr.length; i++) {
+                    if (!this._matches(arr[i], filter)) continue;
+                    removed.push(arr.splice(i, 1)[0]);
+                    i--;
+                    if (!many) break;
+                }
+                step.result = GentleDB._cloneSafe(removed);
+                step.documents = removed.map(d => ({ collection: this.name, type: 'remove', id: this._idOf(d), old: d, new: undefined }));
+            }
+        }, { ...this._audit, ...opts }));
     }
 }
 
 module.exports = GentleDB;
-module.exports.default = GentleDB;
\ No newline at end of file
+module.exports.default = GentleDB;
+module.exports.GentleCollection = GentleCollection;
+module.exports.GentleFileAdapter = GentleFileAdapter;
+module.exports.GentleJournalAdapter = GentleJournalAdapter;
+module.exports.GentleJson5Adapter = GentleJson5Adapter;
+module.exports.GentleNdjsonAdapter = GentleNdjsonAdapter;
+module.exports.GentleYamlAdapter = GentleYamlAdapter;
+module.exports.GentleShardedAdapter = GentleShardedAdapter;
+module.exports.GentleMemoryAdapter = GentleMemoryAdapter;
+module.exports.MemoryAdapter = GentleMemoryAdapter;
+module.exports.CorruptFileError = CorruptFileError;
+module.exports.ValidationError = ValidationError;
+module.exports.ConflictError = ConflictError;
+module.exports.DecryptionError = DecryptionError;
\ No newline at end of file
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// src/cli.js
+
+// `gentledb` command-line tool: inspect and edit a database file. Every command goes through GentleDB itself,
+// so it takes the same locks as the library and is safe next to a live process using it.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const GentleDB = require('./GentleDB');
+
+const USAGE = `Usage: gentledb <command> <file> [args] [options]
+
+Commands:
+  get <file> <path>            print the value at path (e.g. users[0].name)
+  set <file> <path> <json>     set path to a JSON value
+  unset <file> <path>          remove the value at path
+  find <file> <query>          search keys and values (findMatches)
+  dump <file>                  print the whole database
+  import <file> [source]       replace the database with JSON from source (default: stdin)
+  lock-status <file>           print the current lock holders
+  unlock <file>                remove stale locks; --force removes live ones too
+  watch <file>                 print one JSON line per change until interrupted
+
+Options:
+  --shards                     the database is a sharded directory
+  --format <type>              json | json5 | ndjson | yaml (default: by extension)
+  --lock-timeout <ms>          how long to wait for the lock (default: 5000)
+  --merge                      import: merge into the existing data instead of replacing it
+  --force                      unlock: also remove locks whose owner is alive
+  -h, --help                   show this help
+
+Encrypted files read the key from GENTLEDB_PASSPHRASE or GENTLEDB_KEY (64 hex characters or base64).
+`;
+
+// command -> [min, max] positional arguments after the command name
+const ARITY = {
+    get: [2, 2],
+    set: [3, 3],
+    unset: [2, 2],
+    find: [2, 2],
+    dump: [1, 1],
+    import: [1, 2],
+    'lock-status': [1, 1],
+    unlock: [1, 1],
+    watch: [1, 1]
+};
+
+// commands that must not create the database when it doesn't exist
+const READ_ONLY = new Set(['get', 'find', 'dump', 'lock-status', 'unlock', 'watch']);
+
+// commands that look at the lock files without opening the database: opening takes the lock itself, breaking
+// a stale one before lock-status could report it or unlock could decide about it
+const LOCKS_ONLY = new Set(['lock-status', 'unlock']);
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const out = { positional: [], shards: false, format: undefined, lockTimeoutMs: undefined, merge: false, force: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+        if (arg === '--') { out.positional.push(...argv.slice(i + 1)); break; }
+        if (arg === '-h' || arg === '--help') out.help = true;
+        else if (arg === '--shards') out.shards = true;
+        else if (arg === '--merge') out.merge = true;
+        else if (arg === '--force') out.force = true;
+        else if (arg === '--format') out.format = value();
+        else if (arg === '--lock-timeout') {
+            out.lockTimeoutMs = Number(value());
+            if (!Number.isFinite(out.lockTimeoutMs) || out.lockTimeoutMs < 0) throw new UsageError('--lock-timeout must be a number of milliseconds');
+        } else if (arg.startsWith('--')) throw new UsageError(`unknown option ${arg}`);
+        else out.positional.push(arg);
+    }
+    return out;
+}
+
+function dbOptions(command, args, env) {
+    // watch stops on SIGINT/SIGTERM itself and closes the database
+    const opts = { shards: args.shards, registerExitHandlers: command !== 'watch' };
+    if (args.format !== undefined) opts.format = args.format;
+    if (args.lockTimeoutMs !== undefined) opts.lockTimeoutMs = args.lockTimeoutMs;
+    if (env.GENTLEDB_PASSPHRASE) opts.encryption = { passphrase: env.GENTLEDB_PASSPHRASE };
+    else if (env.GENTLEDB_KEY) opts.encryption = { key: env.GENTLEDB_KEY };
+    return opts;
+}
+
+function parseJson(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new UsageError(`${what} is not valid JSON (${err.message}); quote strings, e.g. '"text"'`);
+    }
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+// One JSON line per `change` event until SIGINT/SIGTERM
+async function watch(db, file, io) {
+    db.on('change', (evt) => {
+        io.stdout.write(`${JSON.stringify({
+            timestamp: evt.timestamp,
+            source: evt.source,
+            op: evt.op,
+            revision: evt.revision,
+            paths: evt.changedPaths,
+            changes: evt.changes
+        })}\n`);
+    });
+    io.stderr.write(`watching ${file} (Ctrl+C to stop)\n`);
+    await new Promise((resolve) => {
+        io.signals.once('SIGINT', resolve);
+        io.signals.once('SIGTERM', resolve);
+    });
+}
+
+// The JSON a command writes: `set` takes it from the command line, `import` from a file or stdin. Read before
+// the database is opened, so bad input never creates or locks anything.
+async function readInput(command, args, io) {
+    if (command === 'set') return parseJson(args.positional[3], 'value');
+    if (command !== 'import') return undefined;
+    const source = args.positional[2];
+    const fromStdin = source === undefined || source === '-';
+    const data = parseJson(fromStdin ? await readStream(io.stdin) : fs.readFileSync(source, 'utf8'), fromStdin ? 'stdin' : source);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new UsageError('import needs a JSON object');
+    return data;
+}
+
+// `db` is null for LOCKS_ONLY commands, which get the database options as `opts` instead
+async function runCommand(command, args, input, db, file, io, opts) {
+    const a = args.positional[2];
+    switch (command) {
+        case 'get': {
+            const value = await db.get(a);
+            if (value === undefined) {
+                io.stderr.write(`gentledb: no value at ${a}\n`);
+                return 1;
+            }
+            io.stdout.write(json(value));
+            return 0;
+        }
+        case 'set':
+            await db.set(a, input);
+            return 0;
+        case 'unset':
+            await db.unset(a);
+            return 0;
+        case 'find':
+            io.stdout.write(json(await db.findMatches(a)));
+            return 0;
+        case 'dump':
+            io.stdout.write(json(await db.read()));
+            return 0;
+        case 'import':
+            await (args.merge ? db.write(input) : db.replace(input));
+            return 0;
+        case 'lock-status':
+            io.stdout.write(json(await GentleDB.lockInfo(file, opts)));
+            return 0;
+        case 'unlock': {
+            const removed = await GentleDB.breakLocks(file, { ...opts, force: args.force });
+            io.stdout.write(json(removed));
+            const info = await GentleDB.lockInfo(file, opts);
+            const held = info.shards ? Object.values(info.shards) : [info];
+            if (held.some(h => h.exclusive || h.shared.length > 0)) {
+                io.stderr.write('gentledb: the lock is held by a live process; use --force to remove it anyway\n');
+                return 1;
+            }
+            return 0;
+        }
+        case 'watch':
+            await db.read();
+            await watch(db, file, io);
+            return 0;
+        default:
+            throw new UsageError(`unknown command "${command}"`);
+    }
+}
+
+// Runs one command; resolves to the exit code (0 ok, 1 failed, 2 bad usage)
+async function main(argv, io = {}) {
+    io = {
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        env: process.env,
+        signals: process,
+        ...io
+    };
+    let db = null;
+    try {
+        const args = parseArgs(argv);
+        const command = args.positional[0];
+        if (args.help || command === undefined || command === 'help') {
+            io.stdout.write(USAGE);
+            return command === undefined && !args.help ? 2 : 0;
+        }
+        const arity = ARITY[command];
+        if (!arity) throw new UsageError(`unknown command "${command}"`);
+        const count = args.positional.length - 1;
+        if (count < arity[0] || count > arity[1]) throw new UsageError(`wrong number of arguments for ${command}`);
+
+        const file = path.resolve(args.positional[1]);
+        if (READ_ONLY.has(command) && !fs.existsSync(file)) {
+            io.stderr.write(`gentledb: ${file} does not exist\n`);
+            return 1;
+        }
+        const input = await readInput(command, args, io);
+        const opts = dbOptions(command, args, io.env);
+        if (!LOCKS_ONLY.has(command)) db = new GentleDB(file, opts);
+        return await runCommand(command, args, input, db, file, io, opts);
+    } catch (err) {
+        if (err instanceof UsageError) {
+            io.stderr.write(`gentledb: ${err.message}\nRun "gentledb --help" for usage.\n`);
+            return 2;
+        }
+        io.stderr.write(`gentledb: ${err && err.message ? err.message : err}\n`);
+        return 1;
+    } finally {
+        if (db) { try { await db.close(); } catch (e) { /* ignore */ } }
+    }
+}
+
+module.exports = main;
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
+}
@@ -75,6 +75,952 @@ async function run() {
         const res = await db.findMatches('hello');
         assert.ok(Array.isArray(res.partial) && (res.partial.length + res.exact.length) >= 1, 'findMatches did not find expected entries');
 
+        // path API: set/get/unset/update/push (queued calls compose within one debounce window)
+        let pathChange = null;
+        const pathChangeHandler = (evt) => { pathChange = evt; };
+        db.on('change', pathChangeHandler);
+        await Promise.all([
+            db.set('settings.theme', 'dark'),
+            db.set('settings.sizes[0]', 12),
+            db.push('users', { id: 'u2', name: 'Bob' }, { id: 'u3', name: 'Cy' }),
+            db.update('settings.sizes[0]', (n) => n + 1)
+        ]);
+        assert.strictEqual(await db.get('settings.theme'), 'dark', 'set/get mismatch');
+        assert.deepStrictEqual(await db.get('settings.sizes'), [13], 'update did not compose with set');
+        assert.strictEqual(await db.get('users[1].name'), 'Cy', 'push mismatch');
+        assert.ok(pathChange && pathChange.paths.includes('settings.theme'), 'change event should list affected paths');
+
+        await db.unset('users[0]');
+        assert.deepStrictEqual((await db.get('users')).map(u => u.id), ['u3'], 'unset should splice array elements');
+        await assert.rejects(db.push('settings.theme', 'x'), /not an array/, 'push onto non-array should reject');
+        for (const bad of ['__proto__.polluted', 'constructor.prototype.polluted', 'settings.__proto__.polluted']) {
+            await assert.rejects(db.set(bad, 'yes'), /not allowed/, `set('${bad}') should reject`);
+            await assert.rejects(db.unset(bad), /not allowed/);
+            await assert.rejects(db.update(bad, () => 'yes'), /not allowed/);
+            await assert.rejects(db.push(bad, 'yes'), /not allowed/);
+        }
+        assert.strictEqual(({}).polluted, undefined, 'paths must not reach Object.prototype');
+        db.off('change', pathChangeHandler);
+
+        // collections: ids, queued inserts, document-level change events
+        const docEvents = [];
+        const docChangeHandler = (evt) => { if (evt.documents) docEvents.push(...evt.documents); };
+        db.on('change', docChangeHandler);
+        const people = db.collection('people');
+        const [ada, bob] = await Promise.all([
+            people.insert({ name: 'Ada', role: 'admin' }),
+            people.insert({ name: 'Bob', role: 'user' })
+        ]);
+        assert.ok(ada.id && bob.id && ada.id !== bob.id, 'insert should generate distinct ids');
+        await people.insertMany([{ id: 'c', name: 'Cy', role: 'user' }]);
+        await assert.rejects(people.insert({ id: 'c', name: 'Dup' }), /duplicate/, 'duplicate id should reject');
+        assert.strictEqual((await people.findById(bob.id)).name, 'Bob', 'findById mismatch');
+        assert.strictEqual(await people.count({ role: 'user' }), 2, 'count by filter mismatch');
+
+        const updated = await people.updateMany({ role: 'user' }, { role: 'member' });
+        assert.strictEqual(updated.length, 2, 'updateMany should return updated docs');
+        assert.strictEqual((await people.updateOne((d) => d.name === 'Ada', (d) => ({ ...d, id: 'hijack', name: 'Ada L.' }))).id, ada.id, 'id field must not change');
+        assert.strictEqual((await people.removeOne({ id: 'c' })).name, 'Cy', 'removeOne mismatch');
+        assert.deepStrictEqual((await people.find()).map(d => d.name), ['Ada L.', 'Bob'], 'find after remove mismatch');
+        assert.deepStrictEqual(docEvents.map(d => d.type), ['insert', 'insert', 'insert', 'update', 'update', 'update', 'remove'], 'document change events mismatch');
+        db.off('change', docChangeHandler);
+
+        // structured queries
+        await db.replace({
+            users: [
+                { id: 1, name: 'Ada', age: 36, role: 'admin', tags: ['math'], pets: [{ kind: 'cat', age: 3 }] },
+                { id: 2, name: 'Bob', age: 28, role: 'owner', tags: [], pets: [] },
+                { id: 3, name: 'Cy', age: 41, role: 'owner', tags: ['ops', 'math'], pets: [{ kind: 'dog', age: 9 }] },
+                { id: 4, name: 'Di', age: 52, role: 'user', profile: { email: 'di@example.com' } }
+            ]
+        });
+        const q1 = await db.query('users', { age: { $gt: 30 }, role: { $in: ['admin', 'owner'] } }, { sort: { age: -1 } });
+        assert.deepStrictEqual(q1.map(r => r.path), ['users[2]', 'users[0]'], 'query $gt/$in/sort mismatch');
+        assert.strictEqual(q1[0].doc.name, 'Cy', 'query should return whole documents');
+        const q2 = await db.query('users', { $or: [{ tags: 'ops' }, { 'profile.email': { $regex: '^di@' } }] }, { projection: { name: 1 } });
+        assert.deepStrictEqual(q2.map(r => r.doc), [{ name: 'Cy' }, { name: 'Di' }], 'query $or/$regex/projection mismatch');
+        const q3 = await db.query('users', { pets: { $elemMatch: { kind: 'dog', age: { $gte: 5 } } } });
+        assert.deepStrictEqual(q3.map(r => r.doc.id), [3], 'query $elemMatch mismatch');
+        const q4 = await db.query('users', { 'pets.kind': 'cat' });
+        assert.deepStrictEqual(q4.map(r => r.doc.id), [1], 'query should traverse arrays for dotted fields');
+        const q5 = await db.query('users', { profile: { $exists: false }, $not: { role: 'admin' }, id: { $nin: [2] } });
+        assert.deepStrictEqual(q5.map(r => r.doc.id), [3], 'query $exists/$not/$nin mismatch');
+        const page = await db.collection('users').find({ age: { $lte: 52 } }, { sort: { name: 1 }, skip: 1, limit: 2, projection: { tags: 0, pets: 0, profile: 0 } });
+        assert.deepStrictEqual(page.map(d => d.name), ['Bob', 'Cy'], 'collection.find skip/limit mismatch');
+        assert.strictEqual(page[0].tags, undefined, 'exclusion projection mismatch');
+        await assert.rejects(db.query('users', { age: { $near: 1 } }), /unknown operator/, 'unknown operators should reject');
+
+        // transactions: one write + one change on commit, nothing written on throw
+        await db.replace({ accounts: { a: 100, b: 0 } });
+        const txChanges = [];
+        const txChangeHandler = (evt) => { txChanges.push(evt); };
+        db.on('change', txChangeHandler);
+        const txResult = await db.transaction((tx) => {
+            tx.update('accounts.a', (v) => v - 30).update('accounts.b', (v) => v + 30);
+            tx.set('ledger', [{ from: 'a', to: 'b', amount: 30 }]);
+            return 'moved';
+        });
+        assert.strictEqual(txResult, 'moved', 'transaction should resolve to the callback result');
+        assert.strictEqual(txChanges.length, 1, 'transaction should emit exactly one change event');
+        assert.strictEqual(txChanges[0].op, 'transaction', 'transaction change op mismatch');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(dbFile, 'utf8')).accounts, { a: 70, b: 30 }, 'transaction not persisted');
+
+        await assert.rejects(db.transaction(async (tx) => {
+            tx.set('accounts.a', 0);
+            tx.unset('ledger');
+            throw new Error('abort');
+        }), /abort/, 'transaction errors should propagate');
+        assert.strictEqual(txChanges.length, 1, 'rolled back transaction must not emit change');
+        assert.deepStrictEqual(await db.get('accounts'), { a: 70, b: 30 }, 'rolled back transaction leaked changes');
+        assert.strictEqual(fs.existsSync(`${dbFile}.lock`), false, 'transaction should release the lock');
+        // independent transactions queue; only a call from inside a callback is nesting
+        const concurrentTx = await Promise.all([
+            db.transaction(async (tx) => { await new Promise((r) => setTimeout(r, 20)); tx.update('accounts.a', (v) => v + 1); }),
+            db.transaction((tx) => { tx.update('accounts.a', (v) => v + 1); })
+        ]);
+        assert.strictEqual(concurrentTx.length, 2);
+        assert.strictEqual((await db.get('accounts')).a, 72, 'concurrent transactions should both commit');
+        await assert.rejects(db.transaction(() => db.transaction(() => {})), /nested transactions/);
+        // db calls that wait for the chain would wait for the transaction itself: they reject instead of hanging
+        await assert.rejects(db.transaction(async () => { await db.read(); }), /GentleDB.read: can't be called inside transaction/);
+        await assert.rejects(db.transaction(async () => { await db.set('accounts.a', 0); }), /GentleDB.set: can't be called inside transaction/);
+        await assert.rejects(db.transaction(async (tx) => { tx.set('accounts.a', 0); await db.collection('users').insert({ name: 'x' }); }), /inside transaction/);
+        assert.strictEqual((await db.get('accounts')).a, 72, 'a rejected transaction should write nothing');
+        db.off('change', txChangeHandler);
+
+        // atomic writes: no temp file left behind, external edits still detected after rename-over writes
+        assert.strictEqual(fs.existsSync(`${dbFile}.tmp`), false, 'temp file should be renamed over the target');
+        let externalChange = null;
+        const externalHandler = (evt) => { if (evt.source === 'external') externalChange = evt; };
+        db.on('change', externalHandler);
+        fs.writeFileSync(dbFile, JSON.stringify({ accounts: { a: 1, b: 2 } }));
+        for (let i = 0; i < 40 && !externalChange; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.ok(externalChange && externalChange.changes.accounts, 'external change should be detected after atomic writes');
+        db.off('change', externalHandler);
+
+        // corrupt files are reported and left untouched instead of being reset to defaultData
+        const corruptFile = path.join(os.tmpdir(), 'gentledb-test-corrupt.json');
+        fs.writeFileSync(corruptFile, '{"users": [{"id": 1');
+        const corruptDb = new GentleDB(corruptFile, { defaultData: { users: [] } });
+        await assert.rejects(corruptDb.read(), (err) => err instanceof GentleDB.CorruptFileError && err.raw === '{"users": [{"id": 1', 'corrupt file should reject with CorruptFileError');
+        await corruptDb.close();
+        assert.strictEqual(fs.readFileSync(corruptFile, 'utf8'), '{"users": [{"id": 1', 'corrupt file must not be overwritten');
+
+        // ...but a complete temp file from an interrupted write is recovered
+        const preservedCopies = () => fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('gentledb-test-corrupt.json.corrupt-'));
+        fs.writeFileSync(`${corruptFile}.tmp`, JSON.stringify({ users: [{ id: 1 }] }));
+        const recoveredDb = new GentleDB(corruptFile, { defaultData: { users: [] } });
+        assert.deepStrictEqual(await recoveredDb.read(), { users: [{ id: 1 }] }, 'temp file recovery failed');
+        assert.strictEqual(fs.existsSync(`${corruptFile}.tmp`), false, 'recovered temp file should be consumed');
+        await recoveredDb.close();
+
+        // onCorrupt policies: original bytes are preserved before the file is overwritten
+        assert.strictEqual(preservedCopies().length, 1, 'corrupt bytes should be preserved before temp recovery');
+        fs.writeFileSync(corruptFile, 'not json');
+        let corruptEvt = null;
+        const resetDb = new GentleDB(corruptFile, { defaultData: { users: [] }, onCorrupt: 'backup-and-reset' });
+        resetDb.on('corrupt', (evt) => { corruptEvt = evt; });
+        assert.deepStrictEqual(await resetDb.read(), { users: [] }, 'backup-and-reset should start from defaultData');
+        assert.ok(corruptEvt && corruptEvt.raw === 'not json' && corruptEvt.error instanceof SyntaxError, 'corrupt event should carry raw text and parse error');
+        assert.strictEqual(fs.readFileSync(corruptEvt.preservedPath, 'utf8'), 'not json', 'preserved copy should hold the original bytes');
+        await resetDb.close();
+
+        fs.writeFileSync(corruptFile, '{"users": [');
+        const customDb = new GentleDB(corruptFile, { onCorrupt: ({ raw }) => ({ users: [], salvagedBytes: raw.length }) });
+        assert.deepStrictEqual(await customDb.read(), { users: [], salvagedBytes: 11 }, 'custom onCorrupt result should be used');
+        await customDb.close();
+
+        fs.writeFileSync(corruptFile, '{"users": [');
+        const noBackupDb = new GentleDB(corruptFile, { onCorrupt: 'recover-from-backup' });
+        await assert.rejects(noBackupDb.read(), GentleDB.CorruptFileError, 'recover-from-backup without a source should reject');
+        await noBackupDb.close();
+        assert.strictEqual(preservedCopies().length, 3, 'each overwrite should preserve one copy');
+        for (const f of preservedCopies()) fs.unlinkSync(path.join(os.tmpdir(), f));
+        try { fs.unlinkSync(corruptFile); } catch (e) { /* ignore */ }
+
+        // rotating backups, manual snapshots and point-in-time restore
+        const backupFile = path.join(os.tmpdir(), 'gentledb-test-backups.json');
+        fs.rmSync(`${backupFile}.backups`, { recursive: true, force: true });
+        try { fs.unlinkSync(backupFile); } catch (e) { /* ignore */ }
+        const bdb = new GentleDB(backupFile, { defaultData: { n: 0 }, debounceWriteMs: 5, backups: { keep: 2 } });
+        for (let i = 1; i <= 3; i++) await bdb.write({ n: i });
+        let backups = await bdb.listBackups();
+        assert.deepStrictEqual(backups.map(b => b.auto), [true, true], 'automatic backups should rotate to `keep`');
+        const manual = await bdb.backup('before-import');
+        assert.strictEqual(manual.label, 'before-import', 'manual backup label mismatch');
+        await bdb.write({ n: 4 });
+        backups = await bdb.listBackups();
+        assert.strictEqual(backups.filter(b => !b.auto).length, 1, 'manual backups must not be rotated out');
+
+        let restoreOp = null;
+        bdb.on('replace', (evt) => { restoreOp = evt.op; });
+        await bdb.restore(new Date(manual.timestamp));
+        assert.strictEqual(restoreOp, 'restore', 'restore should emit replace with op restore');
+        assert.deepStrictEqual(await bdb.read(), { n: 3 }, 'restore by point in time mismatch');
+        await bdb.restore(backups[0].id);
+        assert.deepStrictEqual(await bdb.read(), { n: 4 }, 'restore by id mismatch');
+        await bdb.close();
+
+        // recover-from-backup uses the newest backup that still parses
+        fs.writeFileSync(backupFile, '{"n": ');
+        const rdb = new GentleDB(backupFile, { onCorrupt: 'recover-from-backup' });
+        assert.ok(typeof (await rdb.read()).n === 'number', 'recover-from-backup should restore a backup');
+        await rdb.close();
+        for (const f of fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('gentledb-test-backups.json.corrupt-'))) fs.unlinkSync(path.join(os.tmpdir(), f));
+        fs.rmSync(`${backupFile}.backups`, { recursive: true, force: true });
+        try { fs.unlinkSync(backupFile); } catch (e) { /* ignore */ }
+
+        // journaled mode: appends ops, replays over the checkpoint, other instances see appends, compacts on close
+        const journalFile = path.join(os.tmpdir(), 'gentledb-test-journal.json');
+        for (const f of [journalFile, `${journalFile}.journal`]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+        const jdb = new GentleDB(journalFile, { defaultData: { users: [] }, debounceWriteMs: 5, journal: { compactEveryOps: 100 } });
+        await jdb.push('users', { id: 1 });
+        const checkpoint = fs.readFileSync(journalFile, 'utf8');
+        await jdb.push('users', { id: 2 });
+        await jdb.set('cfg.theme', 'dark');
+        assert.strictEqual(fs.readFileSync(journalFile, 'utf8'), checkpoint, 'journaled writes must not rewrite the data file');
+        assert.strictEqual(fs.readFileSync(`${journalFile}.journal`, 'utf8').trim().split('\n').length, 2, 'each write should append one journal record');
+
+        const jdb2 = new GentleDB(journalFile, { journal: true });
+        assert.deepStrictEqual(await jdb2.read(), { users: [{ id: 1 }, { id: 2 }], cfg: { theme: 'dark' } }, 'journal replay mismatch');
+        let journalChange = null;
+        jdb2.on('change', (evt) => { if (evt.source === 'external') journalChange = evt; });
+        await jdb.unset('cfg');
+        for (let i = 0; i < 40 && !journalChange; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.ok(journalChange && 'cfg' in journalChange.changes, 'journal appends should be detected as external changes');
+
+        await jdb.close();
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(journalFile, 'utf8')), { users: [{ id: 1 }, { id: 2 }] }, 'close should compact the journal');
+        assert.strictEqual(fs.readFileSync(`${journalFile}.journal`, 'utf8'), '', 'compaction should empty the journal');
+        await jdb2.close();
+
+        // a torn final record is cut off before the next append
+        const jdb3 = new GentleDB(journalFile, { debounceWriteMs: 5, journal: { compactOnClose: false } });
+        await jdb3.set('a', 1);
+        await jdb3.close();
+        fs.appendFileSync(`${journalFile}.journal`, '{"t":1,"ops":[{"o":"s","p":["to');
+        const jdb4 = new GentleDB(journalFile, { debounceWriteMs: 5, journal: { compactOnClose: false } });
+        await jdb4.set('b', 2);
+        await jdb4.close();
+        const jdb5 = new GentleDB(journalFile, { journal: true });
+        assert.deepStrictEqual(await jdb5.read(), { users: [{ id: 1 }, { id: 2 }], a: 1, b: 2 }, 'a torn journal tail should not corrupt later appends');
+        await jdb5.close();
+        for (const f of [journalFile, `${journalFile}.journal`]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+
+        // schema validation: invalid writes reject with every failing path, invalid external changes are kept out
+        const schemaFile = path.join(os.tmpdir(), 'gentledb-test-schema.json');
+        try { fs.unlinkSync(schemaFile); } catch (e) { /* ignore */ }
+        const schema = {
+            type: 'object',
+            required: ['users'],
+            properties: {
+                users: { type: 'array', items: { type: 'object', required: ['id', 'email'], properties: { id: { type: 'integer' }, email: { type: 'string', pattern: '@' } } } }
+            }
+        };
+        const sdb = new GentleDB(schemaFile, { defaultData: { users: [] }, debounceWriteMs: 5, schema });
+        await sdb.push('users', { id: 1, email: 'a@x' });
+        await assert.rejects(sdb.push('users', { id: 'two', email: 'nope' }), (err) => {
+            assert.ok(err instanceof GentleDB.ValidationError, 'expected ValidationError');
+            assert.deepStrictEqual(err.errors.map(e => e.path).sort(), ['users[1].email', 'users[1].id'], 'validation error paths mismatch');
+            return true;
+        });
+        assert.deepStrictEqual(await sdb.read(), { users: [{ id: 1, email: 'a@x' }] }, 'rejected write must leave data unchanged');
+        // calls coalesced into one batch are validated one by one
+        const batchOutcome = await Promise.allSettled([sdb.set('tags', ['x']), sdb.set('users', 'bad')]);
+        assert.deepStrictEqual(batchOutcome.map(o => o.status), ['fulfilled', 'rejected'], 'only the invalid call in a batch should reject');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(schemaFile, 'utf8')), { users: [{ id: 1, email: 'a@x' }], tags: ['x'] });
+        await sdb.unset('tags');
+
+        let invalidEvt = null;
+        sdb.on('invalid', (evt) => { invalidEvt = evt; });
+        fs.writeFileSync(schemaFile, JSON.stringify({ users: 'broken' }));
+        for (let i = 0; i < 40 && !invalidEvt; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.ok(invalidEvt && invalidEvt.rejected && invalidEvt.errors[0].path === 'users', 'invalid external change should emit invalid');
+        assert.deepStrictEqual(await sdb.getAll(), { users: [{ id: 1, email: 'a@x' }] }, 'rejected external change must keep the last valid data');
+        await sdb.close();
+        try { fs.unlinkSync(schemaFile); } catch (e) { /* ignore */ }
+
+        // migrations: pending steps run on open after a backup, new files start at the latest version
+        const migrateFile = path.join(os.tmpdir(), 'gentledb-test-migrate.json');
+        fs.rmSync(`${migrateFile}.backups`, { recursive: true, force: true });
+        fs.writeFileSync(migrateFile, JSON.stringify({ users: [{ name: 'Ann Lee' }] }));
+        const migrations = [
+            { version: 1, up(data) { data.users = data.users.map(u => ({ ...u, id: u.name.toLowerCase().replace(' ', '-') })); } },
+            { version: 2, up(data) { return { people: data.users, __schemaVersion: data.__schemaVersion }; } }
+        ];
+        const mdb = new GentleDB(migrateFile, { debounceWriteMs: 5, migrations });
+        const migrateSteps = [];
+        mdb.on('migrate', (evt) => migrateSteps.push([evt.fromVersion, evt.toVersion]));
+        assert.deepStrictEqual(await mdb.read(), { people: [{ name: 'Ann Lee', id: 'ann-lee' }], __schemaVersion: 2 }, 'migrated data mismatch');
+        assert.deepStrictEqual(migrateSteps, [[0, 1], [1, 2]], 'migrate should be emitted per step');
+        assert.deepStrictEqual((await mdb.listBackups()).map(b => b.label), ['pre-migrate-v0'], 'a pre-migration backup should be taken');
+        await mdb.replace({ people: [] });
+        assert.strictEqual((await mdb.read()).__schemaVersion, 2, 'replace should keep the schema version');
+        await assert.rejects(mdb.migrateTo(1), /cannot migrate down/);
+        await mdb.close();
+
+        const freshFile = path.join(os.tmpdir(), 'gentledb-test-migrate-fresh.json');
+        try { fs.unlinkSync(freshFile); } catch (e) { /* ignore */ }
+        const fdb = new GentleDB(freshFile, { defaultData: { people: [] }, migrations });
+        assert.deepStrictEqual(await fdb.getAll(), { people: [], __schemaVersion: 2 }, 'new databases should start at the latest version');
+        await fdb.close();
+        // an existing unversioned file is version 0 even when it equals defaultData; strict schemas ignore the version key
+        fs.writeFileSync(freshFile, JSON.stringify({ users: [] }));
+        const strictSchema = { type: 'object', additionalProperties: false, properties: { people: { type: 'array' } } };
+        const fdb2 = new GentleDB(freshFile, { defaultData: { users: [] }, debounceWriteMs: 5, migrations, schema: strictSchema });
+        assert.deepStrictEqual(await fdb2.read(), { people: [], __schemaVersion: 2 }, 'a legacy file equal to defaultData should still be migrated');
+        await fdb2.set('people', [{ name: 'Bo' }]);
+        assert.strictEqual(JSON.parse(fs.readFileSync(freshFile, 'utf8')).people.length, 1, 'additionalProperties: false should not reject __schemaVersion');
+        await fdb2.close();
+        fs.rmSync(`${migrateFile}.backups`, { recursive: true, force: true });
+        for (const f of [migrateFile, freshFile]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+
+        // secondary indexes: lookups, unique constraint, rebuild on external changes
+        const indexFile = path.join(os.tmpdir(), 'gentledb-test-index.json');
+        try { fs.unlinkSync(indexFile); } catch (e) { /* ignore */ }
+        const idb = new GentleDB(indexFile, { defaultData: { users: [] }, debounceWriteMs: 5 });
+        const iusers = idb.collection('users');
+        await iusers.insertMany([{ id: 1, email: 'a@x', age: 25 }, { id: 2, email: 'b@x', age: 35 }]);
+        await idb.createIndex('users', 'email', { unique: true });
+        await idb.createIndex('users', 'age', { type: 'sorted' });
+        assert.deepStrictEqual(idb.listIndexes().map(i => [i.field, i.type, i.size]), [['email', 'hash', 2], ['age', 'sorted', 2]], 'listIndexes mismatch');
+
+        const dupInsert = iusers.insert({ id: 3, email: 'a@x', age: 40 });
+        const okInsert = iusers.insert({ id: 4, email: 'd@x', age: 45 });
+        await assert.rejects(dupInsert, (err) => err instanceof GentleDB.ValidationError && err.errors[0].keyword === 'unique');
+        await okInsert;
+        await assert.rejects(iusers.updateOne(4, { email: 'b@x' }), GentleDB.ValidationError);
+        assert.strictEqual((await iusers.findOne({ email: 'd@x' })).id, 4, 'indexed equality lookup mismatch');
+        assert.deepStrictEqual((await idb.query('users', { age: { $gte: 30, $lt: 45 } })).map(r => r.path), ['users[1]'], 'indexed range lookup mismatch');
+        await iusers.removeOne(1);
+        assert.deepStrictEqual((await iusers.find({ age: { $gt: 0 } })).map(u => u.id), [2, 4], 'index should follow removals');
+
+        let indexExternal = false;
+        idb.on('change', (evt) => { if (evt.source === 'external') indexExternal = true; });
+        fs.writeFileSync(indexFile, JSON.stringify({ users: [{ id: 9, email: 'z@x', age: 50 }] }));
+        for (let i = 0; i < 40 && !indexExternal; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.strictEqual((await iusers.findById(9)).email, 'z@x', 'external change should be visible');
+        assert.strictEqual((await iusers.findOne({ email: 'z@x' })).id, 9, 'indexes should be rebuilt on external changes');
+        assert.strictEqual(await iusers.findOne({ email: 'd@x' }), null, 'stale index entries should be gone');
+        // indexed lookups read the file first, like scans, instead of waiting for the watcher
+        const idbSlow = new GentleDB(indexFile, { debounceWriteMs: 5, watchDebounceMs: 1000 });
+        await idbSlow.createIndex('users', 'email', { unique: true });
+        fs.writeFileSync(indexFile, JSON.stringify({ users: [{ id: 9, email: 'z@x', age: 50 }, { id: 10, email: 'y@x', age: 20 }] }));
+        assert.deepStrictEqual((await idbSlow.query('users', { email: 'y@x' })).map(r => r.doc.id), [10], 'indexed query() should see the latest file');
+        fs.writeFileSync(indexFile, JSON.stringify({ users: [{ id: 11, email: 'w@x', age: 30 }] }));
+        assert.strictEqual((await idbSlow.collection('users').findOne({ email: 'w@x' })).id, 11, 'indexed find() should see the latest file');
+        await idbSlow.close();
+        await idb.close();
+        try { fs.unlinkSync(indexFile); } catch (e) { /* ignore */ }
+
+        // revisions: every persist bumps __revision, ifRevision writes reject with ConflictError when it moved
+        const revFile = path.join(os.tmpdir(), 'gentledb-test-revisions.json');
+        try { fs.unlinkSync(revFile); } catch (e) { /* ignore */ }
+        const ra = new GentleDB(revFile, { defaultData: { n: 0 }, debounceWriteMs: 5, revisions: true });
+        const rb = new GentleDB(revFile, { defaultData: { n: 0 }, debounceWriteMs: 5, revisions: true });
+        await ra.write({ n: 1 });
+        const seen = await rb.read();
+        assert.strictEqual(seen.__revision, 1, 'read() should expose the revision');
+        await ra.write({ n: 2 });
+        await assert.rejects(rb.replace({ n: seen.n + 10 }, { ifRevision: seen.__revision }), (err) => (
+            err instanceof GentleDB.ConflictError && err.expectedRevision === 1 && err.actualRevision === 2
+        ));
+        const fresh = await rb.read();
+        await rb.replace({ n: fresh.n + 1 }, { ifRevision: fresh.__revision });
+        assert.deepStrictEqual(await ra.read(), { n: 3, __revision: 3 }, 'compare-and-swap retry mismatch');
+        const [casFirst, casSecond] = await Promise.allSettled([ra.write({ n: 4 }, { ifRevision: 3 }), ra.write({ n: 5 }, { ifRevision: 3 })]);
+        assert.ok(casFirst.status === 'fulfilled' && casSecond.reason instanceof GentleDB.ConflictError, 'only the first of two coalesced CAS writes may win');
+        await assert.rejects(db.write({ n: 1 }, { ifRevision: 0 }), TypeError);
+        const rs = new GentleDB(revFile, { debounceWriteMs: 5, revisions: true, schema: { type: 'object', additionalProperties: false, properties: { n: { type: 'number' } } } });
+        await rs.set('n', 6);
+        assert.strictEqual((await ra.read()).__revision, 5, 'additionalProperties: false should not reject __revision');
+        await rs.close();
+        await ra.close();
+        await rb.close();
+        try { fs.unlinkSync(revFile); } catch (e) { /* ignore */ }
+
+        // three-way merge: external edits made while a write is pending survive, overlapping ones are resolved
+        const mergeFile = path.join(os.tmpdir(), 'gentledb-test-merge.json');
+        fs.writeFileSync(mergeFile, JSON.stringify({ a: 1, b: 1, c: { x: 1, y: 1 } }));
+        const mgdb = new GentleDB(mergeFile, { debounceWriteMs: 150 });
+        await mgdb.read();
+        let conflictEvt = null;
+        mgdb.on('conflict', (evt) => { conflictEvt = evt; });
+        const pendingMerge = mgdb.write({ a: 2, c: { x: 2 } });
+        fs.writeFileSync(mergeFile, JSON.stringify({ a: 1, b: 5, c: { x: 3, y: 3 } }));
+        await pendingMerge;
+        assert.deepStrictEqual(await mgdb.read(), { a: 2, b: 5, c: { x: 2, y: 3 } }, 'three-way merge mismatch');
+        assert.ok(conflictEvt && conflictEvt.resolution === 'local', 'conflict event should report the resolution');
+        assert.deepStrictEqual(conflictEvt.paths, ['c.x'], 'conflict event should list the conflicting paths');
+        await mgdb.close();
+
+        const fndb = new GentleDB(mergeFile, { debounceWriteMs: 150, onConflict: ({ local, remote }) => local + remote });
+        await fndb.read();
+        const pendingSum = fndb.set('c.x', 10);
+        fs.writeFileSync(mergeFile, JSON.stringify({ a: 2, b: 5, c: { x: 20, y: 3 } }));
+        await pendingSum;
+        assert.strictEqual(await fndb.get('c.x'), 30, 'onConflict resolver result should be persisted');
+        await fndb.close();
+        try { fs.unlinkSync(mergeFile); } catch (e) { /* ignore */ }
+
+        // restore sets the whole state: keys another process added meanwhile are not merged back in
+        fs.writeFileSync(mergeFile, JSON.stringify({ a: 1 }));
+        fs.rmSync(`${mergeFile}.backups`, { recursive: true, force: true });
+        const rsdb = new GentleDB(mergeFile, { debounceWriteMs: 150 });
+        await rsdb.read();
+        const mergeBackup = await rsdb.backup();
+        const pendingRestore = rsdb.restore(mergeBackup.id);
+        fs.writeFileSync(mergeFile, JSON.stringify({ a: 1, added: true }));
+        await pendingRestore;
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(mergeFile, 'utf8')), { a: 1 }, 'restore must not merge external changes');
+        await rsdb.close();
+        fs.rmSync(`${mergeFile}.backups`, { recursive: true, force: true });
+
+        // flushes read the file again only when its stamp changed since this instance last read or wrote it
+        const stampAdapter = new GentleDB.GentleFileAdapter(mergeFile);
+        const stampRead = stampAdapter.read.bind(stampAdapter);
+        let stampReads = 0;
+        stampAdapter.read = () => { stampReads++; return stampRead(); };
+        const stdb = new GentleDB(stampAdapter, { debounceWriteMs: 5 });
+        await stdb.set('a', 2);
+        const readsBefore = stampReads;
+        for (let i = 3; i <= 5; i++) await stdb.set('a', i);
+        assert.strictEqual(stampReads, readsBefore, 'an unchanged file should not be read again on flush');
+        await stdb.read();
+        assert.strictEqual(stampReads, readsBefore, 'reads should skip an unchanged file that no writer holds');
+        fs.writeFileSync(mergeFile, JSON.stringify({ a: 5, b: 1 }));
+        await stdb.set('a', 6);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(mergeFile, 'utf8')), { a: 6, b: 1 }, 'a changed file should be read and merged');
+        await stdb.close();
+
+        // read-modify-write operations apply to what the other process wrote instead of merging over it
+        fs.writeFileSync(mergeFile, JSON.stringify({ list: [1] }));
+        const rmdb = new GentleDB(mergeFile, { debounceWriteMs: 150, watchDebounceMs: 1000 });
+        await rmdb.read();
+        const pendingPush = rmdb.push('list', 3);
+        fs.writeFileSync(mergeFile, JSON.stringify({ list: [1, 2] }));
+        await pendingPush;
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(mergeFile, 'utf8')), { list: [1, 2, 3] }, 'push should append to the current file data');
+        await rmdb.close();
+        try { fs.unlinkSync(mergeFile); } catch (e) { /* ignore */ }
+
+        // deep diff: change events carry a JSON Patch and changed paths; applyPatch is all-or-nothing
+        const patchFile = path.join(os.tmpdir(), 'gentledb-test-patch.json');
+        try { fs.unlinkSync(patchFile); } catch (e) { /* ignore */ }
+        const pdb = new GentleDB(patchFile, { defaultData: { users: [{ name: 'a' }, { name: 'b' }], cfg: { x: 1 } }, debounceWriteMs: 5 });
+        let patchEvt = null;
+        pdb.on('change', (evt) => { patchEvt = evt; });
+        await pdb.set('users[1].name', 'B');
+        assert.deepStrictEqual(patchEvt.patch, [{ op: 'replace', path: '/users/1/name', value: 'B' }], 'change event patch mismatch');
+        assert.deepStrictEqual(patchEvt.changedPaths, ['users[1].name'], 'changed paths mismatch');
+
+        await pdb.applyPatch([
+            { op: 'test', path: '/cfg/x', value: 1 },
+            { op: 'add', path: '/users/-', value: { name: 'c' } },
+            { op: 'move', from: '/cfg/x', path: '/cfg/y' }
+        ]);
+        assert.deepStrictEqual(await pdb.read(), { users: [{ name: 'a' }, { name: 'B' }, { name: 'c' }], cfg: { y: 1 } }, 'applyPatch result mismatch');
+        assert.strictEqual(patchEvt.op, 'patch', 'applyPatch should write with op patch');
+        await assert.rejects(pdb.applyPatch([{ op: 'remove', path: '/cfg' }, { op: 'test', path: '/users/0/name', value: 'zzz' }]), /test failed/);
+        assert.deepStrictEqual((await pdb.read()).cfg, { y: 1 }, 'a failed patch must not change anything');
+        await pdb.close();
+        try { fs.unlinkSync(patchFile); } catch (e) { /* ignore */ }
+
+        // watch(path): fires only for changes under the path (globs per concrete path), internal and external
+        const watchFile = path.join(os.tmpdir(), 'gentledb-test-watch.json');
+        try { fs.unlinkSync(watchFile); } catch (e) { /* ignore */ }
+        const wdb = new GentleDB(watchFile, { defaultData: { settings: { theme: 'light', lang: 'en' }, users: [{ email: 'a' }, { email: 'b' }] }, debounceWriteMs: 5 });
+        const themeEvents = [];
+        const emailEvents = [];
+        const disposeTheme = wdb.watch('settings.theme', (evt) => { themeEvents.push(evt); });
+        wdb.watch('users[*].email', (evt) => { emailEvents.push(`${evt.path}:${evt.oldValue}>${evt.newValue}`); });
+        await wdb.set('settings.lang', 'de');
+        assert.strictEqual(themeEvents.length, 0, 'unrelated changes must not fire watchers');
+        await wdb.set('settings.theme', 'dark');
+        assert.deepStrictEqual([themeEvents[0].oldValue, themeEvents[0].newValue, themeEvents[0].source], ['light', 'dark', 'internal'], 'watch event mismatch');
+        await wdb.push('users', { email: 'c' });
+        assert.deepStrictEqual(emailEvents, ['users[2].email:undefined>c'], 'glob watch mismatch');
+
+        const onDisk = JSON.parse(fs.readFileSync(watchFile, 'utf8'));
+        onDisk.users[0].email = 'z';
+        fs.writeFileSync(watchFile, JSON.stringify(onDisk));
+        for (let i = 0; i < 40 && emailEvents.length < 2; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.strictEqual(emailEvents[1], 'users[0].email:a>z', 'external edits should fire watchers');
+
+        disposeTheme();
+        await wdb.set('settings.theme', 'blue');
+        assert.strictEqual(themeEvents.length, 1, 'disposed watchers must not fire');
+        await wdb.close();
+        try { fs.unlinkSync(watchFile); } catch (e) { /* ignore */ }
+
+        // undo/redo history: bounded, inverse patches, redo cleared by new writes, rebased on external edits
+        const historyFile = path.join(os.tmpdir(), 'gentledb-test-history.json');
+        try { fs.unlinkSync(historyFile); } catch (e) { /* ignore */ }
+        const hdb = new GentleDB(historyFile, { defaultData: { a: 1, b: 1 }, debounceWriteMs: 5, history: { limit: 2 } });
+        await hdb.write({ a: 2 });
+        await hdb.set('b', 2);
+        await hdb.replace({ a: 3, b: 2 });
+        assert.deepStrictEqual(hdb.history().undo.map(e => e.op), ['replace', 'set'], 'history should keep the newest `limit` entries');
+
+        const undoOps = [];
+        hdb.on('replace', (evt) => { undoOps.push(evt.op); });
+        assert.strictEqual(await hdb.undo(), true, 'undo should report success');
+        assert.deepStrictEqual(await hdb.read(), { a: 2, b: 2 }, 'undo mismatch');
+        await hdb.undo();
+        assert.deepStrictEqual(await hdb.read(), { a: 2, b: 1 }, 'second undo mismatch');
+        assert.strictEqual(await hdb.undo(), false, 'entries beyond the limit are gone');
+        await hdb.redo();
+        assert.deepStrictEqual(await hdb.read(), { a: 2, b: 2 }, 'redo mismatch');
+        assert.deepStrictEqual(undoOps, ['undo', 'undo', 'redo'], 'undo/redo should emit replace with their op');
+        await hdb.set('c', 1);
+        assert.strictEqual(hdb.canRedo(), false, 'a new write should clear redo');
+
+        let historyExternal = false;
+        hdb.on('change', (evt) => { if (evt.source === 'external') historyExternal = true; });
+        fs.writeFileSync(historyFile, JSON.stringify({ a: 2, b: 9, c: 1 }));
+        for (let i = 0; i < 40 && !historyExternal; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.deepStrictEqual(hdb.history().undo.map(e => e.op), ['set'], 'external edits should drop conflicting undo entries');
+        await hdb.undo();
+        assert.deepStrictEqual(await hdb.read(), { a: 2, b: 9 }, 'undo after an external edit should keep the edit');
+        await hdb.close();
+        try { fs.unlinkSync(historyFile); } catch (e) { /* ignore */ }
+
+        // audit log: one NDJSON record per committed write, actor/context per call, rotation, readAudit filters
+        const auditFile = path.join(os.tmpdir(), 'gentledb-test-audit.json');
+        const auditLog = `${auditFile}.audit.ndjson`;
+        for (const f of [auditFile, auditLog, `${auditLog}.1`, `${auditLog}.2`]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+        const adb = new GentleDB(auditFile, { debounceWriteMs: 5, audit: { maxBytes: 1024, keep: 1 } });
+        const t0 = Date.now();
+        await Promise.all([
+            adb.write({ users: { alice: { role: 'admin' } } }, { actor: 'alice', context: { ip: '10.0.0.1' } }),
+            adb.set('users.bob', { role: 'user' }, { actor: 'bob' })
+        ]);
+        await adb.unset('users.bob.role', { actor: 'alice' });
+        let auditRecords = await adb.readAudit();
+        assert.deepStrictEqual(auditRecords.map(r => [r.op, r.actor]), [['write', 'alice'], ['set', 'bob'], ['unset', 'alice']], 'writes by different actors should be audited separately');
+        assert.deepStrictEqual(auditRecords[0].context, { ip: '10.0.0.1' }, 'audit context mismatch');
+        assert.deepStrictEqual(auditRecords[1].paths, ['users.bob'], 'audit paths mismatch');
+        assert.ok(auditRecords.every(r => r.source === 'internal' && r.timestamp >= t0), 'audit source/timestamp mismatch');
+        assert.deepStrictEqual((await adb.readAudit({ actor: 'bob' })).map(r => r.op), ['set'], 'readAudit actor filter');
+        assert.deepStrictEqual((await adb.readAudit({ path: 'users.bob.role' })).map(r => r.op), ['write', 'set', 'unset'], 'readAudit path filter (records replacing a parent match too)');
+        assert.deepStrictEqual((await adb.readAudit({ path: 'users' })).length, 3, 'parent paths should match');
+        assert.deepStrictEqual(await adb.readAudit({ since: Date.now() + 1000 }), [], 'readAudit since filter');
+
+        let auditExternal = false;
+        adb.on('change', (evt) => { if (evt.source === 'external') auditExternal = true; });
+        fs.writeFileSync(auditFile, JSON.stringify({ users: { alice: { role: 'owner' }, bob: {} } }));
+        for (let i = 0; i < 40 && !auditExternal; i++) await new Promise((r) => setTimeout(r, 50));
+        auditRecords = await adb.readAudit({ path: 'users.alice.role' });
+        assert.deepStrictEqual(auditRecords.map(r => [r.op, r.source]), [['write', 'internal'], ['external', 'external']], 'external changes should be audited');
+
+        for (let i = 0; i < 20; i++) await adb.set('counter', i, { actor: 'loop' });
+        assert.ok(fs.existsSync(`${auditLog}.1`) && !fs.existsSync(`${auditLog}.2`), 'audit log should rotate and keep one old file');
+        assert.ok(fs.statSync(auditLog).size <= 1024, 'current audit log should stay under maxBytes');
+        const rotatedRecords = await adb.readAudit({ actor: 'loop' });
+        assert.strictEqual(rotatedRecords[rotatedRecords.length - 1].paths[0], 'counter', 'readAudit should include the current log');
+        assert.ok(rotatedRecords.every((r, i) => i === 0 || r.timestamp >= rotatedRecords[i - 1].timestamp), 'readAudit should return records oldest first');
+
+        // push and collection mutators: actor via db.as(), or the collection call's own options
+        const asCarol = adb.as('carol', { via: 'as' });
+        await asCarol.push('log', 'entry');
+        await asCarol.collection('notes').insert({ text: 'hi' });
+        await adb.collection('notes').removeMany({}, { actor: 'dave' });
+        assert.deepStrictEqual((await adb.readAudit({ since: Date.now() - 5000 })).slice(-3).map(r => [r.op, r.actor, r.context]), [
+            ['push', 'carol', { via: 'as' }], ['insert', 'carol', { via: 'as' }], ['removeMany', 'dave', undefined]
+        ], 'push and collection writes should carry the actor');
+        assert.throws(() => adb.as(undefined), TypeError);
+        await adb.close();
+        for (const f of [auditFile, auditLog, `${auditLog}.1`]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+
+        // restore, undo and redo take the same audit options
+        const auditHistFile = path.join(os.tmpdir(), 'gentledb-test-audit-history.json');
+        const auditHistLog = `${auditHistFile}.audit.ndjson`;
+        for (const f of [auditHistFile, auditHistLog]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+        fs.rmSync(`${auditHistFile}.backups`, { recursive: true, force: true });
+        const ahdb = new GentleDB(auditHistFile, { defaultData: { n: 0 }, debounceWriteMs: 5, audit: true, history: true, backups: { every: 0 } });
+        const ahBackup = await ahdb.backup();
+        await ahdb.set('n', 1);
+        await ahdb.undo({ actor: 'erin' });
+        await ahdb.as('frank', { via: 'as' }).redo();
+        await ahdb.restore(ahBackup.id, { actor: 'grace', context: { reason: 'rollback' } });
+        assert.deepStrictEqual((await ahdb.readAudit()).slice(-3).map(r => [r.op, r.actor, r.context]), [
+            ['undo', 'erin', undefined], ['redo', 'frank', { via: 'as' }], ['restore', 'grace', { reason: 'rollback' }]
+        ], 'restore, undo and redo should carry the actor');
+        await ahdb.close();
+        for (const f of [auditHistFile, auditHistLog]) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+        fs.rmSync(`${auditHistFile}.backups`, { recursive: true, force: true });
+
+        // TTL: per-path ttlMs and the expiresAt convention, hidden on read before the sweep, one batched sweep write
+        const ttlFile = path.join(os.tmpdir(), 'gentledb-test-ttl.json');
+        try { fs.unlinkSync(ttlFile); } catch (e) { /* ignore */ }
+        const tdb = new GentleDB(ttlFile, { debounceWriteMs: 5, ttl: { sweepIntervalMs: 0, collections: ['sessions'] } });
+        await assert.rejects(db.set('x', 1, { ttlMs: 10 }), /needs opts.ttl/, 'ttlMs without opts.ttl should reject');
+        await Promise.all([
+            tdb.set('cache.a', 1, { ttlMs: 250 }),
+            tdb.set('cache.b', 2, { ttlMs: 60000 }),
+            tdb.set('cache.c', 3, { ttlMs: 250 }),
+            tdb.collection('sessions').insertMany([
+                { id: 's1', expiresAt: Date.now() - 1 },
+                { id: 's2', expiresAt: new Date(Date.now() + 60000).toISOString() },
+                { id: 's3' }
+            ])
+        ]);
+        await tdb.set('cache.c', 4);
+        assert.deepStrictEqual(Object.keys((await tdb.read()).__expires), ['cache.a', 'cache.b'], 'setting a path again should clear its ttl');
+        await new Promise((r) => setTimeout(r, 260));
+        const ttlRead = await tdb.read();
+        assert.deepStrictEqual(ttlRead.cache, { b: 2, c: 4 }, 'expired paths should be hidden before the sweep');
+        assert.deepStrictEqual(ttlRead.sessions.map(d => d.id), ['s2', 's3'], 'expired documents should be hidden before the sweep');
+        assert.deepStrictEqual((await tdb.collection('sessions').find()).map(d => d.id), ['s2', 's3'], 'collection reads should hide expired documents');
+        assert.strictEqual(await tdb.get('cache.a'), undefined, 'get should not return expired values');
+        assert.strictEqual(JSON.parse(fs.readFileSync(ttlFile, 'utf8')).cache.a, 1, 'expired values stay on disk until swept');
+
+        const expireEvents = [];
+        const expireChangeOps = [];
+        tdb.on('expire', (evt) => { expireEvents.push(evt); });
+        tdb.on('change', (evt) => { expireChangeOps.push(evt.op); });
+        const swept = await tdb.sweepExpired();
+        assert.deepStrictEqual(swept.map(e => [e.path, e.value && (e.value.id || e.value)]).sort(), [['cache.a', 1], ['sessions[0]', 's1']], 'sweep should report removed entries');
+        assert.strictEqual(expireEvents.length, 1, 'expire event should fire once per sweep');
+        assert.deepStrictEqual(expireChangeOps, ['expire'], 'sweep should persist as one write');
+        const ttlDisk = JSON.parse(fs.readFileSync(ttlFile, 'utf8'));
+        assert.deepStrictEqual([ttlDisk.cache, Object.keys(ttlDisk.__expires), ttlDisk.sessions.map(d => d.id)], [{ b: 2, c: 4 }, ['cache.b'], ['s2', 's3']], 'sweep result on disk mismatch');
+        assert.deepStrictEqual(await tdb.sweepExpired(), [], 'nothing left to sweep');
+        assert.deepStrictEqual(expireChangeOps, ['expire'], 'an empty sweep should not write');
+
+        // TTLs follow array elements that shift and are dropped when any write replaces their value
+        await tdb.write({ items: ['a', 'b', 'c'] });
+        await tdb.set('items[1]', 'b', { ttlMs: 60000 });
+        await tdb.set('items[2]', 'c', { ttlMs: 60000 });
+        await tdb.unset('items[0]');
+        assert.deepStrictEqual(Object.keys((await tdb.read()).__expires).sort(), ['cache.b', 'items[0]', 'items[1]'], 'removing an element should re-key the TTLs after it');
+        await tdb.applyPatch([{ op: 'add', path: '/items/0', value: 'z' }]);
+        assert.deepStrictEqual(Object.keys((await tdb.read()).__expires).sort(), ['cache.b', 'items[1]', 'items[2]'], 'inserting an element should re-key the TTLs after it');
+        await tdb.update('items[2]', () => 'C');
+        await tdb.write({ cache: { b: 3, c: 4 } });
+        assert.deepStrictEqual(Object.keys((await tdb.read()).__expires), ['items[1]'], 'rewritten values should lose their TTL');
+        await tdb.unset('items');
+        await tdb.close();
+
+        // background sweeper
+        const sweepDb = new GentleDB(ttlFile, { debounceWriteMs: 5, ttl: { sweepIntervalMs: 20 } });
+        const sweptByTimer = new Promise((r) => sweepDb.on('expire', (evt) => r(evt.expired.map(e => e.path))));
+        await sweepDb.set('cache.b', 5, { ttlMs: 10 });
+        assert.deepStrictEqual(await sweptByTimer, ['cache.b'], 'background sweeper should remove expired entries');
+        assert.strictEqual(JSON.parse(fs.readFileSync(ttlFile, 'utf8')).__expires, undefined, 'empty __expires should be dropped');
+        await sweepDb.close();
+        try { fs.unlinkSync(ttlFile); } catch (e) { /* ignore */ }
+
+        // storage formats: compact/sorted JSON, JSON5 keeping comments, NDJSON lines, YAML with external edits
+        const fmtBase = path.join(os.tmpdir(), 'gentledb-test-format');
+        const fmtFiles = ['.json', '.json5', '.ndjson', '.yaml'].map(ext => `${fmtBase}${ext}`);
+        for (const f of fmtFiles) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+
+        const cdb = new GentleDB(fmtFiles[0], { debounceWriteMs: 5, format: { indent: 0, sortKeys: true } });
+        await cdb.write({ b: { y: 1, x: 2 }, a: [3, 1] });
+        assert.strictEqual(fs.readFileSync(fmtFiles[0], 'utf8'), '{"a":[3,1],"b":{"x":2,"y":1}}', 'compact JSON with sorted keys mismatch');
+        await cdb.close();
+
+        fs.writeFileSync(fmtFiles[1], "// settings\n{\n  theme: 'dark', // user choice\n  sizes: [1, 2,],\n}\n");
+        const j5db = new GentleDB(fmtFiles[1], { debounceWriteMs: 5 });
+        assert.deepStrictEqual(await j5db.read(), { theme: 'dark', sizes: [1, 2] }, 'JSON5 read mismatch');
+        await j5db.set('theme', 'light');
+        const j5text = fs.readFileSync(fmtFiles[1], 'utf8');
+        assert.ok(j5text.startsWith('// settings\n') && /theme: "light", \/\/ user choice/.test(j5text), 'JSON5 comments should survive a write');
+        await j5db.close();
+        fs.writeFileSync(fmtFiles[1], '{\n  a: 1, // see */ below\n}\n');
+        const j5compact = new GentleDB(fmtFiles[1], { debounceWriteMs: 5, format: { indent: 0 } });
+        await j5compact.set('a', 2);
+        assert.deepStrictEqual(new GentleDB.GentleJson5Adapter(fmtFiles[1]).parse(fs.readFileSync(fmtFiles[1], 'utf8')), { a: 2 }, 'a compact JSON5 file should stay parseable when a comment contains */');
+        await j5compact.close();
+
+        const ndb = new GentleDB(fmtFiles[2], { debounceWriteMs: 5 });
+        await ndb.collection('users').insertMany([{ id: 'a' }, { id: 'b' }]);
+        await ndb.set('meta.version', 1);
+        assert.deepStrictEqual(fs.readFileSync(fmtFiles[2], 'utf8').trim().split('\n').map(l => JSON.parse(l)),
+            [{ key: 'users', item: { id: 'a' } }, { key: 'users', item: { id: 'b' } }, { key: 'meta', value: { version: 1 } }], 'NDJSON should write one line per document');
+        await assert.rejects(ndb.replace([1, 2]), /object of collections/, 'NDJSON should reject non-object roots');
+        assert.strictEqual(fs.existsSync(`${fmtFiles[2]}.tmp`), false, 'a rejected write should not leave a temp file');
+        await ndb.close();
+
+        const ydb = new GentleDB(fmtFiles[3], { debounceWriteMs: 5, defaultData: { users: [] } });
+        await ydb.push('users', { name: 'Ada', tags: ['math'] });
+        assert.strictEqual(fs.readFileSync(fmtFiles[3], 'utf8'), 'users:\n  - name: Ada\n    tags:\n      - math\n', 'YAML output mismatch');
+        let yamlChange = null;
+        ydb.on('change', (evt) => { if (evt.source === 'external') yamlChange = evt; });
+        fs.writeFileSync(fmtFiles[3], '# edited by hand\nusers:\n- name: Ada\n  tags: [math, logic]\n');
+        for (let i = 0; i < 40 && !yamlChange; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.ok(yamlChange && yamlChange.changedPaths.includes('users[0].tags[1]'), 'external YAML edits should be detected');
+        assert.deepStrictEqual(await ydb.get('users[0].tags'), ['math', 'logic'], 'YAML external edit mismatch');
+        await ydb.close();
+
+        await assert.rejects(new GentleDB(fmtFiles[3], { journal: true }).read(), /journal mode/, 'journal mode should need JSON');
+        for (const f of fmtFiles) { try { fs.unlinkSync(f); } catch (e) { /* ignore */ } }
+
+        // encryption at rest: ciphertext on disk, transparent reads, external changes, wrong keys and rekey()
+        const encFile = path.join(os.tmpdir(), 'gentledb-test-encrypted.json');
+        try { fs.unlinkSync(encFile); } catch (e) { /* ignore */ }
+        const encOpts = { debounceWriteMs: 5, encryption: { passphrase: 'correct horse', scrypt: { N: 1024 } } };
+        const edb = new GentleDB(encFile, encOpts);
+        await edb.write({ notes: ['top secret plan'] });
+        const encBytes = fs.readFileSync(encFile);
+        assert.ok(encBytes.subarray(0, 6).toString() === 'GDBENC' && !encBytes.includes('secret'), 'the data file should be ciphertext');
+        assert.strictEqual((await edb.findMatches('secret')).partial.length, 1, 'findMatches should see decrypted data');
+
+        let encChange = null;
+        edb.on('change', (evt) => { if (evt.source === 'external') encChange = evt; });
+        const edb2 = new GentleDB(encFile, encOpts);
+        await edb2.push('notes', 'second');
+        await edb2.close();
+        for (let i = 0; i < 40 && !encChange; i++) await new Promise((r) => setTimeout(r, 50));
+        assert.ok(encChange && encChange.changedPaths.includes('notes[1]'), 'external writes to an encrypted file should be detected');
+
+        await assert.rejects(new GentleDB(encFile, { encryption: { passphrase: 'wrong', scrypt: { N: 1024 } } }).read(), GentleDB.DecryptionError, 'a wrong passphrase should reject');
+        await assert.rejects(new GentleDB(encFile).read(), /encrypted and opts.encryption is not set/, 'an encrypted file needs a key');
+
+        const newKey = Buffer.alloc(32, 7);
+        assert.strictEqual(await edb.rekey(newKey), true);
+        await edb.close();
+        await assert.rejects(new GentleDB(encFile, encOpts).read(), GentleDB.DecryptionError, 'the old passphrase should stop working after rekey');
+        const edb3 = new GentleDB(encFile, { encryption: { key: newKey.toString('hex') } });
+        assert.deepStrictEqual(await edb3.get('notes'), ['top secret plan', 'second'], 'rekeyed file should open with the new key');
+        await edb3.close();
+        try { fs.unlinkSync(encFile); } catch (e) { /* ignore */ }
+
+        // a rekey that can't rewrite the data file leaves the file and its backups readable with the old key
+        const rkFile = path.join(os.tmpdir(), 'gentledb-test-rekey.json');
+        fs.rmSync(`${rkFile}.backups`, { recursive: true, force: true });
+        try { fs.unlinkSync(rkFile); } catch (e) { /* ignore */ }
+        const rkdb = new GentleDB(rkFile, { ...encOpts, backups: true });
+        await rkdb.write({ n: 1 });
+        fs.mkdirSync(`${rkFile}.tmp`);
+        await assert.rejects(rkdb.rekey(Buffer.alloc(32, 9)));
+        fs.rmdirSync(`${rkFile}.tmp`);
+        assert.deepStrictEqual(fs.readdirSync(`${rkFile}.backups`).filter(n => n.endsWith('.tmp')), [], 'a failed rekey should remove its temp files');
+        const [rkBackup] = await rkdb.listBackups();
+        await rkdb.restore(rkBackup.id);
+        await rkdb.close();
+        const rkdb2 = new GentleDB(rkFile, encOpts);
+        assert.deepStrictEqual(await rkdb2.read(), { n: 1 }, 'a failed rekey should keep the old key');
+        await rkdb2.close();
+        fs.rmSync(`${rkFile}.backups`, { recursive: true, force: true });
+        try { fs.unlinkSync(rkFile); } catch (e) { /* ignore */ }
+
+        // adapter interface: two instances sharing a memory adapter get external changes, merges and locks
+        const mem = new GentleDB.MemoryAdapter({ counter: 0 });
+        const mdb1 = new GentleDB(mem, { debounceWriteMs: 5, watchDebounceMs: 10 });
+        const mdb2 = new GentleDB(mem, { debounceWriteMs: 5, watchDebounceMs: 10, lockTimeoutMs: 50 });
+        assert.deepStrictEqual(await mdb2.read(), { counter: 0 }, 'memory adapter initial data mismatch');
+        let memChange = null;
+        mdb2.on('change', (evt) => { if (evt.source === 'external') memChange = evt; });
+        await mdb1.set('a', 1);
+        for (let i = 0; i < 40 && !memChange; i++) await new Promise((r) => setTimeout(r, 20));
+        assert.ok(memChange && memChange.changedPaths.includes('a'), 'writes through a shared memory adapter should reach other instances');
+        await mdb2.set('b', 2);
+        await mdb1.update('counter', (n) => n + 1);
+        assert.deepStrictEqual(await mem.read(), { counter: 1, a: 1, b: 2 }, 'concurrent memory writes should merge');
+
+        assert.strictEqual(await mdb1.lock(), true, 'adapter lock hooks should make lock() work');
+        await assert.rejects(mdb2.set('c', 3), /Could not acquire DB lock/, 'a held adapter lock should block other instances');
+        await mdb1.unlock();
+        await mdb2.set('c', 3);
+        assert.strictEqual((await mem.read()).c, 3);
+        await mdb1.close();
+        await mdb2.close();
+        await assert.rejects(new GentleDB({ read() {} }).read(), /read\(\) and write\(\)/, 'adapters need read and write');
+
+        // lock files: heartbeat keeps a long-held lock alive, dead owners are taken over, readers share, lockInfo()
+        const lockFile = path.join(os.tmpdir(), 'gentledb-test-locks.json');
+        try { fs.unlinkSync(lockFile); } catch (e) { /* ignore */ }
+        const ldb1 = new GentleDB(lockFile, { debounceWriteMs: 5, lockStaleMs: 1000 });
+        const ldb2 = new GentleDB(lockFile, { debounceWriteMs: 5, lockStaleMs: 1000, lockTimeoutMs: 1200 });
+        await ldb1.set('n', 1);
+        await ldb2.read();
+        const lockEvents = [];
+        ldb2.on('lock:timeout', (evt) => lockEvents.push(['timeout', evt.mode, evt.owner.pid]));
+        ldb2.on('lock:stolen', (evt) => lockEvents.push(['stolen', evt.reason, evt.owner.pid]));
+
+        await ldb1.lock();
+        const info = await ldb2.lockInfo();
+        assert.deepStrictEqual([info.exclusive.pid, info.exclusive.hostname, info.exclusive.alive, info.held, (await ldb1.lockInfo()).held],
+            [process.pid, os.hostname(), true, null, 'exclusive'], 'lockInfo() owner mismatch');
+        // held past lockStaleMs: the heartbeat keeps it from being stolen
+        await assert.rejects(ldb2.set('n', 2), /Could not acquire DB lock/, 'a live lock should time out, not be stolen');
+        let sharedReadDone = false;
+        const sharedRead = ldb2.findMatches('1').then(() => { sharedReadDone = true; });
+        await new Promise((r) => setTimeout(r, 150));
+        assert.strictEqual(sharedReadDone, false, 'readers should wait for the exclusive lock');
+        await ldb1.unlock();
+        await sharedRead;
+
+        const deadPid = require('child_process').spawnSync(process.execPath, ['-e', '']).pid;
+        fs.writeFileSync(`${lockFile}.lock`, JSON.stringify({ id: 'gone', pid: deadPid, hostname: os.hostname(), mode: 'exclusive', since: Date.now(), ts: Date.now() }));
+        await ldb2.set('n', 3);
+        assert.deepStrictEqual(lockEvents, [['timeout', 'exclusive', process.pid], ['stolen', 'dead-process', deadPid]], 'lock event mismatch');
+
+        fs.writeFileSync(`${lockFile}.lock.r-test`, JSON.stringify({ id: 'test', pid: process.pid, hostname: os.hostname(), mode: 'shared', since: Date.now(), ts: Date.now() }));
+        assert.strictEqual((await ldb1.lockInfo()).shared.length, 1, 'lockInfo() should list readers');
+        let writerDone = false;
+        const writer = ldb1.set('n', 4).then(() => { writerDone = true; });
+        await new Promise((r) => setTimeout(r, 150));
+        assert.strictEqual(writerDone, false, 'writers should wait for readers');
+        fs.unlinkSync(`${lockFile}.lock.r-test`);
+        await writer;
+        assert.strictEqual(JSON.parse(fs.readFileSync(lockFile, 'utf8')).n, 4);
+        await ldb1.close();
+        await ldb2.close();
+        assert.deepStrictEqual(fs.readdirSync(os.tmpdir()).filter(n => n.startsWith('gentledb-test-locks.json.')), [], 'no lock files should be left');
+        try { fs.unlinkSync(lockFile); } catch (e) { /* ignore */ }
+
+        // withLock(): re-entrant for this instance, other instances wait for the whole callback, released on throw
+        const wlFile = path.join(os.tmpdir(), 'gentledb-test-withlock.json');
+        try { fs.unlinkSync(wlFile); } catch (e) { /* ignore */ }
+        const wl1 = new GentleDB(wlFile, { debounceWriteMs: 5, defaultData: { n: 1 } });
+        const wl2 = new GentleDB(wlFile, { debounceWriteMs: 5 });
+        await wl1.read();
+        await wl2.read();
+        let outsideWrite = null;
+        const wlResult = await wl1.withLock(async (db) => {
+            await db.update('n', (n) => n + 1);
+            outsideWrite = wl2.update('n', (n) => n * 10);
+            await db.withLock(async () => { await db.set('nested', true); });
+            await new Promise((r) => setTimeout(r, 100));
+            return db.get('n');
+        });
+        assert.strictEqual(wlResult, 2, 'withLock should resolve to the callback result');
+        await outsideWrite;
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(wlFile, 'utf8')), { n: 20, nested: true }, 'other instances should wait for withLock()');
+
+        await wl1.lock();
+        await wl1.lock();
+        await wl1.set('manual', 1);
+        assert.strictEqual(await wl1.unlock(), true);
+        assert.strictEqual((await wl1.lockInfo()).held, 'exclusive', 'nested lock() should count levels');
+        assert.strictEqual(await wl1.unlock(), true);
+        assert.strictEqual(await wl1.unlock(), false, 'unlock() without a held lock should resolve to false');
+        await assert.rejects(wl1.withLock(async () => { throw new Error('inside'); }), /inside/);
+        assert.strictEqual(fs.existsSync(`${wlFile}.lock`), false, 'withLock should release on throw');
+        await wl1.close();
+        await wl2.close();
+        try { fs.unlinkSync(wlFile); } catch (e) { /* ignore */ }
+
+        // sharded storage: one file per top-level key, only changed shards rewritten, per-shard locks
+        const shardDir = path.join(os.tmpdir(), 'gentledb-test-shards');
+        fs.rmSync(shardDir, { recursive: true, force: true });
+        const sh1 = new GentleDB(shardDir, { shards: true, debounceWriteMs: 5, watchDebounceMs: 20, defaultData: { users: [{ id: 1, name: 'ann' }], config: { theme: 'dark' } } });
+        const sh2 = new GentleDB(shardDir, { shards: true, debounceWriteMs: 5, watchDebounceMs: 100, lockTimeoutMs: 300 });
+        await sh1.set('count', 1);
+        assert.deepStrictEqual(fs.readdirSync(shardDir).sort(), ['config.json', 'count.json', 'users.json'], 'every top-level key should get its own file');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(shardDir, 'users.json'), 'utf8')), [{ id: 1, name: 'ann' }]);
+        assert.deepStrictEqual(await sh2.read(), { config: { theme: 'dark' }, count: 1, users: [{ id: 1, name: 'ann' }] }, 'read() should see the union of the shards');
+        assert.strictEqual((await sh2.findMatches('ann')).exact.length, 1, 'findMatches() should search every shard');
+
+        const usersShard = path.join(shardDir, 'users.json');
+        const usersIno = fs.statSync(usersShard).ino;
+        const shardChanges = [];
+        sh2.on('change', (evt) => { if (evt.source === 'external') shardChanges.push(Object.keys(evt.changes).sort()); });
+        const nextShardChange = async () => {
+            for (let i = 0; i < 50 && shardChanges.length === 0; i++) await new Promise((r) => setTimeout(r, 20));
+            return shardChanges.splice(0);
+        };
+        await sh1.update('count', (n) => n + 1);
+        assert.strictEqual(fs.statSync(usersShard).ino, usersIno, 'unchanged shards should not be rewritten');
+        assert.deepStrictEqual(await nextShardChange(), [['count']], 'other instances should see shard edits');
+
+        await sh1.write({ config: { theme: 'light' }, users: [{ id: 1, name: 'ann' }, { id: 2, name: 'bob' }] });
+        assert.deepStrictEqual(await nextShardChange(), [['config', 'users']], 'changes across shards should arrive as one event');
+        assert.strictEqual((await sh2.get('users')).length, 2);
+
+        // a lock on one shard doesn't block writers of another
+        fs.writeFileSync(`${usersShard}.lock`, JSON.stringify({ id: 'held', pid: process.pid, hostname: os.hostname(), mode: 'exclusive', since: Date.now(), ts: Date.now() }));
+        await sh2.set('config.theme', 'blue');
+        await assert.rejects(sh2.set('users', []), /Could not acquire DB lock/, 'a held shard lock should block writers of that key');
+        const shardInfo = await sh1.lockInfo();
+        assert.deepStrictEqual([shardInfo.shards.users.exclusive.id, shardInfo.shards.config.exclusive], ['held', null], 'lockInfo() should report every shard');
+        fs.unlinkSync(`${usersShard}.lock`);
+
+        // a shard a write listener adds is locked before it is written
+        const stampedLock = `${path.join(shardDir, 'stamped.json')}.lock`;
+        const stampShard = (evt) => { evt.newData.stamped = true; };
+        sh2.on('write', stampShard);
+        fs.writeFileSync(stampedLock, JSON.stringify({ id: 'held', pid: process.pid, hostname: os.hostname(), mode: 'exclusive', since: Date.now(), ts: Date.now() }));
+        await assert.rejects(sh2.set('config.theme', 'green'), /Could not acquire DB lock/, 'a shard added by a listener should be locked too');
+        fs.unlinkSync(stampedLock);
+        await sh2.set('config.theme', 'green');
+        sh2.off('write', stampShard);
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(shardDir, 'stamped.json'), 'utf8')), true, 'a shard added by a listener should be written');
+        await sh2.unset('stamped');
+
+        await sh1.unset('count');
+        assert.strictEqual(fs.existsSync(path.join(shardDir, 'count.json')), false, 'removed keys should lose their shard');
+        await sh1.close();
+        await sh2.close();
+        assert.deepStrictEqual(fs.readdirSync(shardDir).sort(), ['config.json', 'users.json'], 'no lock or temp files should be left');
+        await assert.rejects(new GentleDB(shardDir, { shards: true, format: 'ndjson' }).read(), /can't use the ndjson format/);
+        fs.rmSync(shardDir, { recursive: true, force: true });
+
+        // command line: every command goes through the library's locks; read-only commands never create the file
+        const cliFile = path.join(os.tmpdir(), 'gentledb-test-cli.json');
+        try { fs.unlinkSync(cliFile); } catch (e) { /* ignore */ }
+        const { spawn, spawnSync } = require('child_process');
+        const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+        const cliWithInput = (input, ...args) => {
+            const res = spawnSync(process.execPath, [cliPath, ...args], { encoding: 'utf8', input, timeout: 20000 });
+            return { code: res.status, out: res.stdout, err: res.stderr };
+        };
+        const cli = (...args) => cliWithInput(undefined, ...args);
+        assert.strictEqual(cli('get', cliFile, 'a').code, 1);
+        assert.strictEqual(fs.existsSync(cliFile), false, 'get should not create a missing file');
+        assert.strictEqual(cli('set', cliFile, 'a', 'not json').code, 2, 'set should want a JSON value');
+        assert.strictEqual(fs.existsSync(cliFile), false, 'bad input should not create the file');
+        assert.strictEqual(cli('set', cliFile, 'users', '[{"id":1,"name":"ann"}]').code, 0);
+        assert.strictEqual(cli('set', cliFile, 'cfg.theme', '"dark"').code, 0);
+        assert.deepStrictEqual(JSON.parse(cli('get', cliFile, 'users[0].name').out), 'ann');
+        assert.strictEqual(JSON.parse(cli('find', cliFile, 'ann').out).exact[0].origin, 'users[0].name');
+        assert.strictEqual(cli('unset', cliFile, 'cfg').code, 0);
+        assert.strictEqual(cliWithInput('{"extra":true}', 'import', cliFile, '--merge').code, 0);
+        assert.deepStrictEqual(JSON.parse(cli('dump', cliFile).out), { users: [{ id: 1, name: 'ann' }], extra: true });
+        assert.strictEqual(cliWithInput('{"fresh":1}', 'import', cliFile).code, 0);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(cliFile, 'utf8')), { fresh: 1 }, 'import should replace the data');
+        assert.strictEqual(cli('bogus', cliFile).code, 2);
+
+        // a live holder: lock-status reports it without waiting, unlock refuses unless forced
+        fs.writeFileSync(`${cliFile}.lock`, JSON.stringify({ id: 'live', pid: process.pid, hostname: os.hostname(), mode: 'exclusive', since: Date.now(), ts: Date.now() }));
+        const cliStatus = cli('lock-status', cliFile);
+        assert.deepStrictEqual([cliStatus.code, JSON.parse(cliStatus.out).exclusive.id], [0, 'live'], 'lock-status should show the holder');
+        assert.strictEqual(cli('unlock', cliFile).code, 1, 'unlock should leave a live lock alone');
+        assert.strictEqual(fs.existsSync(`${cliFile}.lock`), true);
+        const forced = cli('unlock', cliFile, '--force');
+        assert.deepStrictEqual([forced.code, JSON.parse(forced.out).map(o => o.id)], [0, ['live']], 'unlock --force should remove a live lock');
+        assert.strictEqual(fs.existsSync(`${cliFile}.lock`), false);
+        const cliUnlocked = cli('unlock', cliFile);
+        assert.deepStrictEqual([cliUnlocked.code, cliUnlocked.out], [0, '[]\n'], 'unlock on an unlocked file should succeed');
+        // a stale lock: lock-status reports it and leaves it in place, unlock removes it
+        const cliDeadPid = spawnSync(process.execPath, ['-e', '']).pid;
+        fs.writeFileSync(`${cliFile}.lock`, JSON.stringify({ id: 'gone', pid: cliDeadPid, hostname: os.hostname(), mode: 'exclusive', since: Date.now(), ts: Date.now() }));
+        const staleStatus = cli('lock-status', cliFile);
+        assert.deepStrictEqual([staleStatus.code, JSON.parse(staleStatus.out).exclusive.stale], [0, true], 'lock-status should report a stale lock');
+        assert.strictEqual(fs.existsSync(`${cliFile}.lock`), true, 'lock-status should leave a stale lock on disk');
+        const staleUnlock = cli('unlock', cliFile);
+        assert.deepStrictEqual([staleUnlock.code, JSON.parse(staleUnlock.out).map(o => o.id)], [0, ['gone']], 'unlock should remove a stale lock');
+        assert.strictEqual(fs.existsSync(`${cliFile}.lock`), false);
+
+        // watch streams change events as JSON lines
+        const watcher = spawn(process.execPath, [cliPath, 'watch', cliFile], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let watchOut = '';
+        let watchErr = '';
+        watcher.stdout.on('data', (d) => { watchOut += d; });
+        watcher.stderr.on('data', (d) => { watchErr += d; });
+        for (let i = 0; i < 250 && !watchErr.includes('watching'); i++) await new Promise((r) => setTimeout(r, 20));
+        assert.strictEqual(cli('set', cliFile, 'fresh', '2').code, 0);
+        for (let i = 0; i < 250 && !watchOut.includes('\n'); i++) await new Promise((r) => setTimeout(r, 20));
+        const watchExit = new Promise((r) => watcher.on('exit', r));
+        watcher.kill('SIGTERM');
+        assert.strictEqual(await watchExit, 0, 'watch should stop cleanly on SIGTERM');
+        const watched = JSON.parse(watchOut.split('\n')[0]);
+        assert.deepStrictEqual([watched.source, watched.changes.fresh], ['external', { old: 1, new: 2 }], 'watch output mismatch');
+        try { fs.unlinkSync(cliFile); } catch (e) { /* ignore */ }
+
         // cleanup: explicitly remove handlers using off(name, fn)
         db.off('write', writeHandler);
         db.off('change', changeHandler);